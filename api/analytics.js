@@ -1,6 +1,7 @@
 import { getQueryStats, getEvaluationSummary } from '../lib/database/queries.js';
 import { getConnection, testConnection, getCurrentEnvironment } from '../lib/database/connection.js';
 import { withAutoMigration } from '../lib/database/api-middleware.js';
+import { loadExperiments } from '../lib/pipeline/experiments.js';
 
 const ORIGIN_ALLOWED = process.env.ORIGIN_ALLOWED || '*';
 
@@ -48,9 +49,21 @@ async function handler(req, res) {
       case 'safety':
         return await handleSafetyMetrics(req, res, hours);
 
+      case 'throttled':
+        return await handleThrottledTraffic(req, res, hours);
+
       case 'trace':
         return await handleQueryTrace(req, res);
 
+      case 'shadow':
+        return await handleShadowRouting(req, res, hours, limit);
+
+      case 'experiment':
+        return await handleExperimentReport(req, res, hours);
+
+      case 'feedback':
+        return await handleFeedbackReport(req, res, hours, limit);
+
       case 'evaluation':
         return await handleEvaluationSummary(req, res, limit);
 
@@ -148,10 +161,46 @@ async function handleLayerBreakdown(req, res, hours) {
     errorRate: row.query_count > 0 ? (parseInt(row.error_count) / parseInt(row.query_count) * 100).toFixed(2) : 0
   }));
 
+  // RAG fallbacks are counted from the decision trace: an answer scoped by an
+  // intent is logged under the layer that matched the intent, but the rag
+  // layer (or rag-cache on a cache hit) still records a decision for it
+  const ragResult = await db`
+    SELECT
+      COUNT(*) as rag_fallbacks,
+      COUNT(*) FILTER (WHERE q.routing_layer = 'rag-abstain') as abstained,
+      COUNT(*) FILTER (WHERE q.routing_layer = 'rag-cache') as cache_hits,
+      COUNT(*) FILTER (WHERE q.routing_layer NOT IN ('rag', 'rag-abstain', 'rag-cache')) as scoped
+    FROM query_logs q
+    WHERE q.timestamp >= ${cutoffTime}
+      AND q.environment = ${env}
+      AND EXISTS (
+        SELECT 1 FROM routing_decisions d
+        WHERE d.query_log_id = q.id AND d.layer IN ('rag', 'rag-cache')
+      )
+  `;
+
+  // Abstentions are RAG fallbacks where no chunk cleared the score gates
+  const ragRow = (ragResult.rows || ragResult)[0] || {};
+  const ragFallbacks = parseInt(ragRow.rag_fallbacks) || 0;
+  const abstained = parseInt(ragRow.abstained) || 0;
+  const cacheHits = parseInt(ragRow.cache_hits) || 0;
+
   return res.json({
     success: true,
     data: {
       layers: layerBreakdown,
+      abstentions: {
+        count: abstained,
+        ragFallbacks,
+        // RAG answers scoped by a business-regex or intent-embed match
+        scopedFallbacks: parseInt(ragRow.scoped) || 0,
+        rate: ragFallbacks > 0 ? (abstained / ragFallbacks * 100).toFixed(2) : 0
+      },
+      // RAG answers served from the semantic answer cache
+      answerCache: {
+        hits: cacheHits,
+        rate: ragFallbacks - abstained > 0 ? (cacheHits / (ragFallbacks - abstained) * 100).toFixed(2) : 0
+      },
       timeRange: `${hoursInt} hours`,
       environment: env
     }
@@ -159,6 +208,8 @@ async function handleLayerBreakdown(req, res, hours) {
 }
 
 // Cost analysis breakdown
+// Costs come from lib/llm/pricing.js at log time. Rows with cost_version NULL still carry
+// legacy estimates until scripts/backfill-costs.js has been run.
 async function handleCostAnalysis(req, res, hours) {
   const db = getConnection();
   const env = getCurrentEnvironment();
@@ -167,18 +218,37 @@ async function handleCostAnalysis(req, res, hours) {
 
   const result = await db`
     SELECT
-      routing_layer,
-      SUM(estimated_cost) as total_cost,
-      SUM(embedding_tokens) as embedding_tokens,
-      SUM(chat_completion_tokens) as completion_tokens,
-      SUM(api_calls_count) as api_calls,
+      COALESCE(routing_layer, 'error') as routing_layer,
+      SUM(COALESCE(estimated_cost, 0)) as total_cost,
+      SUM(COALESCE(embedding_tokens, 0)) as embedding_tokens,
+      SUM(COALESCE(prompt_tokens, 0)) as prompt_tokens,
+      SUM(COALESCE(completion_tokens, 0)) as completion_tokens,
+      SUM(COALESCE(chat_completion_tokens, 0)) as chat_tokens,
+      SUM(COALESCE(api_calls_count, 0)) as api_calls,
       COUNT(*) as queries,
-      AVG(estimated_cost) as avg_cost_per_query
+      AVG(COALESCE(estimated_cost, 0)) as avg_cost_per_query,
+      COUNT(CASE WHEN cost_version IS NULL THEN 1 END) as legacy_rows
     FROM query_logs
     WHERE timestamp >= ${cutoffTime}
       AND environment = ${env}
-      AND estimated_cost IS NOT NULL
-    GROUP BY routing_layer
+    GROUP BY COALESCE(routing_layer, 'error')
+    ORDER BY total_cost DESC
+  `;
+
+  const modelResult = await db`
+    SELECT
+      chat_model,
+      openai_model as embedding_model,
+      COUNT(*) as queries,
+      SUM(COALESCE(estimated_cost, 0)) as total_cost,
+      SUM(COALESCE(embedding_tokens, 0)) as embedding_tokens,
+      SUM(COALESCE(prompt_tokens, 0)) as prompt_tokens,
+      SUM(COALESCE(completion_tokens, 0)) as completion_tokens
+    FROM query_logs
+    WHERE timestamp >= ${cutoffTime}
+      AND environment = ${env}
+      AND (chat_model IS NOT NULL OR openai_model IS NOT NULL)
+    GROUP BY chat_model, openai_model
     ORDER BY total_cost DESC
   `;
 
@@ -187,16 +257,41 @@ async function handleCostAnalysis(req, res, hours) {
     layer: row.routing_layer,
     totalCost: parseFloat(row.total_cost) || 0,
     embeddingTokens: parseInt(row.embedding_tokens) || 0,
+    promptTokens: parseInt(row.prompt_tokens) || 0,
     completionTokens: parseInt(row.completion_tokens) || 0,
+    chatTokens: parseInt(row.chat_tokens) || 0,
     apiCalls: parseInt(row.api_calls) || 0,
     queries: parseInt(row.queries),
-    avgCostPerQuery: parseFloat(row.avg_cost_per_query) || 0
+    avgCostPerQuery: parseFloat(row.avg_cost_per_query) || 0,
+    legacyRows: parseInt(row.legacy_rows) || 0
   }));
 
+  const costByModel = (modelResult.rows || modelResult).map(row => ({
+    chatModel: row.chat_model,
+    embeddingModel: row.embedding_model,
+    queries: parseInt(row.queries) || 0,
+    totalCost: parseFloat(row.total_cost) || 0,
+    embeddingTokens: parseInt(row.embedding_tokens) || 0,
+    promptTokens: parseInt(row.prompt_tokens) || 0,
+    completionTokens: parseInt(row.completion_tokens) || 0
+  }));
+
+  const totals = costBreakdown.reduce((acc, layer) => ({
+    totalCost: acc.totalCost + layer.totalCost,
+    queries: acc.queries + layer.queries,
+    embeddingTokens: acc.embeddingTokens + layer.embeddingTokens,
+    promptTokens: acc.promptTokens + layer.promptTokens,
+    completionTokens: acc.completionTokens + layer.completionTokens,
+    legacyRows: acc.legacyRows + layer.legacyRows
+  }), { totalCost: 0, queries: 0, embeddingTokens: 0, promptTokens: 0, completionTokens: 0, legacyRows: 0 });
+  totals.avgCostPerQuery = totals.queries > 0 ? totals.totalCost / totals.queries : 0;
+
   return res.json({
     success: true,
     data: {
+      totals,
       costByLayer: costBreakdown,
+      costByModel,
       timeRange: `${hoursInt} hours`,
       environment: env
     }
@@ -286,6 +381,485 @@ async function handleSafetyMetrics(req, res, hours) {
   });
 }
 
+// Requests rejected with 429 by the rate limiter, by endpoint and bucket
+async function handleThrottledTraffic(req, res, hours) {
+  const db = getConnection();
+  const env = getCurrentEnvironment();
+  const hoursInt = parseInt(hours) || 24;
+  const cutoffTime = new Date(Date.now() - hoursInt * 60 * 60 * 1000).toISOString();
+
+  const result = await db`
+    SELECT
+      endpoint,
+      scope,
+      COUNT(*) as throttled_count,
+      COUNT(DISTINCT identifier) as distinct_clients,
+      MAX(created_at) as last_throttled
+    FROM rate_limit_events
+    WHERE created_at >= ${cutoffTime}
+      AND environment = ${env}
+    GROUP BY endpoint, scope
+    ORDER BY throttled_count DESC
+  `;
+
+  const rows = result.rows || result;
+  const throttled = rows.map(row => ({
+    endpoint: row.endpoint,
+    scope: row.scope,
+    throttledCount: parseInt(row.throttled_count),
+    distinctClients: parseInt(row.distinct_clients),
+    lastThrottled: row.last_throttled
+  }));
+
+  return res.json({
+    success: true,
+    data: {
+      throttled,
+      totalThrottled: throttled.reduce((sum, item) => sum + item.throttledCount, 0),
+      repeatedMessages: throttled.filter(item => item.scope === 'repeat').reduce((sum, item) => sum + item.throttledCount, 0),
+      timeRange: `${hoursInt} hours`,
+      environment: env
+    }
+  });
+}
+
+// Shadow evaluation: how often a candidate router config routes differently from
+// production, per candidate and per production route (safety category, intent or layer)
+async function handleShadowRouting(req, res, hours, limit) {
+  const db = getConnection();
+  const env = getCurrentEnvironment();
+  const hoursInt = parseInt(hours) || 24;
+  const limitInt = parseInt(limit) || 10;
+  const cutoffTime = new Date(Date.now() - hoursInt * 60 * 60 * 1000).toISOString();
+  const candidateId = req.query.candidateId || null;
+
+  const rate = (count, total) => total > 0 ? Number((count / total).toFixed(4)) : 0;
+  const disagreementRates = (row, total) => ({
+    any: rate(total - parseInt(row.agreed_count), total),
+    layer: rate(parseInt(row.layer_count), total),
+    rule: rate(parseInt(row.rule_count), total),
+    intent: rate(parseInt(row.intent_count), total),
+    refusal: rate(parseInt(row.refusal_count), total)
+  });
+
+  const candidateResult = await db`
+    SELECT
+      candidate_id,
+      COUNT(*) as total,
+      COUNT(*) FILTER (WHERE agreed) as agreed_count,
+      COUNT(*) FILTER (WHERE layer_differs) as layer_count,
+      COUNT(*) FILTER (WHERE rule_differs) as rule_count,
+      COUNT(*) FILTER (WHERE intent_differs) as intent_count,
+      COUNT(*) FILTER (WHERE refusal_differs) as refusal_count,
+      COUNT(*) FILTER (WHERE candidate_refusal AND NOT production_refusal) as new_refusals,
+      COUNT(*) FILTER (WHERE production_refusal AND NOT candidate_refusal) as lost_refusals,
+      MIN(created_at) as first_seen,
+      MAX(created_at) as last_seen
+    FROM shadow_routing
+    WHERE created_at >= ${cutoffTime}
+      AND environment = ${env}
+      AND (${candidateId}::text IS NULL OR candidate_id = ${candidateId})
+    GROUP BY candidate_id
+    ORDER BY last_seen DESC
+  `;
+
+  const categoryResult = await db`
+    SELECT
+      candidate_id,
+      production_layer,
+      COALESCE(production_category, production_intent, production_layer) as route_category,
+      COUNT(*) as total,
+      COUNT(*) FILTER (WHERE agreed) as agreed_count,
+      COUNT(*) FILTER (WHERE layer_differs) as layer_count,
+      COUNT(*) FILTER (WHERE rule_differs) as rule_count,
+      COUNT(*) FILTER (WHERE intent_differs) as intent_count,
+      COUNT(*) FILTER (WHERE refusal_differs) as refusal_count
+    FROM shadow_routing
+    WHERE created_at >= ${cutoffTime}
+      AND environment = ${env}
+      AND (${candidateId}::text IS NULL OR candidate_id = ${candidateId})
+    GROUP BY candidate_id, production_layer, route_category
+    ORDER BY candidate_id, total DESC
+  `;
+
+  const changeResult = await db`
+    SELECT
+      candidate_id,
+      production_layer,
+      COALESCE(production_category, production_intent, production_layer) as production_route,
+      candidate_layer,
+      COALESCE(candidate_category, candidate_intent, candidate_layer) as candidate_route,
+      COUNT(*) as count
+    FROM shadow_routing
+    WHERE created_at >= ${cutoffTime}
+      AND environment = ${env}
+      AND NOT agreed
+      AND (${candidateId}::text IS NULL OR candidate_id = ${candidateId})
+    GROUP BY candidate_id, production_layer, production_route, candidate_layer, candidate_route
+    ORDER BY count DESC
+    LIMIT ${limitInt}
+  `;
+
+  const categoryRows = categoryResult.rows || categoryResult;
+  const candidates = (candidateResult.rows || candidateResult).map(row => {
+    const total = parseInt(row.total);
+    return {
+      candidateId: row.candidate_id,
+      comparisons: total,
+      disagreementRate: disagreementRates(row, total),
+      newRefusals: parseInt(row.new_refusals),
+      lostRefusals: parseInt(row.lost_refusals),
+      firstSeen: row.first_seen,
+      lastSeen: row.last_seen,
+      byCategory: categoryRows
+        .filter(category => category.candidate_id === row.candidate_id)
+        .map(category => ({
+          layer: category.production_layer,
+          category: category.route_category,
+          comparisons: parseInt(category.total),
+          disagreementRate: disagreementRates(category, parseInt(category.total))
+        }))
+    };
+  });
+
+  const topChanges = (changeResult.rows || changeResult).map(row => ({
+    candidateId: row.candidate_id,
+    from: { layer: row.production_layer, route: row.production_route },
+    to: { layer: row.candidate_layer, route: row.candidate_route },
+    count: parseInt(row.count)
+  }));
+
+  return res.json({
+    success: true,
+    data: {
+      candidates,
+      topChanges,
+      timeRange: `${hoursInt} hours`,
+      environment: env
+    }
+  });
+}
+
+// Significance tests for the experiment report. Both use the normal
+// approximation, which needs a few dozen messages or sessions per variant.
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function testResult(difference, z) {
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return {
+    difference: Number(difference.toFixed(6)),
+    z: Number(z.toFixed(3)),
+    pValue: Number(pValue.toFixed(4)),
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+// Two-proportion z-test of a variant's rate against the control's
+function proportionTest(control, variant) {
+  if (!control.total || !variant.total) return null;
+  const pooled = (control.count + variant.count) / (control.total + variant.total);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.total + 1 / variant.total));
+  if (!standardError) return null;
+  const difference = variant.count / variant.total - control.count / control.total;
+  return testResult(difference, difference / standardError);
+}
+
+// Welch's test of a variant's mean against the control's
+function meanTest(control, variant) {
+  if (control.n < 2 || variant.n < 2) return null;
+  const standardError = Math.sqrt(control.sd ** 2 / control.n + variant.sd ** 2 / variant.n);
+  if (!standardError) return null;
+  const difference = variant.mean - control.mean;
+  return testResult(difference, difference / standardError);
+}
+
+// The control is the experiment's first variant in router/experiments.json
+// (or the first by name, for experiments no longer in the file)
+function controlVariants() {
+  try {
+    return new Map(loadExperiments().experiments.map(experiment => [experiment.id, experiment.variants[0].id]));
+  } catch (error) {
+    console.warn('Could not load router/experiments.json for the experiment report:', error.message);
+    return new Map();
+  }
+}
+
+// A/B experiment report: abstention rate, latency, cost, handoff rate and
+// answer satisfaction per variant, each tested against the experiment's control variant
+async function handleExperimentReport(req, res, hours) {
+  const db = getConnection();
+  const env = getCurrentEnvironment();
+  const hoursInt = parseInt(hours) || 24;
+  const cutoffTime = new Date(Date.now() - hoursInt * 60 * 60 * 1000).toISOString();
+  const experimentId = req.query.experimentId || null;
+
+  // RAG fallbacks come from the decision trace, so answers scoped by an intent
+  // (logged under the layer that matched it) count as well
+  const variantResult = await db`
+    SELECT
+      experiment_id,
+      variant_id,
+      COUNT(*) as query_count,
+      COUNT(DISTINCT user_session_id) as session_count,
+      COUNT(*) FILTER (WHERE routing_layer = 'rag-abstain') as abstained,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM routing_decisions d
+        WHERE d.query_log_id = query_logs.id AND d.layer IN ('rag', 'rag-cache')
+      )) as rag_fallbacks,
+      AVG(response_time_ms) as avg_response_time,
+      STDDEV_SAMP(response_time_ms) as sd_response_time,
+      COUNT(response_time_ms) as response_time_count,
+      AVG(estimated_cost) as avg_cost,
+      STDDEV_SAMP(estimated_cost) as sd_cost,
+      COUNT(estimated_cost) as cost_count,
+      COUNT(*) FILTER (WHERE error_message IS NOT NULL) as error_count
+    FROM query_logs
+    WHERE timestamp >= ${cutoffTime}
+      AND environment = ${env}
+      AND experiment_id IS NOT NULL
+      AND (${experimentId}::text IS NULL OR experiment_id = ${experimentId})
+    GROUP BY experiment_id, variant_id
+    ORDER BY experiment_id, variant_id
+  `;
+
+  // Handoff rate: share of the variant's sessions that asked for a human
+  const handoffResult = await db`
+    SELECT
+      q.experiment_id,
+      q.variant_id,
+      COUNT(DISTINCT h.session_id) as handoff_sessions
+    FROM handoff_requests h
+    JOIN (
+      SELECT DISTINCT user_session_id, experiment_id, variant_id
+      FROM query_logs
+      WHERE timestamp >= ${cutoffTime}
+        AND environment = ${env}
+        AND experiment_id IS NOT NULL
+        AND (${experimentId}::text IS NULL OR experiment_id = ${experimentId})
+    ) q ON q.user_session_id = h.session_id
+    WHERE h.created_at >= ${cutoffTime}
+      AND h.environment = ${env}
+    GROUP BY q.experiment_id, q.variant_id
+  `;
+
+  // Satisfaction: share of the variant's rated answers that got a thumbs up
+  const feedbackResult = await db`
+    SELECT
+      q.experiment_id,
+      q.variant_id,
+      COUNT(*) as rated,
+      COUNT(*) FILTER (WHERE f.rating = 'up') as positive
+    FROM feedback f
+    JOIN query_logs q ON q.id = f.query_log_id
+    WHERE q.timestamp >= ${cutoffTime}
+      AND q.environment = ${env}
+      AND q.experiment_id IS NOT NULL
+      AND (${experimentId}::text IS NULL OR q.experiment_id = ${experimentId})
+    GROUP BY q.experiment_id, q.variant_id
+  `;
+
+  const handoffs = new Map((handoffResult.rows || handoffResult).map(row => [`${row.experiment_id}:${row.variant_id}`, parseInt(row.handoff_sessions)]));
+  const ratings = new Map((feedbackResult.rows || feedbackResult).map(row => [`${row.experiment_id}:${row.variant_id}`, { count: parseInt(row.positive), total: parseInt(row.rated) }]));
+  const variants = (variantResult.rows || variantResult).map(row => ({
+    experimentId: row.experiment_id,
+    variantId: row.variant_id,
+    queries: parseInt(row.query_count),
+    sessions: parseInt(row.session_count),
+    errors: parseInt(row.error_count),
+    abstention: { count: parseInt(row.abstained), total: parseInt(row.rag_fallbacks) },
+    handoff: { count: handoffs.get(`${row.experiment_id}:${row.variant_id}`) || 0, total: parseInt(row.session_count) },
+    satisfaction: ratings.get(`${row.experiment_id}:${row.variant_id}`) || { count: 0, total: 0 },
+    responseTime: { mean: parseFloat(row.avg_response_time) || 0, sd: parseFloat(row.sd_response_time) || 0, n: parseInt(row.response_time_count) },
+    cost: { mean: parseFloat(row.avg_cost) || 0, sd: parseFloat(row.sd_cost) || 0, n: parseInt(row.cost_count) }
+  }));
+
+  const controls = controlVariants();
+  const rate = ({ count, total }) => total > 0 ? Number((count / total).toFixed(4)) : 0;
+  const experiments = [...new Set(variants.map(variant => variant.experimentId))].map(id => {
+    const rows = variants.filter(variant => variant.experimentId === id);
+    const control = rows.find(variant => variant.variantId === controls.get(id)) || rows[0];
+    return {
+      experimentId: id,
+      control: control.variantId,
+      variants: rows.map(variant => ({
+        variantId: variant.variantId,
+        queries: variant.queries,
+        sessions: variant.sessions,
+        errors: variant.errors,
+        abstentionRate: rate(variant.abstention),
+        ragFallbacks: variant.abstention.total,
+        handoffRate: rate(variant.handoff),
+        handoffSessions: variant.handoff.count,
+        satisfactionRate: rate(variant.satisfaction),
+        ratedAnswers: variant.satisfaction.total,
+        avgResponseTime: Math.round(variant.responseTime.mean),
+        avgCost: Number(variant.cost.mean.toFixed(6)),
+        // Differences are variant minus control
+        vsControl: variant === control ? null : {
+          abstentionRate: proportionTest(control.abstention, variant.abstention),
+          handoffRate: proportionTest(control.handoff, variant.handoff),
+          satisfactionRate: proportionTest(control.satisfaction, variant.satisfaction),
+          responseTime: meanTest(control.responseTime, variant.responseTime),
+          cost: meanTest(control.cost, variant.cost)
+        }
+      }))
+    };
+  });
+
+  return res.json({
+    success: true,
+    data: {
+      experiments,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      timeRange: `${hoursInt} hours`,
+      environment: env
+    }
+  });
+}
+
+// Answer feedback: satisfaction (share of rated answers with a thumbs up) by
+// routing layer, intent, rule and cited source document, with thumbs-down
+// reasons and the latest thumbs-down comments
+async function handleFeedbackReport(req, res, hours, limit) {
+  const db = getConnection();
+  const env = getCurrentEnvironment();
+  const hoursInt = parseInt(hours) || 24;
+  const limitInt = parseInt(limit) || 10;
+  const cutoffTime = new Date(Date.now() - hoursInt * 60 * 60 * 1000).toISOString();
+
+  const totalsResult = await db`
+    SELECT
+      (SELECT COUNT(*) FROM query_logs
+        WHERE timestamp >= ${cutoffTime} AND environment = ${env} AND error_message IS NULL) as answer_count,
+      COUNT(*) as rated,
+      COUNT(*) FILTER (WHERE rating = 'up') as positive,
+      COUNT(*) FILTER (WHERE comment IS NOT NULL) as comment_count
+    FROM feedback
+    WHERE created_at >= ${cutoffTime}
+      AND environment = ${env}
+  `;
+
+  const layerResult = await db`
+    SELECT q.routing_layer as key, COUNT(*) as rated, COUNT(*) FILTER (WHERE f.rating = 'up') as positive
+    FROM feedback f
+    JOIN query_logs q ON q.id = f.query_log_id
+    WHERE f.created_at >= ${cutoffTime}
+      AND f.environment = ${env}
+    GROUP BY q.routing_layer
+    ORDER BY rated DESC
+  `;
+
+  const intentResult = await db`
+    SELECT q.routing_intent as key, COUNT(*) as rated, COUNT(*) FILTER (WHERE f.rating = 'up') as positive
+    FROM feedback f
+    JOIN query_logs q ON q.id = f.query_log_id
+    WHERE f.created_at >= ${cutoffTime}
+      AND f.environment = ${env}
+      AND q.routing_intent IS NOT NULL
+    GROUP BY q.routing_intent
+    ORDER BY rated DESC
+  `;
+
+  const ruleResult = await db`
+    SELECT q.routing_layer as layer, q.routing_rule as key, COUNT(*) as rated, COUNT(*) FILTER (WHERE f.rating = 'up') as positive
+    FROM feedback f
+    JOIN query_logs q ON q.id = f.query_log_id
+    WHERE f.created_at >= ${cutoffTime}
+      AND f.environment = ${env}
+      AND q.routing_rule IS NOT NULL
+    GROUP BY q.routing_layer, q.routing_rule
+    ORDER BY rated DESC
+  `;
+
+  // An answer citing several documents counts toward each of them
+  const sourceResult = await db`
+    SELECT s.source->>'id' as key, COUNT(*) as rated, COUNT(*) FILTER (WHERE f.rating = 'up') as positive
+    FROM feedback f
+    JOIN query_logs q ON q.id = f.query_log_id
+    CROSS JOIN LATERAL jsonb_array_elements(
+      CASE WHEN jsonb_typeof(q.sources) = 'array' THEN q.sources ELSE '[]'::jsonb END
+    ) as s(source)
+    WHERE f.created_at >= ${cutoffTime}
+      AND f.environment = ${env}
+    GROUP BY s.source->>'id'
+    ORDER BY rated DESC
+  `;
+
+  const reasonResult = await db`
+    SELECT COALESCE(reason, 'none') as reason, COUNT(*) as count
+    FROM feedback
+    WHERE created_at >= ${cutoffTime}
+      AND environment = ${env}
+      AND rating = 'down'
+    GROUP BY COALESCE(reason, 'none')
+    ORDER BY count DESC
+  `;
+
+  const recentResult = await db`
+    SELECT
+      f.created_at, f.reason, f.comment,
+      q.id as query_id, q.user_message, q.response_answer,
+      q.routing_layer, q.routing_rule, q.routing_intent, q.prompt_id, q.prompt_version
+    FROM feedback f
+    JOIN query_logs q ON q.id = f.query_log_id
+    WHERE f.created_at >= ${cutoffTime}
+      AND f.environment = ${env}
+      AND f.rating = 'down'
+    ORDER BY f.created_at DESC
+    LIMIT ${limitInt}
+  `;
+
+  const satisfaction = (row) => {
+    const rated = parseInt(row.rated) || 0;
+    const positive = parseInt(row.positive) || 0;
+    return { rated, positive, negative: rated - positive, satisfactionRate: rated > 0 ? Number((positive / rated).toFixed(4)) : null };
+  };
+  const breakdown = (result, name) => (result.rows || result).map(row => ({ [name]: row.key, ...satisfaction(row) }));
+
+  const totals = totalsResult[0] || totalsResult.rows?.[0] || {};
+  const answers = parseInt(totals.answer_count) || 0;
+
+  return res.json({
+    success: true,
+    data: {
+      totals: {
+        ...satisfaction(totals),
+        answers,
+        // Share of answers in the window that were rated
+        feedbackRate: answers > 0 ? Number((parseInt(totals.rated) / answers).toFixed(4)) : 0,
+        comments: parseInt(totals.comment_count) || 0
+      },
+      byLayer: breakdown(layerResult, 'layer'),
+      byIntent: breakdown(intentResult, 'intent'),
+      byRule: (ruleResult.rows || ruleResult).map(row => ({ layer: row.layer, rule: row.key, ...satisfaction(row) })),
+      bySource: breakdown(sourceResult, 'documentId'),
+      reasons: (reasonResult.rows || reasonResult).map(row => ({ reason: row.reason, count: parseInt(row.count) })),
+      recentNegative: (recentResult.rows || recentResult).map(row => ({
+        queryId: row.query_id,
+        ratedAt: row.created_at,
+        reason: row.reason,
+        comment: row.comment,
+        userMessage: row.user_message,
+        responseAnswer: row.response_answer,
+        layer: row.routing_layer,
+        rule: row.routing_rule,
+        intent: row.routing_intent,
+        prompt: row.prompt_id ? { id: row.prompt_id, version: row.prompt_version } : null
+      })),
+      timeRange: `${hoursInt} hours`,
+      environment: env
+    }
+  });
+}
+
 // Individual query trace for detailed analysis
 async function handleQueryTrace(req, res) {
   const { queryId } = req.query;
@@ -332,6 +906,13 @@ async function handleQueryTrace(req, res) {
         userMessage: query.user_message,
         normalizedMessage: query.normalized_message,
         responseAnswer: query.response_answer,
+        rawAnswer: query.raw_answer,
+        complianceAction: query.compliance_action,
+        answerConfidence: query.answer_confidence,
+        needsHuman: query.needs_human,
+        citations: query.citations,
+        promptId: query.prompt_id,
+        promptVersion: query.prompt_version,
         responseTime: query.response_time_ms,
         estimatedCost: query.estimated_cost,
         apiCalls: query.api_calls_count,
@@ -339,7 +920,8 @@ async function handleQueryTrace(req, res) {
         chatTokens: query.chat_completion_tokens,
         timestamp: query.timestamp,
         environment: query.environment,
-        errorMessage: query.error_message
+        errorMessage: query.error_message,
+        sessionSafety: query.session_safety
       },
       routingDecisions: decisions.map(d => ({
         layer: d.layer,
@@ -353,14 +935,21 @@ async function handleQueryTrace(req, res) {
         apiLatency: d.api_latency_ms,
         riskTokenCount: d.risk_token_count,
         hasProductContext: d.has_product_context,
-        embeddingScore: d.embedding_score
+        embeddingScore: d.embedding_score,
+        subject: d.subject,
+        polarity: d.polarity
       })),
       retrievalDetails: retrievalDetails.map(r => ({
         documentId: r.document_id,
         documentSection: r.document_section,
         similarityScore: r.similarity_score,
         rankPosition: r.rank_position,
-        scopeFiltered: r.scope_filtered
+        scopeFiltered: r.scope_filtered,
+        vectorScore: r.vector_score,
+        vectorRank: r.vector_rank,
+        lexicalScore: r.lexical_score,
+        lexicalRank: r.lexical_rank,
+        fusedScore: r.fused_score
       }))
     }
   });
@@ -0,0 +1,48 @@
+import { withAutoMigration } from '../lib/database/api-middleware.js';
+import { withRateLimit } from '../lib/http/rate-limit.js';
+import { logFeedback } from '../lib/database/queries.js';
+import { scrubPii } from '../lib/router/pii.js';
+
+const ORIGIN_ALLOWED = process.env.ORIGIN_ALLOWED || '*';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const RATINGS = ['up', 'down'];
+// Reason codes offered by the widgets under a thumbs down
+const REASONS = ['incorrect', 'incomplete', 'not-relevant', 'unclear', 'other'];
+const MAX_COMMENT_CHARS = 1000;
+
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', ORIGIN_ALLOWED);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { queryId, rating, reason = null, comment = null } = req.body || {};
+  if (typeof queryId !== 'string' || !UUID_PATTERN.test(queryId)) return res.status(400).json({ error: 'valid queryId required' });
+  if (!RATINGS.includes(rating)) return res.status(400).json({ error: `rating must be one of: ${RATINGS.join(', ')}` });
+  if (reason !== null && !REASONS.includes(reason)) return res.status(400).json({ error: `reason must be one of: ${REASONS.join(', ')}` });
+  if (comment !== null && typeof comment !== 'string') return res.status(400).json({ error: 'comment must be a string' });
+
+  // Free text is stored like chat messages: PII replaced by typed placeholders
+  const text = comment ? comment.trim().slice(0, MAX_COMMENT_CHARS) : '';
+
+  try {
+    const feedbackId = await logFeedback({
+      queryId,
+      rating,
+      reason,
+      comment: text ? scrubPii(text).text : null
+    });
+    if (!feedbackId) return res.status(404).json({ error: 'answer not found' });
+    res.json({ success: true, feedbackId });
+  } catch (e) {
+    console.error('Failed to record feedback:', e.message);
+    res.status(500).json({ error: 'server error' });
+  }
+}
+
+// Export handler wrapped with auto-migration and per-IP rate limiting
+export default withAutoMigration(withRateLimit(handler, { endpoint: 'feedback' }), {
+  requireMigrations: true,
+  migrationTimeout: 10000
+});
@@ -0,0 +1,104 @@
+import { withAutoMigration } from '../lib/database/api-middleware.js';
+import { withRateLimit } from '../lib/http/rate-limit.js';
+import { getHandoffTrace, logHandoff } from '../lib/database/queries.js';
+import { getSessionHistory } from '../lib/session/session-store.js';
+import { getHandoffAdapter } from '../lib/handoff/adapter.js';
+import { buildTicket } from '../lib/handoff/ticket.js';
+import { HUMAN_SUPPORT_EMAIL } from '../lib/pipeline/resources.js';
+
+const ORIGIN_ALLOWED = process.env.ORIGIN_ALLOWED || '*';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NOTE_CHARS = 2000;
+
+// Query logs are optional: without a database the ticket falls back to the
+// session transcript and carries no routing trace.
+async function loadTrace(sessionId, queryId) {
+  try {
+    return await getHandoffTrace({ sessionId, queryId });
+  } catch (error) {
+    console.warn('Failed to load query logs for handoff:', error.message);
+    return [];
+  }
+}
+
+async function recordHandoff(record) {
+  try {
+    await logHandoff(record);
+  } catch (error) {
+    // Logging failures shouldn't hide a delivered ticket from the customer
+    console.error('Failed to log handoff request:', error.message);
+  }
+}
+
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', ORIGIN_ALLOWED);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { sessionId = null, queryId = null, email, name, note } = req.body || {};
+  if (!sessionId && !queryId) return res.status(400).json({ error: 'sessionId or queryId required' });
+  if (queryId && !UUID_PATTERN.test(queryId)) return res.status(400).json({ error: 'invalid queryId' });
+  if (typeof email !== 'string' || email.length > 320 || !EMAIL_PATTERN.test(email.trim())) {
+    return res.status(400).json({ error: 'valid email required' });
+  }
+
+  let adapter;
+  try {
+    adapter = getHandoffAdapter();
+  } catch (error) {
+    console.error('Handoff adapter not configured:', error.message);
+    return res.status(503).json({ error: 'Human handoff is not available', supportEmail: HUMAN_SUPPORT_EMAIL });
+  }
+
+  try {
+    const [turns, trace] = await Promise.all([
+      sessionId ? getSessionHistory(sessionId) : null,
+      loadTrace(sessionId, queryId)
+    ]);
+
+    const ticket = buildTicket({
+      contact: {
+        email: email.trim(),
+        name: typeof name === 'string' ? name.trim().slice(0, 200) : null
+      },
+      note: typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_CHARS) : null,
+      sessionId,
+      queryId,
+      turns: turns || [],
+      trace
+    });
+
+    const record = {
+      sessionId,
+      queryId,
+      contactEmail: ticket.contact.email,
+      contactName: ticket.contact.name,
+      reason: ticket.reason,
+      adapter: adapter.name
+    };
+
+    let delivery;
+    try {
+      delivery = await adapter.deliver(ticket);
+    } catch (error) {
+      console.error(`Handoff delivery via ${adapter.name} failed (${ticket.id}):`, error.message);
+      await recordHandoff({ ...record, status: 'failed', errorMessage: error.message });
+      return res.status(502).json({ error: 'Could not reach the support team', supportEmail: HUMAN_SUPPORT_EMAIL });
+    }
+
+    await recordHandoff({ ...record, status: 'delivered', externalId: delivery.externalId });
+    res.json({ success: true, ticketId: ticket.id, externalId: delivery.externalId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'server error' });
+  }
+}
+
+// Export handler wrapped with auto-migration and per-IP rate limiting
+export default withAutoMigration(withRateLimit(handler, { endpoint: 'handoff' }), {
+  requireMigrations: true,
+  migrationTimeout: 10000
+});
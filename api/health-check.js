@@ -42,6 +42,7 @@ async function handler(req, res) {
         AND table_name IN ('query_logs', 'routing_decisions', 'eval_results', 'retrieval_details')
         AND column_name IN (
           'embedding_tokens', 'chat_completion_tokens', 'estimated_cost', 'api_calls_count',
+          'prompt_tokens', 'completion_tokens', 'cost_version',
           'execution_time_ms', 'api_latency_ms'
         )
       ORDER BY table_name, column_name
@@ -52,6 +53,9 @@ async function handler(req, res) {
       'query_logs.chat_completion_tokens',
       'query_logs.estimated_cost',
       'query_logs.api_calls_count',
+      'query_logs.prompt_tokens',
+      'query_logs.completion_tokens',
+      'query_logs.cost_version',
       'routing_decisions.execution_time_ms',
       'routing_decisions.api_latency_ms'
     ];
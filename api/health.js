@@ -1,9 +1,20 @@
 import { testConnection, getCurrentEnvironment } from '../lib/database/connection.js';
 import { getQueryStats, getEvaluationSummary } from '../lib/database/queries.js';
+import { getProviderConfig } from '../lib/llm/provider.js';
 
 const OPENAI_KEY = process.env.OPENAI_API_KEY;
 const ORIGIN_ALLOWED = process.env.ORIGIN_ALLOWED || '*';
 
+// Report the configured LLM provider without exposing credentials
+function describeLlmProvider() {
+  try {
+    const config = getProviderConfig();
+    return { name: config.kind, embeddingModel: config.embeddingModel, chatModel: config.chatModel, configured: true };
+  } catch (error) {
+    return { name: process.env.LLM_PROVIDER || 'openai', configured: false, error: error.message };
+  }
+}
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', ORIGIN_ALLOWED);
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
@@ -23,7 +34,8 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       nodeVersion: process.version,
-      hasOpenAIKey: !!OPENAI_KEY
+      hasOpenAIKey: !!OPENAI_KEY,
+      llmProvider: describeLlmProvider()
     };
 
     // Get query statistics (only if database is healthy)
@@ -82,7 +94,8 @@ export default async function handler(req, res) {
       system: {
         environment: getCurrentEnvironment(),
         timestamp: new Date().toISOString(),
-        hasOpenAIKey: !!OPENAI_KEY
+        hasOpenAIKey: !!OPENAI_KEY,
+        llmProvider: describeLlmProvider()
       }
     };
 
@@ -37,7 +37,23 @@ export default async function handler(req, res) {
       '001_initial.sql',
       '002_routing_decisions.sql',
       '003_analytics_enhancements.sql',
-      '004_migration_history.sql'
+      '004_migration_history.sql',
+      '005_chat_sessions.sql',
+      '006_token_accounting.sql',
+      '007_answer_compliance.sql',
+      '008_hybrid_retrieval.sql',
+      '009_structured_answers.sql',
+      '010_handoff_requests.sql',
+      '011_rate_limits.sql',
+      '012_pii_redaction.sql',
+      '013_message_language.sql',
+      '014_safety_context.sql',
+      '015_session_safety.sql',
+      '016_shadow_routing.sql',
+      '017_experiments.sql',
+      '018_prompt_versions.sql',
+      '019_feedback.sql',
+      '020_answer_cache.sql'
     ];
 
     let allResults = [];
@@ -77,7 +93,14 @@ export default async function handler(req, res) {
           'query_logs',
           'eval_results',
           'retrieval_details',
-          'routing_decisions'
+          'routing_decisions',
+          'chat_sessions',
+          'handoff_requests',
+          'rate_limit_buckets',
+          'rate_limit_events',
+          'shadow_routing',
+          'feedback',
+          'answer_cache'
         ],
         indexesCreated: [
           'idx_query_logs_timestamp',
@@ -94,7 +117,28 @@ export default async function handler(req, res) {
           'idx_routing_decisions_layer_triggered',
           'idx_routing_decisions_layer_score',
           'idx_routing_decisions_decision_time',
-          'idx_routing_decisions_flow'
+          'idx_routing_decisions_flow',
+          'idx_chat_sessions_updated_at',
+          'idx_query_logs_cost_version',
+          'idx_query_logs_compliance_action',
+          'idx_query_logs_needs_human',
+          'idx_handoff_requests_created_at',
+          'idx_handoff_requests_session',
+          'idx_rate_limit_buckets_updated_at',
+          'idx_rate_limit_events_created_at',
+          'idx_rate_limit_events_endpoint_scope',
+          'idx_query_logs_pii',
+          'idx_query_logs_language',
+          'idx_routing_decisions_safety_context',
+          'idx_query_logs_session_safety',
+          'idx_shadow_routing_candidate',
+          'idx_shadow_routing_disagreements',
+          'idx_query_logs_experiment',
+          'idx_query_logs_prompt',
+          'idx_feedback_query_log',
+          'idx_feedback_created_at',
+          'idx_answer_cache_key',
+          'idx_answer_cache_created_at'
         ],
         environment: getCurrentEnvironment(),
         responseTimeMs: responseTime,
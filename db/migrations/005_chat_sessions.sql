@@ -0,0 +1,26 @@
+-- Chat Sessions: Multi-turn conversation state for /api/chat
+-- Stores a bounded turn history per session so follow-up questions can be resolved
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    id TEXT PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    turns JSONB NOT NULL DEFAULT '[]',
+    turn_count INTEGER NOT NULL DEFAULT 0,
+    state JSONB NOT NULL DEFAULT '{}',
+    environment VARCHAR(20) NOT NULL DEFAULT 'development'
+);
+
+-- Index for expiry sweeps and recent-session lookups
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated_at
+ON chat_sessions(updated_at DESC);
+
+-- Record the context-resolved question alongside the raw message
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS resolved_message TEXT;
+
+-- Comments for documentation
+COMMENT ON TABLE chat_sessions IS 'Conversation sessions with bounded turn history for follow-up resolution';
+COMMENT ON COLUMN chat_sessions.turns IS 'JSON array of recent turns: role, content, layer, timestamp';
+COMMENT ON COLUMN chat_sessions.turn_count IS 'Total number of user turns seen in this session (not bounded)';
+COMMENT ON COLUMN chat_sessions.state IS 'JSON object for per-session routing state';
+COMMENT ON COLUMN query_logs.resolved_message IS 'Standalone question after resolving follow-ups against session history';
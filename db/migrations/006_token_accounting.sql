@@ -0,0 +1,18 @@
+-- Token Accounting: Per-model token counts for accurate cost reporting
+-- Splits chat tokens into prompt/completion and records which models were billed
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS chat_model VARCHAR(100);
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS cost_version SMALLINT;
+
+-- Lets the backfill script find rows still using the old accounting
+CREATE INDEX IF NOT EXISTS idx_query_logs_cost_version
+ON query_logs(cost_version);
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.openai_model IS 'Embedding model used for the query vector (if any)';
+COMMENT ON COLUMN query_logs.chat_model IS 'Chat model used for rewrite and/or RAG completions (if any)';
+COMMENT ON COLUMN query_logs.prompt_tokens IS 'Chat completion prompt tokens (from API usage or tokenizer)';
+COMMENT ON COLUMN query_logs.completion_tokens IS 'Chat completion output tokens (from API usage or tokenizer)';
+COMMENT ON COLUMN query_logs.cost_version IS 'Token accounting version used for estimated_cost (NULL = legacy length/4 estimates)';
@@ -0,0 +1,13 @@
+-- Answer Compliance: Keep the model output alongside the answer actually delivered
+-- The compliance stage may rewrite, redact or replace RAG answers before sending
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS raw_answer TEXT;
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS compliance_action VARCHAR(20);
+
+-- Filtered answers are reviewed far more often than clean ones
+CREATE INDEX IF NOT EXISTS idx_query_logs_compliance_action
+ON query_logs(compliance_action, timestamp DESC) WHERE compliance_action IS NOT NULL AND compliance_action <> 'pass';
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.raw_answer IS 'Generated answer before compliance filtering (RAG only)';
+COMMENT ON COLUMN query_logs.compliance_action IS 'Compliance outcome for generated answers: pass, rewrite, redact or block';
@@ -0,0 +1,15 @@
+-- Hybrid Retrieval: Vector and lexical components of each retrieved chunk
+-- rank_position is the fused (RRF) rank and similarity_score stays the cosine similarity
+
+ALTER TABLE retrieval_details ADD COLUMN IF NOT EXISTS vector_score REAL;
+ALTER TABLE retrieval_details ADD COLUMN IF NOT EXISTS vector_rank INTEGER;
+ALTER TABLE retrieval_details ADD COLUMN IF NOT EXISTS lexical_score REAL;
+ALTER TABLE retrieval_details ADD COLUMN IF NOT EXISTS lexical_rank INTEGER;
+ALTER TABLE retrieval_details ADD COLUMN IF NOT EXISTS fused_score REAL;
+
+-- Comments for documentation
+COMMENT ON COLUMN retrieval_details.vector_score IS 'Cosine similarity between query and chunk embeddings';
+COMMENT ON COLUMN retrieval_details.vector_rank IS 'Rank of the chunk by cosine similarity among scored candidates';
+COMMENT ON COLUMN retrieval_details.lexical_score IS 'BM25 score of the chunk for the query (0 = no shared terms)';
+COMMENT ON COLUMN retrieval_details.lexical_rank IS 'Rank of the chunk by BM25 score (NULL = no lexical match)';
+COMMENT ON COLUMN retrieval_details.fused_score IS 'Weighted reciprocal rank fusion score used for rank_position';
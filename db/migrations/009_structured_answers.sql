@@ -0,0 +1,15 @@
+-- Structured Answers: Citations, self-reported confidence and handoff flag for RAG answers
+-- The model replies with JSON; these columns keep the parsed fields next to the answer
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS answer_confidence REAL;
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS needs_human BOOLEAN;
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS citations JSONB;
+
+-- Answers flagged for a human are the review queue
+CREATE INDEX IF NOT EXISTS idx_query_logs_needs_human
+ON query_logs(timestamp DESC) WHERE needs_human = TRUE;
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.answer_confidence IS 'Model-reported confidence (0-1) for structured RAG answers, NULL when the reply was not valid JSON';
+COMMENT ON COLUMN query_logs.needs_human IS 'Whether the RAG answer was flagged for human follow-up';
+COMMENT ON COLUMN query_logs.citations IS 'Citation markers in the delivered answer mapped to chunk and document IDs';
@@ -0,0 +1,31 @@
+-- Handoff Requests: Customer requests for human follow-up sent via /api/handoff
+-- Each row records one ticket delivered to the configured helpdesk adapter
+
+CREATE TABLE IF NOT EXISTS handoff_requests (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    session_id TEXT,
+    query_log_id UUID REFERENCES query_logs(id) ON DELETE SET NULL,
+    contact_email VARCHAR(320) NOT NULL,
+    contact_name VARCHAR(200),
+    reason VARCHAR(50),
+    adapter VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    external_id VARCHAR(200),
+    error_message TEXT,
+    environment VARCHAR(20) NOT NULL DEFAULT 'development'
+);
+
+-- Index for recent-handoff reporting and per-session lookups
+CREATE INDEX IF NOT EXISTS idx_handoff_requests_created_at
+ON handoff_requests(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_handoff_requests_session
+ON handoff_requests(session_id) WHERE session_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON TABLE handoff_requests IS 'Human follow-up requests bundled into helpdesk tickets by /api/handoff';
+COMMENT ON COLUMN handoff_requests.reason IS 'Routing layer or rule that prompted the handoff (e.g. safety-regex, needs-human)';
+COMMENT ON COLUMN handoff_requests.adapter IS 'Delivery adapter: smtp, webhook, gorgias or zendesk';
+COMMENT ON COLUMN handoff_requests.status IS 'delivered or failed';
+COMMENT ON COLUMN handoff_requests.external_id IS 'Ticket ID or message ID returned by the helpdesk';
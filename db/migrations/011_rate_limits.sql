@@ -0,0 +1,39 @@
+-- Rate Limits: Token buckets for public endpoints and a log of throttled requests
+-- Buckets are keyed by endpoint, scope (ip, session, repeat) and a hashed identifier
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    key TEXT PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL,
+    allowed BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for sweeping idle buckets
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated_at
+ON rate_limit_buckets(updated_at);
+
+CREATE TABLE IF NOT EXISTS rate_limit_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    endpoint VARCHAR(30) NOT NULL,
+    scope VARCHAR(20) NOT NULL,
+    identifier VARCHAR(64) NOT NULL,
+    session_id TEXT,
+    retry_after_seconds INTEGER,
+    environment VARCHAR(20) NOT NULL DEFAULT 'development'
+);
+
+-- Indexes for throttled-traffic analytics
+CREATE INDEX IF NOT EXISTS idx_rate_limit_events_created_at
+ON rate_limit_events(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_events_endpoint_scope
+ON rate_limit_events(endpoint, scope, created_at DESC);
+
+-- Comments for documentation
+COMMENT ON TABLE rate_limit_buckets IS 'Token bucket state per endpoint, scope and hashed client identifier';
+COMMENT ON COLUMN rate_limit_buckets.tokens IS 'Tokens left after the last request (refilled lazily on the next one)';
+COMMENT ON COLUMN rate_limit_buckets.allowed IS 'Whether the last request was allowed';
+COMMENT ON TABLE rate_limit_events IS 'Requests rejected with 429 by the rate limiter';
+COMMENT ON COLUMN rate_limit_events.scope IS 'Bucket that rejected the request: ip, session or repeat (identical message)';
+COMMENT ON COLUMN rate_limit_events.identifier IS 'SHA-256 prefix of the client IP, session ID or repeated message key (raw values are not stored)';
@@ -0,0 +1,14 @@
+-- PII Redaction: Messages are logged with typed placeholders instead of personal data
+-- Records which kinds of PII were removed, plus an optional encrypted original
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS pii_types JSONB;
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS sealed_message TEXT;
+
+-- Support lookups only look at messages that had PII removed
+CREATE INDEX IF NOT EXISTS idx_query_logs_pii
+ON query_logs(timestamp DESC) WHERE pii_types IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.user_message IS 'User message with PII replaced by typed placeholders such as [EMAIL] or [ORDER]';
+COMMENT ON COLUMN query_logs.pii_types IS 'Counts of PII placeholders by type (EMAIL, PHONE, ADDRESS, ORDER, CARD, NAME), NULL when none were found';
+COMMENT ON COLUMN query_logs.sealed_message IS 'AES-256-GCM encrypted original message, only stored when PII was found and PII_ENCRYPTION_KEY is set';
@@ -0,0 +1,11 @@
+-- Message Language: Detected language of each chat message (en, es)
+-- Scripted responses, knowledge docs and generated answers follow this language
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS language VARCHAR(8);
+
+-- Index for per-language analytics
+CREATE INDEX IF NOT EXISTS idx_query_logs_language
+ON query_logs(language, timestamp DESC);
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.language IS 'Detected message language (en, es), NULL for rows logged before detection';
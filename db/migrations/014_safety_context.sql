@@ -0,0 +1,14 @@
+-- Safety Context: Subject and polarity of the cue behind each safety regex decision
+-- e.g. "I'm pregnant" (self/affirmed), "my wife is pregnant" (third-party/affirmed),
+-- "I'm not pregnant" (self/negated), "what if I get pregnant" (self/hypothetical)
+
+ALTER TABLE routing_decisions ADD COLUMN IF NOT EXISTS subject VARCHAR(20);
+ALTER TABLE routing_decisions ADD COLUMN IF NOT EXISTS polarity VARCHAR(20);
+
+-- Index for reviewing refusals and deferrals per category and context
+CREATE INDEX IF NOT EXISTS idx_routing_decisions_safety_context
+ON routing_decisions(category, subject, polarity) WHERE subject IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN routing_decisions.subject IS 'Who the safety cue is about: self, third-party or general (safety-regex only)';
+COMMENT ON COLUMN routing_decisions.polarity IS 'How the safety cue is stated: affirmed, negated or hypothetical (safety-regex only)';
@@ -0,0 +1,12 @@
+-- Session Safety: Sticky safety state of the chat session at each message
+-- Which safety categories have fired in the session, which follow-up policies
+-- (escalate, block-intents, remind) were active and which one was applied
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS session_safety JSONB;
+
+-- Index for finding messages answered under an active safety policy
+CREATE INDEX IF NOT EXISTS idx_query_logs_session_safety
+ON query_logs(timestamp DESC) WHERE session_safety IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.session_safety IS 'Session safety state: {fired: {category: {firstTurn, lastTurn, firstAt, lastAt, count}}, active: [{category, action, turnsLeft}], applied}, NULL when no safety category has fired in the session';
@@ -0,0 +1,41 @@
+-- Shadow Routing: Live chat requests routed through a candidate router config
+-- Each row compares how production and the candidate (router/candidate/) routed
+-- the same message; the candidate's route never reaches the user
+
+CREATE TABLE IF NOT EXISTS shadow_routing (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    query_log_id UUID REFERENCES query_logs(id) ON DELETE CASCADE,
+    candidate_id VARCHAR(20) NOT NULL,
+    production_layer VARCHAR(50) NOT NULL,
+    production_rule VARCHAR(100),
+    production_intent VARCHAR(100),
+    production_category VARCHAR(50),
+    production_refusal BOOLEAN NOT NULL DEFAULT FALSE,
+    candidate_layer VARCHAR(50) NOT NULL,
+    candidate_rule VARCHAR(100),
+    candidate_intent VARCHAR(100),
+    candidate_category VARCHAR(50),
+    candidate_refusal BOOLEAN NOT NULL DEFAULT FALSE,
+    layer_differs BOOLEAN NOT NULL DEFAULT FALSE,
+    rule_differs BOOLEAN NOT NULL DEFAULT FALSE,
+    intent_differs BOOLEAN NOT NULL DEFAULT FALSE,
+    refusal_differs BOOLEAN NOT NULL DEFAULT FALSE,
+    agreed BOOLEAN NOT NULL,
+    environment VARCHAR(20) NOT NULL DEFAULT 'development'
+);
+
+-- Indexes for per-candidate disagreement rates and reviewing disagreements
+CREATE INDEX IF NOT EXISTS idx_shadow_routing_candidate
+ON shadow_routing(candidate_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_shadow_routing_disagreements
+ON shadow_routing(candidate_id, production_layer) WHERE NOT agreed;
+
+-- Comments for documentation
+COMMENT ON TABLE shadow_routing IS 'Production vs candidate routing of the same live chat request (shadow evaluation)';
+COMMENT ON COLUMN shadow_routing.candidate_id IS 'SHA-256 prefix of the candidate config files in router/candidate/';
+COMMENT ON COLUMN shadow_routing.production_layer IS 'Layer that routed the message with the production config (safety-regex, business-regex, safety-embed, intent-embed or rag)';
+COMMENT ON COLUMN shadow_routing.production_category IS 'Safety category of a production refusal';
+COMMENT ON COLUMN shadow_routing.production_refusal IS 'Whether the production config routed to a safety refusal';
+COMMENT ON COLUMN shadow_routing.agreed IS 'Whether layer, rule, intent and refusal all match';
@@ -0,0 +1,13 @@
+-- Experiments: A/B experiment and variant each message was answered under
+-- Sessions are assigned a variant of the enabled experiment in router/experiments.json
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS experiment_id VARCHAR(50);
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS variant_id VARCHAR(50);
+
+-- Index for per-variant experiment reports
+CREATE INDEX IF NOT EXISTS idx_query_logs_experiment
+ON query_logs(experiment_id, variant_id, timestamp DESC) WHERE experiment_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.experiment_id IS 'A/B experiment enabled when the message was answered (router/experiments.json), NULL when none was';
+COMMENT ON COLUMN query_logs.variant_id IS 'Variant of the experiment assigned to the chat session';
@@ -0,0 +1,13 @@
+-- Prompt Versions: RAG prompt template each answer was generated with
+-- Templates are versioned in router/prompts.json
+
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS prompt_id VARCHAR(100);
+ALTER TABLE query_logs ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+
+-- Index for tracing answers back to a prompt version
+CREATE INDEX IF NOT EXISTS idx_query_logs_prompt
+ON query_logs(prompt_id, prompt_version, timestamp DESC) WHERE prompt_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN query_logs.prompt_id IS 'RAG prompt template (router/prompts.json) the answer was generated with, NULL when no LLM answer was generated';
+COMMENT ON COLUMN query_logs.prompt_version IS 'Version of the prompt template';
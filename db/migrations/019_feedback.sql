@@ -0,0 +1,29 @@
+-- Answer Feedback: Thumbs up/down from the chat widgets on individual answers
+-- One row per answer; a later rating or reason for the same answer replaces it
+
+CREATE TABLE IF NOT EXISTS feedback (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    query_log_id UUID NOT NULL REFERENCES query_logs(id) ON DELETE CASCADE,
+    session_id TEXT,
+    rating VARCHAR(10) NOT NULL CHECK (rating IN ('up', 'down')),
+    reason VARCHAR(50),
+    comment TEXT,
+    environment VARCHAR(20) NOT NULL DEFAULT 'development'
+);
+
+-- One rating per answer (upserted by /api/feedback)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_query_log
+ON feedback(query_log_id);
+
+-- Index for recent-feedback reporting
+CREATE INDEX IF NOT EXISTS idx_feedback_created_at
+ON feedback(created_at DESC);
+
+-- Comments for documentation
+COMMENT ON TABLE feedback IS 'Customer ratings of chat answers from /api/feedback';
+COMMENT ON COLUMN feedback.session_id IS 'Chat session of the rated answer (from query_logs)';
+COMMENT ON COLUMN feedback.rating IS 'up or down';
+COMMENT ON COLUMN feedback.reason IS 'Reason code for a thumbs down: incorrect, incomplete, not-relevant, unclear or other';
+COMMENT ON COLUMN feedback.comment IS 'Optional free text, with PII replaced by placeholders';
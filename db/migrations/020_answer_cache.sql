@@ -0,0 +1,38 @@
+-- Answer Cache: Generated RAG answers reused for near-duplicate questions
+-- Keyed by knowledge version, prompt version, chat model, scope, language and
+-- A/B variant; matched on query embedding similarity (lib/knowledge/answer-cache.js)
+
+CREATE TABLE IF NOT EXISTS answer_cache (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    cache_key VARCHAR(64) NOT NULL,
+    knowledge_version VARCHAR(20) NOT NULL,
+    prompt_id VARCHAR(100) NOT NULL,
+    prompt_version INTEGER NOT NULL,
+    question TEXT NOT NULL,
+    embedding JSONB NOT NULL,
+    answer TEXT NOT NULL,
+    sources JSONB,
+    citations JSONB,
+    confidence REAL,
+    compliance_action VARCHAR(20),
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMPTZ,
+    environment VARCHAR(20) NOT NULL DEFAULT 'development'
+);
+
+-- Index for lookups by key (most recent first)
+CREATE INDEX IF NOT EXISTS idx_answer_cache_key
+ON answer_cache(cache_key, environment, created_at DESC);
+
+-- Index for purging expired entries
+CREATE INDEX IF NOT EXISTS idx_answer_cache_created_at
+ON answer_cache(created_at);
+
+-- Comments for documentation
+COMMENT ON TABLE answer_cache IS 'Generated RAG answers reused for questions whose embedding is close to a cached one';
+COMMENT ON COLUMN answer_cache.cache_key IS 'Hash of the knowledge version, prompt template + version, chat model, scope, language and A/B variant';
+COMMENT ON COLUMN answer_cache.knowledge_version IS 'SHA-256 prefix of data/embeddings.json the answer was generated from';
+COMMENT ON COLUMN answer_cache.question IS 'Question as answered, with PII replaced by placeholders';
+COMMENT ON COLUMN answer_cache.embedding IS 'Query embedding (JSON array) compared with new questions';
+COMMENT ON COLUMN answer_cache.hit_count IS 'Times the answer was reused';
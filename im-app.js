@@ -1,6 +1,91 @@
 (()=>{
   const API_BASE = document.currentScript?.dataset.apiBase || "";
   const BRAND_EMAIL = document.currentScript?.dataset.brandEmail || "info@intelligentmolecules.com";
+  const SESSION_KEY = 'imConciergeSession';
+
+  // UI strings by language: data-lang on the script tag, else the browser language.
+  // The language is also sent to /api/chat as a hint for messages too short to detect.
+  const STRINGS = {
+    en: {
+      title: 'Intelligent Molecules Concierge',
+      subnote: 'General info only — not medical advice',
+      welcome: 'Hi! I’m the Intelligent Molecules Concierge. How can I help?',
+      disclaimer: 'The statements on this website have not been evaluated by the Food and Drug Administration. This product is not intended to diagnose, treat, cure or prevent any disease.',
+      chips: [['When should I take A‑Minus?', 'When to take'], ['What is the science behind A-Minus?', 'Science'], ['What is your return policy?', 'Returns'], ['What can I stack A‑Minus with?', 'Stacking']],
+      orderChip: 'Where’s my order?',
+      placeholder: 'What is A-Minus?',
+      send: 'Send',
+      noAnswer: 'Sorry, I could not answer.',
+      handoffButton: 'Have a human follow up',
+      handoffEmail: 'Your email',
+      handoffNote: 'Anything to add? (optional)',
+      handoffSubmit: 'Send to our team',
+      handoffSent: (email) => `Thanks — our team has this conversation and will follow up at ${email}.`,
+      handoffFailed: `We couldn't send that right now. Please email <a href="mailto:${BRAND_EMAIL}">${BRAND_EMAIL}</a>.`,
+      feedbackUp: 'Helpful',
+      feedbackDown: 'Not helpful',
+      feedbackWhy: 'What went wrong?',
+      feedbackReasons: [['incorrect', 'Incorrect'], ['incomplete', 'Incomplete'], ['not-relevant', 'Not what I asked'], ['unclear', 'Unclear'], ['other', 'Other']],
+      feedbackComment: 'Tell us more (optional)',
+      feedbackSubmit: 'Send feedback',
+      feedbackThanks: 'Thanks for the feedback.',
+      snag: `Hmm, I hit a snag. Please try again or email ${BRAND_EMAIL}.`,
+      orderPrompt: 'I can check your order. Please enter your <b>Order #</b> (e.g., #1234) and the <b>email</b> used at checkout.',
+      orderNumber: 'Order #',
+      orderEmail: 'Email',
+      orderSubmit: 'Check status',
+      orderError: 'Order lookup: ',
+      orderFinancial: 'Financial status',
+      orderFulfillment: 'Fulfillment',
+      orderCarrier: 'Carrier',
+      orderTracking: 'Tracking',
+      orderNoTracking: 'not yet available',
+      orderFailed: `Could not retrieve order right now. Please email ${BRAND_EMAIL}.`
+    },
+    es: {
+      title: 'Concierge de Intelligent Molecules',
+      subnote: 'Solo información general, no es consejo médico',
+      welcome: '¡Hola! Soy el Concierge de Intelligent Molecules. ¿En qué puedo ayudarte?',
+      disclaimer: 'Estas declaraciones no han sido evaluadas por la Administración de Alimentos y Medicamentos (FDA). Este producto no está destinado a diagnosticar, tratar, curar ni prevenir ninguna enfermedad.',
+      chips: [['¿Cuándo debo tomar A‑Minus?', 'Cuándo tomarlo'], ['¿Cuál es la ciencia detrás de A-Minus?', 'Ciencia'], ['¿Cuál es su política de devoluciones?', 'Devoluciones'], ['¿Con qué puedo combinar A‑Minus?', 'Combinaciones']],
+      orderChip: '¿Dónde está mi pedido?',
+      placeholder: '¿Qué es A-Minus?',
+      send: 'Enviar',
+      noAnswer: 'Lo siento, no pude responder.',
+      handoffButton: 'Que me contacte una persona',
+      handoffEmail: 'Tu correo electrónico',
+      handoffNote: '¿Algo que agregar? (opcional)',
+      handoffSubmit: 'Enviar al equipo',
+      handoffSent: (email) => `Gracias — nuestro equipo tiene esta conversación y te escribirá a ${email}.`,
+      handoffFailed: `No pudimos enviarlo en este momento. Escribe a <a href="mailto:${BRAND_EMAIL}">${BRAND_EMAIL}</a>.`,
+      feedbackUp: 'Útil',
+      feedbackDown: 'No fue útil',
+      feedbackWhy: '¿Qué salió mal?',
+      feedbackReasons: [['incorrect', 'Incorrecta'], ['incomplete', 'Incompleta'], ['not-relevant', 'No es lo que pregunté'], ['unclear', 'Poco clara'], ['other', 'Otro']],
+      feedbackComment: 'Cuéntanos más (opcional)',
+      feedbackSubmit: 'Enviar comentario',
+      feedbackThanks: 'Gracias por tu opinión.',
+      snag: `Algo salió mal. Inténtalo de nuevo o escribe a ${BRAND_EMAIL}.`,
+      orderPrompt: 'Puedo revisar tu pedido. Ingresa tu <b>número de pedido</b> (p. ej., #1234) y el <b>correo</b> que usaste al comprar.',
+      orderNumber: 'Pedido #',
+      orderEmail: 'Correo electrónico',
+      orderSubmit: 'Ver estado',
+      orderError: 'Consulta de pedido: ',
+      orderFinancial: 'Estado del pago',
+      orderFulfillment: 'Preparación',
+      orderCarrier: 'Transportista',
+      orderTracking: 'Seguimiento',
+      orderNoTracking: 'aún no disponible',
+      orderFailed: `No pudimos consultar el pedido en este momento. Escribe a ${BRAND_EMAIL}.`
+    }
+  };
+  const LANG = [document.currentScript?.dataset.lang, navigator.language]
+    .map(tag => String(tag || '').toLowerCase().split(/[-_]/)[0])
+    .find(code => STRINGS[code]) || 'en';
+  const T = STRINGS[LANG];
+  let sessionId = null;
+  try { sessionId = sessionStorage.getItem(SESSION_KEY); } catch (e) {}
+  const rememberSession = (id) => { if (!id) return; sessionId = id; try { sessionStorage.setItem(SESSION_KEY, id); } catch (e) {} };
 
   const css = `
   :root{color-scheme:light}
@@ -13,6 +98,12 @@
   .subnote{font-size:12px;color:#6b7280;font-weight:400}
   .actions{flex:0 0 auto;display:flex;gap:8px;flex-wrap:wrap;padding:10px 16px;border-bottom:1px solid #eee}
   .chip{font-size:12px;border:1px solid #e5e7eb;border-radius:999px;padding:6px 10px;background:#fff;cursor:pointer}
+  .handoff{margin-top:8px;display:flex;flex-direction:column;gap:6px}
+  .feedback{margin-top:6px;display:flex;flex-direction:column;gap:6px}
+  .thumbs{display:flex;gap:4px}
+  .thumb{font-size:13px;border:1px solid #e5e7eb;border-radius:999px;padding:2px 8px;background:#fff;cursor:pointer}
+  .cites{margin:8px 0 0;padding-left:18px;font-size:12px;color:#6b7280}
+  .msg sup a{text-decoration:none}
   .body{flex:1 1 auto;overflow:auto;padding:16px;display:flex;flex-direction:column;gap:10px;background:#fafafa}
   .msg{font-size:15px;line-height:1.45;border-radius:10px;padding:10px 12px;max-width:800px}
   .user{align-self:flex-end;background:#eef2ff;border:1px solid #c7d2fe}
@@ -37,20 +128,18 @@
   const app = document.createElement('div');
   app.className = 'app';
   app.innerHTML = `
-    <div class="header">Intelligent Molecules Concierge <span class="subnote">General info only — not medical advice</span></div>
+    <div class="header">${T.title} <span class="subnote">${T.subnote}</span></div>
     <div class="actions">
-      <span class="chip" data-q="When should I take A‑Minus?">When to take</span>
-      <span class="chip" data-q="What is the science behind A-Minus?">Science</span>
-      <span class="chip" data-q="What is your return policy?">Returns</span>
-      <span class="chip" data-order="1">Where’s my order?</span>
-      <span class="chip" data-q="What can I stack A‑Minus with?">Stacking</span>
+      ${T.chips.slice(0, 3).map(([q, label]) => `<span class="chip" data-q="${q}">${label}</span>`).join('')}
+      <span class="chip" data-order="1">${T.orderChip}</span>
+      ${T.chips.slice(3).map(([q, label]) => `<span class="chip" data-q="${q}">${label}</span>`).join('')}
     </div>
     <div class="body" id="chatBody"></div>
     <div class="foot">
-      <input id="chatInput" class="input" placeholder="What is A-Minus?"/>
-      <button id="chatSend" class="send">Send</button>
+      <input id="chatInput" class="input" placeholder="${T.placeholder}"/>
+      <button id="chatSend" class="send">${T.send}</button>
     </div>
-    <div class="note footer-note">The statements on this website have not been evaluated by the Food and Drug Administration. This product is not intended to diagnose, treat, cure or prevent any disease.</div>
+    <div class="note footer-note">${T.disclaimer}</div>
   `;
   document.body.appendChild(frame);
   frame.appendChild(app);
@@ -65,6 +154,107 @@
     div.innerHTML = html;
     bodyEl.appendChild(div);
     bodyEl.scrollTop = bodyEl.scrollHeight;
+    return div;
+  };
+
+  const esc = (s) => String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);
+
+  // Answer text with [n] citation markers as footnote links, cited sources listed below
+  const renderAnswer = (data) => {
+    const cites = {}; (data.citations || []).forEach(c => { cites[c.marker] = c; });
+    let html = esc(data.answer || T.noAnswer).replace(/\[(\d+)\]/g, (m, n) => cites[n]
+      ? `<sup><a href="${esc(cites[n].url || '#')}" target="_blank" rel="noopener" title="${esc(cites[n].title || '')}">[${n}]</a></sup>` : m);
+    if ((data.citations || []).length) {
+      html += `<ol class="cites">` + data.citations.map(c => `<li value="${c.marker}"><a href="${esc(c.url || '#')}" target="_blank" rel="noopener">${esc(c.title || c.docId)}</a></li>`).join('') + '</ol>';
+    }
+    return html;
+  };
+
+  // Safety refusals and answers flagged for a person offer a one-click handoff:
+  // /api/handoff sends the conversation to the support team with the customer's email
+  const offerHandoff = (el, data) => {
+    if (!data || !(data.needsHuman || /^safety-/.test((data.routing && data.routing.layer) || ''))) return;
+    const box = document.createElement('div'); box.className = 'handoff';
+    box.innerHTML = `<button class="chip" type="button">${T.handoffButton}</button>`;
+    box.querySelector('button').onclick = () => {
+      box.innerHTML = `
+        <form style="display:flex;flex-direction:column;gap:6px">
+          <input name="email" type="email" placeholder="${T.handoffEmail}" class="input" required/>
+          <input name="note" placeholder="${T.handoffNote}" class="input"/>
+          <button class="send" type="submit">${T.handoffSubmit}</button>
+        </form>`;
+      const form = box.querySelector('form');
+      form.onsubmit = async (ev) => {
+        ev.preventDefault();
+        const fields = Object.fromEntries(new FormData(form).entries());
+        form.querySelector('button').disabled = true;
+        try {
+          const r = await fetch(`${API_BASE}/api/handoff`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ sessionId, ...fields })});
+          const j = await r.json();
+          if (!j.success) throw new Error(j.error);
+          box.innerHTML = `<div class="note">${T.handoffSent(esc(fields.email))}</div>`;
+        } catch (e) {
+          box.innerHTML = `<div class="note">${T.handoffFailed}</div>`;
+        }
+        bodyEl.scrollTop = bodyEl.scrollHeight;
+      };
+      bodyEl.scrollTop = bodyEl.scrollHeight;
+    };
+    el.appendChild(box);
+    bodyEl.scrollTop = bodyEl.scrollHeight;
+  };
+
+  // Thumbs under each answer rate it by the query ID /api/chat returned (/api/feedback).
+  // A thumbs down then asks for a reason and a comment, sent as an update of the same rating.
+  const sendFeedback = (body) => fetch(`${API_BASE}/api/feedback`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(body)}).catch(() => {});
+  const offerFeedback = (el, data) => {
+    if (!data || !data.queryId) return;
+    const box = document.createElement('div'); box.className = 'feedback';
+    box.innerHTML = `<div class="thumbs">
+      <button class="thumb" type="button" data-rating="up" title="${T.feedbackUp}" aria-label="${T.feedbackUp}">👍</button>
+      <button class="thumb" type="button" data-rating="down" title="${T.feedbackDown}" aria-label="${T.feedbackDown}">👎</button>
+    </div>`;
+    box.querySelectorAll('button').forEach(btn => {
+      btn.onclick = () => {
+        const rating = btn.dataset.rating;
+        sendFeedback({ queryId: data.queryId, rating });
+        if (rating === 'up') { box.innerHTML = `<div class="note">${T.feedbackThanks}</div>`; return; }
+        box.innerHTML = `
+          <form style="display:flex;flex-direction:column;gap:6px">
+            <div class="note">${T.feedbackWhy}</div>
+            <div style="display:flex;gap:6px;flex-wrap:wrap">
+              ${T.feedbackReasons.map(([code, label]) => `<label class="chip"><input type="radio" name="reason" value="${code}"/> ${label}</label>`).join('')}
+            </div>
+            <input name="comment" placeholder="${T.feedbackComment}" class="input" maxlength="1000"/>
+            <button class="send" type="submit">${T.feedbackSubmit}</button>
+          </form>`;
+        const form = box.querySelector('form');
+        form.onsubmit = (ev) => {
+          ev.preventDefault();
+          const fields = Object.fromEntries(new FormData(form).entries());
+          sendFeedback({ queryId: data.queryId, rating, reason: fields.reason || null, comment: fields.comment || null });
+          box.innerHTML = `<div class="note">${T.feedbackThanks}</div>`;
+        };
+        bodyEl.scrollTop = bodyEl.scrollHeight;
+      };
+    });
+    el.appendChild(box);
+  };
+
+  // Reads the /api/chat event stream: token* → done | error
+  const readEvents = async (r, onEvent) => {
+    const reader = r.body.getReader(); const dec = new TextDecoder(); let buf = '';
+    for (;;) {
+      const { value, done } = await reader.read(); if (done) break;
+      buf += dec.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      let i;
+      while ((i = buf.indexOf('\n\n')) !== -1) {
+        const block = buf.slice(0, i); buf = buf.slice(i + 2);
+        let ev = 'message', data = '';
+        block.split('\n').forEach(l => { if (l.startsWith('event:')) ev = l.slice(6).trim(); else if (l.startsWith('data:')) data += l.slice(5).trim(); });
+        if (data) onEvent(ev, JSON.parse(data));
+      }
+    }
   };
 
   const addTyping = () => {
@@ -85,30 +275,57 @@
   const ask = async (q) => {
     addMsg(q, 'user'); inputEl.value = '';
     const typingEl = addTyping();
+    let botEl = null;
     try {
       const r = await fetch(`${API_BASE}/api/chat`, {
-        method:'POST', headers:{'Content-Type':'application/json'},
-        body: JSON.stringify({ message: q })
+        method:'POST', headers:{'Content-Type':'application/json','Accept':'text/event-stream'},
+        body: JSON.stringify({ message: q, sessionId, lang: LANG, stream: true })
+      });
+      if (!(r.headers.get('content-type') || '').includes('text/event-stream')) {
+        // Errors (400/429/503) still come back as JSON
+        const j = await r.json();
+        rememberSession(j && j.sessionId);
+        const answer = (j && j.answer) ? renderAnswer(j)
+          : (r.status === 429 && j && j.error) ? esc(j.error)
+          : (j && j.text) || T.noAnswer;
+        removeTyping(typingEl);
+        const el = addMsg(answer, 'bot');
+        offerFeedback(el, j);
+        offerHandoff(el, j);
+        return;
+      }
+      let text = '';
+      await readEvents(r, (ev, data) => {
+        if (ev === 'token') {
+          if (!botEl) { removeTyping(typingEl); botEl = addMsg('', 'bot'); }
+          text += data.text; botEl.textContent = text; bodyEl.scrollTop = bodyEl.scrollHeight;
+        } else if (ev === 'done') {
+          rememberSession(data.sessionId);
+          removeTyping(typingEl);
+          if (!botEl) botEl = addMsg('', 'bot');
+          botEl.innerHTML = renderAnswer(data);
+          offerFeedback(botEl, data);
+          offerHandoff(botEl, data);
+        } else if (ev === 'error') {
+          throw new Error(data.error);
+        }
       });
-      const j = await r.json();
-      const answer = (j && (j.answer || j.text || 'Sorry, I could not answer.'));
-      removeTyping(typingEl);
-      addMsg(answer, 'bot');
     } catch (e){
       removeTyping(typingEl);
-      addMsg('Hmm, I hit a snag. Please try again or email '+BRAND_EMAIL+'.');
+      if (botEl) botEl.remove();
+      addMsg(T.snag);
     }
   };
 
   const orderFlow = async () => {
     const wrapper = document.createElement('div');
     wrapper.innerHTML = `
-      <div class="msg bot">I can check your order. Please enter your <b>Order #</b> (e.g., #1234) and the <b>email</b> used at checkout.</div>
+      <div class="msg bot">${T.orderPrompt}</div>
       <div class="msg user" style="display:block">
         <form id="orderForm" style="display:flex;flex-direction:column;gap:8px">
-          <input name="orderNumber" placeholder="Order #" class="input" required/>
-          <input name="email" placeholder="Email" class="input" required/>
-          <button class="send" type="submit">Check status</button>
+          <input name="orderNumber" placeholder="${T.orderNumber}" class="input" required/>
+          <input name="email" placeholder="${T.orderEmail}" class="input" required/>
+          <button class="send" type="submit">${T.orderSubmit}</button>
         </form>
       </div>`;
     bodyEl.appendChild(wrapper); bodyEl.scrollTop = bodyEl.scrollHeight;
@@ -119,10 +336,10 @@
       try {
         const r = await fetch(`${API_BASE}/api/order`, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(data)});
         const j = await r.json();
-        if (j.error) return addMsg('Order lookup: '+j.error);
-        const shipLines = (j.shipments||[]).map(s=>`${s.tracking_company||'Carrier'} ${Array.isArray(s.tracking_numbers)?s.tracking_numbers.join(', '):''}`).join('<br>');
-        addMsg(`<b>${j.order_name}</b><br>Financial status: ${j.financial_status||'-'}<br>Fulfillment: ${j.fulfillment_status||'-'}<br>${shipLines?('Tracking: <br>'+shipLines):'Tracking: not yet available'}`);
-      } catch(e){ addMsg('Could not retrieve order right now. Please email '+BRAND_EMAIL+'.'); }
+        if (j.error) return addMsg(T.orderError+j.error);
+        const shipLines = (j.shipments||[]).map(s=>`${s.tracking_company||T.orderCarrier} ${Array.isArray(s.tracking_numbers)?s.tracking_numbers.join(', '):''}`).join('<br>');
+        addMsg(`<b>${j.order_name}</b><br>${T.orderFinancial}: ${j.financial_status||'-'}<br>${T.orderFulfillment}: ${j.fulfillment_status||'-'}<br>${shipLines?(`${T.orderTracking}: <br>`+shipLines):`${T.orderTracking}: ${T.orderNoTracking}`}`);
+      } catch(e){ addMsg(T.orderFailed); }
     };
   };
 
@@ -136,5 +353,5 @@
   });
 
   // Welcome message
-  addMsg("Hi! I’m the Intelligent Molecules Concierge. How can I help?");
+  addMsg(T.welcome);
 })();
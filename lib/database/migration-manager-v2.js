@@ -181,6 +181,193 @@ async function checkMigrationObjectsExist(version) {
         const historyCount = parseInt((historyResult[0] || historyResult.rows?.[0])?.count || 0);
         return historyCount >= 2;
 
+      case '005_chat_sessions.sql':
+        // Check if session table and resolved message column exist
+        const sessionsResult = await db`
+          SELECT
+            (SELECT COUNT(*) FROM information_schema.tables
+              WHERE table_schema = 'public' AND table_name = 'chat_sessions') as tables,
+            (SELECT COUNT(*) FROM information_schema.columns
+              WHERE table_schema = 'public' AND table_name = 'query_logs'
+                AND column_name = 'resolved_message') as columns
+        `;
+        const sessionsRow = sessionsResult[0] || sessionsResult.rows?.[0];
+        return parseInt(sessionsRow?.tables || 0) >= 1 && parseInt(sessionsRow?.columns || 0) >= 1;
+
+      case '006_token_accounting.sql':
+        // Check if token accounting columns exist
+        const tokenColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name IN ('chat_model', 'prompt_tokens', 'completion_tokens', 'cost_version')
+        `;
+        const tokenColumnCount = parseInt((tokenColumnsResult[0] || tokenColumnsResult.rows?.[0])?.count || 0);
+        return tokenColumnCount >= 4;
+
+      case '007_answer_compliance.sql':
+        // Check if answer compliance columns exist
+        const complianceColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name IN ('raw_answer', 'compliance_action')
+        `;
+        const complianceColumnCount = parseInt((complianceColumnsResult[0] || complianceColumnsResult.rows?.[0])?.count || 0);
+        return complianceColumnCount >= 2;
+
+      case '008_hybrid_retrieval.sql':
+        // Check if hybrid retrieval columns exist
+        const retrievalColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'retrieval_details'
+            AND column_name IN ('vector_score', 'vector_rank', 'lexical_score', 'lexical_rank', 'fused_score')
+        `;
+        const retrievalColumnCount = parseInt((retrievalColumnsResult[0] || retrievalColumnsResult.rows?.[0])?.count || 0);
+        return retrievalColumnCount >= 5;
+
+      case '009_structured_answers.sql':
+        // Check if structured answer columns exist
+        const answerColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name IN ('answer_confidence', 'needs_human', 'citations')
+        `;
+        const answerColumnCount = parseInt((answerColumnsResult[0] || answerColumnsResult.rows?.[0])?.count || 0);
+        return answerColumnCount >= 3;
+
+      case '010_handoff_requests.sql':
+        // Check if handoff table exists
+        const handoffResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.tables
+          WHERE table_schema = 'public' AND table_name = 'handoff_requests'
+        `;
+        const handoffTableCount = parseInt((handoffResult[0] || handoffResult.rows?.[0])?.count || 0);
+        return handoffTableCount >= 1;
+
+      case '011_rate_limits.sql':
+        // Check if rate limit tables exist
+        const rateLimitResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.tables
+          WHERE table_schema = 'public'
+            AND table_name IN ('rate_limit_buckets', 'rate_limit_events')
+        `;
+        const rateLimitTableCount = parseInt((rateLimitResult[0] || rateLimitResult.rows?.[0])?.count || 0);
+        return rateLimitTableCount >= 2;
+
+      case '012_pii_redaction.sql':
+        // Check if PII redaction columns exist
+        const piiColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name IN ('pii_types', 'sealed_message')
+        `;
+        const piiColumnCount = parseInt((piiColumnsResult[0] || piiColumnsResult.rows?.[0])?.count || 0);
+        return piiColumnCount >= 2;
+
+      case '013_message_language.sql':
+        // Check if the language column exists
+        const languageColumnResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name = 'language'
+        `;
+        const languageColumnCount = parseInt((languageColumnResult[0] || languageColumnResult.rows?.[0])?.count || 0);
+        return languageColumnCount >= 1;
+
+      case '014_safety_context.sql':
+        // Check if the safety context columns exist
+        const safetyContextResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'routing_decisions'
+            AND column_name IN ('subject', 'polarity')
+        `;
+        const safetyContextCount = parseInt((safetyContextResult[0] || safetyContextResult.rows?.[0])?.count || 0);
+        return safetyContextCount >= 2;
+
+      case '015_session_safety.sql':
+        // Check if the session safety column exists
+        const sessionSafetyResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name = 'session_safety'
+        `;
+        const sessionSafetyCount = parseInt((sessionSafetyResult[0] || sessionSafetyResult.rows?.[0])?.count || 0);
+        return sessionSafetyCount >= 1;
+
+      case '016_shadow_routing.sql':
+        // Check if the shadow routing table exists
+        const shadowRoutingResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.tables
+          WHERE table_schema = 'public'
+            AND table_name = 'shadow_routing'
+        `;
+        const shadowRoutingCount = parseInt((shadowRoutingResult[0] || shadowRoutingResult.rows?.[0])?.count || 0);
+        return shadowRoutingCount >= 1;
+
+      case '017_experiments.sql':
+        // Check if the experiment columns exist
+        const experimentColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name IN ('experiment_id', 'variant_id')
+        `;
+        const experimentColumnCount = parseInt((experimentColumnsResult[0] || experimentColumnsResult.rows?.[0])?.count || 0);
+        return experimentColumnCount >= 2;
+
+      case '018_prompt_versions.sql':
+        // Check if the prompt columns exist
+        const promptColumnsResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.columns
+          WHERE table_schema = 'public'
+            AND table_name = 'query_logs'
+            AND column_name IN ('prompt_id', 'prompt_version')
+        `;
+        const promptColumnCount = parseInt((promptColumnsResult[0] || promptColumnsResult.rows?.[0])?.count || 0);
+        return promptColumnCount >= 2;
+
+      case '019_feedback.sql':
+        // Check if the feedback table exists
+        const feedbackResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.tables
+          WHERE table_schema = 'public'
+            AND table_name = 'feedback'
+        `;
+        const feedbackCount = parseInt((feedbackResult[0] || feedbackResult.rows?.[0])?.count || 0);
+        return feedbackCount >= 1;
+
+      case '020_answer_cache.sql':
+        // Check if the answer cache table exists
+        const answerCacheResult = await db`
+          SELECT COUNT(*) as count
+          FROM information_schema.tables
+          WHERE table_schema = 'public'
+            AND table_name = 'answer_cache'
+        `;
+        const answerCacheCount = parseInt((answerCacheResult[0] || answerCacheResult.rows?.[0])?.count || 0);
+        return answerCacheCount >= 1;
+
       default:
         // Unknown migration - assume not applied
         return false;
@@ -264,7 +451,23 @@ async function getPendingMigrations() {
     '001_initial.sql',
     '002_routing_decisions.sql',
     '003_analytics_enhancements.sql',
-    '004_migration_history.sql'
+    '004_migration_history.sql',
+    '005_chat_sessions.sql',
+    '006_token_accounting.sql',
+    '007_answer_compliance.sql',
+    '008_hybrid_retrieval.sql',
+    '009_structured_answers.sql',
+    '010_handoff_requests.sql',
+    '011_rate_limits.sql',
+    '012_pii_redaction.sql',
+    '013_message_language.sql',
+    '014_safety_context.sql',
+    '015_session_safety.sql',
+    '016_shadow_routing.sql',
+    '017_experiments.sql',
+    '018_prompt_versions.sql',
+    '019_feedback.sql',
+    '020_answer_cache.sql'
   ];
 
   const pending = [];
@@ -1,18 +1,39 @@
 import { getConnection, executeWithRetry, getCurrentEnvironment } from './connection.js';
+import { COST_ACCOUNTING_VERSION } from '../llm/pricing.js';
 
 /**
  * Log a chat query and response to the database.
  * Called asynchronously after response is sent to user.
  *
  * @param {Object} queryData - Query and response data
- * @param {string} queryData.userMessage - Original user message
+ * @param {string} [queryData.queryId] - Row ID chosen up front (returned to the client with the answer)
+ * @param {string} queryData.userMessage - User message with PII replaced by placeholders
  * @param {string} queryData.normalizedMessage - Normalized message used for processing
- * @param {string} queryData.responseAnswer - Generated response
+ * @param {string} [queryData.resolvedMessage] - Standalone question after follow-up resolution
+ * @param {Object} [queryData.piiTypes] - Counts of PII placeholders by type (EMAIL, PHONE, ...)
+ * @param {string} [queryData.sealedMessage] - Encrypted original message (only with PII_ENCRYPTION_KEY)
+ * @param {string} [queryData.language] - Detected message language (en, es)
+ * @param {Object} [queryData.sessionSafety] - Session safety state (fired categories, active and applied policies)
+ * @param {string} queryData.responseAnswer - Response delivered to the user
+ * @param {string} [queryData.rawAnswer] - Generated answer before compliance filtering
+ * @param {string} [queryData.complianceAction] - Compliance outcome (pass, rewrite, redact, block)
+ * @param {number} [queryData.answerConfidence] - Model-reported confidence for structured RAG answers
+ * @param {boolean} [queryData.needsHuman] - Whether the answer was flagged for human follow-up
+ * @param {Array} [queryData.citations] - Citations resolved from the delivered answer
  * @param {Object} queryData.routing - Routing metadata
  * @param {Array} queryData.sources - Source documents with scores
  * @param {number} queryData.responseTimeMs - Response time in milliseconds
- * @param {Object} [queryData.openai] - OpenAI request metadata
+ * @param {Object} [queryData.openai] - OpenAI request metadata (model = embedding model, chatModel)
+ * @param {number} [queryData.embeddingTokens] - Embedding input tokens
+ * @param {number} [queryData.promptTokens] - Chat completion prompt tokens
+ * @param {number} [queryData.completionTokens] - Chat completion output tokens
+ * @param {number} [queryData.chatCompletionTokens] - Prompt + completion tokens
+ * @param {number} [queryData.estimatedCost] - Cost in USD from lib/llm/pricing.js
  * @param {string} [queryData.userSessionId] - User session identifier
+ * @param {string} [queryData.experimentId] - Enabled A/B experiment (router/experiments.json)
+ * @param {string} [queryData.variantId] - The session's variant of that experiment
+ * @param {string} [queryData.promptId] - RAG prompt template the answer was generated with (router/prompts.json)
+ * @param {number} [queryData.promptVersion] - Version of that template
  * @param {string} [queryData.correlationId] - Request correlation ID for tracing
  * @param {string} [queryData.errorMessage] - Error message if any
  * @returns {Promise<string>} Query log ID
@@ -23,8 +44,10 @@ export async function logQuery(queryData) {
   return executeWithRetry(async () => {
     const result = await db`
       INSERT INTO query_logs (
+        id,
         user_message,
         normalized_message,
+        resolved_message,
         response_answer,
         routing_layer,
         routing_rule,
@@ -44,10 +67,29 @@ export async function logQuery(queryData) {
         embedding_tokens,
         chat_completion_tokens,
         estimated_cost,
-        api_calls_count
+        api_calls_count,
+        chat_model,
+        prompt_tokens,
+        completion_tokens,
+        cost_version,
+        raw_answer,
+        compliance_action,
+        answer_confidence,
+        needs_human,
+        citations,
+        pii_types,
+        sealed_message,
+        language,
+        session_safety,
+        experiment_id,
+        variant_id,
+        prompt_id,
+        prompt_version
       ) VALUES (
+        COALESCE(${queryData.queryId || null}::uuid, gen_random_uuid()),
         ${queryData.userMessage},
         ${queryData.normalizedMessage},
+        ${queryData.resolvedMessage || null},
         ${queryData.responseAnswer},
         ${queryData.routing?.layer},
         ${queryData.routing?.rule || null},
@@ -64,10 +106,27 @@ export async function logQuery(queryData) {
         ${getCurrentEnvironment()},
         ${queryData.errorMessage || null},
         ${queryData.apiVersion || '1.0'},
-        ${queryData.embeddingTokens || null},
-        ${queryData.chatCompletionTokens || null},
-        ${queryData.estimatedCost || null},
-        ${queryData.apiCallsCount || null}
+        ${queryData.embeddingTokens ?? null},
+        ${queryData.chatCompletionTokens ?? null},
+        ${queryData.estimatedCost ?? null},
+        ${queryData.apiCallsCount ?? null},
+        ${queryData.openai?.chatModel || null},
+        ${queryData.promptTokens ?? null},
+        ${queryData.completionTokens ?? null},
+        ${COST_ACCOUNTING_VERSION},
+        ${queryData.rawAnswer ?? null},
+        ${queryData.complianceAction || null},
+        ${queryData.answerConfidence ?? null},
+        ${queryData.needsHuman ?? null},
+        ${queryData.citations ? JSON.stringify(queryData.citations) : null},
+        ${queryData.piiTypes ? JSON.stringify(queryData.piiTypes) : null},
+        ${queryData.sealedMessage || null},
+        ${queryData.language || null},
+        ${queryData.sessionSafety ? JSON.stringify(queryData.sessionSafety) : null},
+        ${queryData.experimentId || null},
+        ${queryData.variantId || null},
+        ${queryData.promptId || null},
+        ${queryData.promptVersion ?? null}
       )
       RETURNING id
     `;
@@ -83,7 +142,8 @@ export async function logQuery(queryData) {
 
 /**
  * Log detailed document retrieval information for a query.
- * Stores similarity scores and ranking for each document retrieved.
+ * Stores similarity scores and ranking for each document retrieved, including
+ * the vector and lexical components of the fused ranking.
  *
  * @param {string} queryLogId - ID of the query log record
  * @param {Array} retrievalDetails - Array of document retrieval details
@@ -125,14 +185,24 @@ export async function logRetrievalDetails(queryLogId, retrievalDetails) {
             document_section,
             similarity_score,
             rank_position,
-            scope_filtered
+            scope_filtered,
+            vector_score,
+            vector_rank,
+            lexical_score,
+            lexical_rank,
+            fused_score
           ) VALUES (
             ${queryLogId},
             ${detail.documentId},
             ${detail.documentSection || null},
             ${detail.similarityScore},
             ${index + 1},
-            ${Boolean(detail.scopeFiltered)}
+            ${Boolean(detail.scopeFiltered)},
+            ${detail.vectorScore ?? null},
+            ${detail.vectorRank ?? null},
+            ${detail.lexicalScore ?? null},
+            ${detail.lexicalRank ?? null},
+            ${detail.fusedScore ?? null}
           )
         `;
       } catch (error) {
@@ -242,7 +312,9 @@ export async function logRoutingDecisions(queryLogId, decisionTrace) {
             has_product_context,
             embedding_score,
             execution_time_ms,
-            api_latency_ms
+            api_latency_ms,
+            subject,
+            polarity
           ) VALUES (
             ${queryLogId},
             ${decision.layer},
@@ -256,7 +328,9 @@ export async function logRoutingDecisions(queryLogId, decisionTrace) {
             ${decision.hasProductContext || null},
             ${decision.embeddingScore || null},
             ${decision.executionTime || null},
-            ${decision.apiLatency || null}
+            ${decision.apiLatency || null},
+            ${decision.subject || null},
+            ${decision.polarity || null}
           )
         `;
       } catch (error) {
@@ -267,6 +341,543 @@ export async function logRoutingDecisions(queryLogId, decisionTrace) {
   });
 }
 
+/**
+ * Load a chat session with its bounded turn history.
+ *
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object|null>} Session record or null if not found
+ */
+export async function getChatSession(sessionId) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      SELECT id, created_at, updated_at, turns, turn_count, state
+      FROM chat_sessions
+      WHERE id = ${sessionId}
+    `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const row = result[0] || result.rows?.[0];
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      turns: Array.isArray(row.turns) ? row.turns : [],
+      turnCount: parseInt(row.turn_count) || 0,
+      state: row.state || {}
+    };
+  });
+}
+
+/**
+ * Insert or update a chat session.
+ * Turns are expected to be already trimmed to the configured history bound.
+ *
+ * @param {Object} session - Session data
+ * @param {string} session.id - Session identifier
+ * @param {Array} session.turns - Recent turns
+ * @param {number} session.turnCount - Total user turns seen
+ * @param {Object} [session.state] - Per-session routing state
+ * @returns {Promise<void>}
+ */
+export async function saveChatSession(session) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    await db`
+      INSERT INTO chat_sessions (id, turns, turn_count, state, environment)
+      VALUES (
+        ${session.id},
+        ${JSON.stringify(session.turns || [])},
+        ${session.turnCount || 0},
+        ${JSON.stringify(session.state || {})},
+        ${getCurrentEnvironment()}
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        turns = EXCLUDED.turns,
+        turn_count = EXCLUDED.turn_count,
+        state = EXCLUDED.state,
+        updated_at = NOW()
+    `;
+  });
+}
+
+/**
+ * Load logged queries with their routing decisions for a handoff ticket.
+ * With queryId, returns that query only; otherwise the session's most recent
+ * queries, oldest first.
+ *
+ * @param {Object} options
+ * @param {string} [options.sessionId] - Chat session identifier
+ * @param {string} [options.queryId] - Query log ID
+ * @param {number} [options.limit=20] - Maximum queries to return for a session
+ * @returns {Promise<Array>} Query records with a decisions array
+ */
+export async function getHandoffTrace({ sessionId = null, queryId = null, limit = 20 }) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = queryId
+      ? await db`
+        SELECT
+          q.id, q.timestamp, q.user_message, q.resolved_message, q.response_answer,
+          q.routing_layer, q.routing_rule, q.routing_intent, q.routing_category, q.routing_score,
+          q.compliance_action, q.needs_human, q.error_message,
+          COALESCE((
+            SELECT json_agg(json_build_object(
+              'layer', d.layer, 'rule', d.rule, 'intent', d.intent,
+              'category', d.category, 'score', d.score, 'triggered', d.triggered
+            ) ORDER BY d.execution_order)
+            FROM routing_decisions d WHERE d.query_log_id = q.id
+          ), '[]') as decisions
+        FROM query_logs q
+        WHERE q.id = ${queryId}
+      `
+      : await db`
+        SELECT
+          q.id, q.timestamp, q.user_message, q.resolved_message, q.response_answer,
+          q.routing_layer, q.routing_rule, q.routing_intent, q.routing_category, q.routing_score,
+          q.compliance_action, q.needs_human, q.error_message,
+          COALESCE((
+            SELECT json_agg(json_build_object(
+              'layer', d.layer, 'rule', d.rule, 'intent', d.intent,
+              'category', d.category, 'score', d.score, 'triggered', d.triggered
+            ) ORDER BY d.execution_order)
+            FROM routing_decisions d WHERE d.query_log_id = q.id
+          ), '[]') as decisions
+        FROM query_logs q
+        WHERE q.user_session_id = ${sessionId}
+        ORDER BY q.timestamp DESC
+        LIMIT ${limit}
+      `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const rows = result.rows || result;
+
+    return rows.map(row => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      userMessage: row.user_message,
+      resolvedMessage: row.resolved_message,
+      responseAnswer: row.response_answer,
+      routing: {
+        layer: row.routing_layer,
+        rule: row.routing_rule,
+        intent: row.routing_intent,
+        category: row.routing_category,
+        score: row.routing_score === null ? null : parseFloat(row.routing_score)
+      },
+      complianceAction: row.compliance_action,
+      needsHuman: row.needs_human,
+      errorMessage: row.error_message,
+      decisions: Array.isArray(row.decisions) ? row.decisions : []
+    })).reverse();
+  });
+}
+
+/**
+ * Record a handoff request and its delivery outcome.
+ *
+ * @param {Object} handoff - Handoff data
+ * @param {string} [handoff.sessionId] - Chat session identifier
+ * @param {string} [handoff.queryId] - Query log ID the handoff refers to
+ * @param {string} handoff.contactEmail - Customer email
+ * @param {string} [handoff.contactName] - Customer name
+ * @param {string} [handoff.reason] - Routing layer or rule that prompted the handoff
+ * @param {string} handoff.adapter - Delivery adapter name
+ * @param {string} handoff.status - delivered or failed
+ * @param {string} [handoff.externalId] - Ticket or message ID from the helpdesk
+ * @param {string} [handoff.errorMessage] - Delivery error, if any
+ * @returns {Promise<string>} Handoff request ID
+ */
+export async function logHandoff(handoff) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      INSERT INTO handoff_requests (
+        session_id,
+        query_log_id,
+        contact_email,
+        contact_name,
+        reason,
+        adapter,
+        status,
+        external_id,
+        error_message,
+        environment
+      ) VALUES (
+        ${handoff.sessionId || null},
+        ${handoff.queryId || null},
+        ${handoff.contactEmail},
+        ${handoff.contactName || null},
+        ${handoff.reason || null},
+        ${handoff.adapter},
+        ${handoff.status},
+        ${handoff.externalId || null},
+        ${handoff.errorMessage || null},
+        ${getCurrentEnvironment()}
+      )
+      RETURNING id
+    `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const row = result[0] || result.rows?.[0];
+    return row?.id;
+  });
+}
+
+/**
+ * Record a customer's rating of an answer. A later rating of the same answer
+ * (e.g. a thumbs down followed by its reason) replaces the earlier one.
+ * The session is taken from the rated query log.
+ *
+ * @param {Object} feedback - Feedback data
+ * @param {string} feedback.queryId - query_logs ID returned with the answer
+ * @param {string} feedback.rating - up or down
+ * @param {string} [feedback.reason] - Reason code (incorrect, incomplete, not-relevant, unclear, other)
+ * @param {string} [feedback.comment] - Free text with PII replaced by placeholders
+ * @returns {Promise<string|undefined>} Feedback ID (undefined when the query log doesn't exist)
+ */
+export async function logFeedback(feedback) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      INSERT INTO feedback (
+        query_log_id,
+        session_id,
+        rating,
+        reason,
+        comment,
+        environment
+      )
+      SELECT
+        q.id,
+        q.user_session_id,
+        ${feedback.rating},
+        ${feedback.reason || null},
+        ${feedback.comment || null},
+        ${getCurrentEnvironment()}
+      FROM query_logs q
+      WHERE q.id = ${feedback.queryId}
+      ON CONFLICT (query_log_id) DO UPDATE SET
+        rating = EXCLUDED.rating,
+        reason = EXCLUDED.reason,
+        comment = EXCLUDED.comment,
+        updated_at = NOW()
+      RETURNING id
+    `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const row = result[0] || result.rows?.[0];
+    return row?.id;
+  });
+}
+
+/**
+ * Most recent unexpired answers cached under a key (answer_cache table).
+ *
+ * @param {string} cacheKey - Key from answerCacheKey()
+ * @param {Date} since - Entries created before this have expired
+ * @param {number} [limit] - Maximum entries returned
+ * @returns {Promise<Array<Object>>}
+ */
+export async function findCachedAnswers(cacheKey, since, limit = 100) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      SELECT id, question, embedding, answer, sources, citations, confidence, compliance_action, prompt_id, prompt_version
+      FROM answer_cache
+      WHERE cache_key = ${cacheKey}
+        AND environment = ${getCurrentEnvironment()}
+        AND created_at >= ${since.toISOString()}
+      ORDER BY created_at DESC
+      LIMIT ${limit}
+    `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const rows = result.rows || result;
+    return rows.map((row) => ({
+      id: row.id,
+      question: row.question,
+      embedding: row.embedding,
+      answer: row.answer,
+      sources: row.sources || [],
+      citations: row.citations || [],
+      confidence: row.confidence === null ? null : parseFloat(row.confidence),
+      complianceAction: row.compliance_action,
+      promptId: row.prompt_id,
+      promptVersion: row.prompt_version
+    }));
+  });
+}
+
+/**
+ * Cache a generated RAG answer with its query embedding.
+ *
+ * @param {Object} entry - Entry passed to storeCachedAnswer() (lib/knowledge/answer-cache.js)
+ * @returns {Promise<string>} Cache entry ID
+ */
+export async function saveCachedAnswer(entry) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      INSERT INTO answer_cache (
+        cache_key,
+        knowledge_version,
+        prompt_id,
+        prompt_version,
+        question,
+        embedding,
+        answer,
+        sources,
+        citations,
+        confidence,
+        compliance_action,
+        environment
+      ) VALUES (
+        ${entry.cacheKey},
+        ${entry.knowledgeVersion},
+        ${entry.promptId},
+        ${entry.promptVersion},
+        ${entry.question},
+        ${JSON.stringify(entry.embedding)},
+        ${entry.answer},
+        ${JSON.stringify(entry.sources || [])},
+        ${JSON.stringify(entry.citations || [])},
+        ${entry.confidence ?? null},
+        ${entry.complianceAction || null},
+        ${getCurrentEnvironment()}
+      )
+      RETURNING id
+    `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const row = result[0] || result.rows?.[0];
+    return row?.id;
+  });
+}
+
+/**
+ * Delete expired cached answers.
+ *
+ * @param {Date} before - Entries created before this have expired
+ * @returns {Promise<void>}
+ */
+export async function purgeCachedAnswers(before) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    await db`
+      DELETE FROM answer_cache
+      WHERE environment = ${getCurrentEnvironment()}
+        AND created_at < ${before.toISOString()}
+    `;
+  });
+}
+
+/**
+ * Delete cached answers built from another knowledge version.
+ *
+ * @param {string} knowledgeVersion - Hash of the deployed data/embeddings.json
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function purgeStaleCachedAnswers(knowledgeVersion) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      DELETE FROM answer_cache
+      WHERE environment = ${getCurrentEnvironment()}
+        AND knowledge_version <> ${knowledgeVersion}
+      RETURNING id
+    `;
+    return (result.rows || result).length;
+  });
+}
+
+/**
+ * Count a reuse of a cached answer.
+ *
+ * @param {string} id - Cache entry ID
+ * @returns {Promise<void>}
+ */
+export async function recordCachedAnswerHit(id) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    await db`
+      UPDATE answer_cache
+      SET hit_count = hit_count + 1, last_hit_at = NOW()
+      WHERE id = ${id}
+    `;
+  });
+}
+
+/**
+ * Take tokens from a rate limit bucket in one atomic upsert.
+ * The bucket refills lazily: tokens accrue for the time since its last update,
+ * up to capacity. A missing bucket starts full.
+ *
+ * @param {string} key - Bucket key (endpoint, scope and hashed identifier)
+ * @param {{capacity: number, refillPerMinute: number}} limit - Bucket size and refill rate
+ * @param {number} [cost=1] - Tokens this request needs
+ * @returns {Promise<{allowed: boolean, tokens: number}>} Outcome and tokens left
+ */
+export async function takeRateLimitToken(key, limit, cost = 1) {
+  const db = getConnection();
+  const perSecond = limit.refillPerMinute / 60;
+
+  return executeWithRetry(async () => {
+    const result = await db`
+      INSERT INTO rate_limit_buckets (key, tokens, allowed, updated_at)
+      VALUES (${key}, ${limit.capacity - cost}::double precision, TRUE, NOW())
+      ON CONFLICT (key) DO UPDATE SET
+        allowed = LEAST(${limit.capacity}::double precision,
+          rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * ${perSecond}::double precision
+        ) >= ${cost}::double precision,
+        tokens = LEAST(${limit.capacity}::double precision,
+          rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * ${perSecond}::double precision
+        ) - CASE
+          WHEN LEAST(${limit.capacity}::double precision,
+            rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * ${perSecond}::double precision
+          ) >= ${cost}::double precision THEN ${cost}::double precision
+          ELSE 0
+        END,
+        updated_at = NOW()
+      RETURNING tokens, allowed
+    `;
+
+    // Handle both array-style and rows-style results from Vercel Postgres
+    const row = result[0] || result.rows?.[0];
+    return { allowed: Boolean(row?.allowed), tokens: parseFloat(row?.tokens) || 0 };
+  });
+}
+
+/**
+ * Give tokens back to a rate limit bucket, up to capacity (a request that
+ * another bucket then rejected).
+ *
+ * @param {string} key - Bucket key (endpoint, scope and hashed identifier)
+ * @param {{capacity: number, refillPerMinute: number}} limit - Bucket size and refill rate
+ * @param {number} [cost=1] - Tokens to give back
+ * @returns {Promise<void>}
+ */
+export async function refundRateLimitToken(key, limit, cost = 1) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    await db`
+      UPDATE rate_limit_buckets
+      SET tokens = LEAST(${limit.capacity}::double precision, tokens + ${cost}::double precision)
+      WHERE key = ${key}
+    `;
+  });
+}
+
+/**
+ * Record a request rejected by the rate limiter.
+ *
+ * @param {Object} event - Throttle event
+ * @param {string} event.endpoint - Endpoint name (chat, order, handoff)
+ * @param {string} event.scope - Bucket that rejected the request (ip, session, repeat)
+ * @param {string} event.identifier - Hashed client identifier
+ * @param {string} [event.sessionId] - Chat session identifier, if sent
+ * @param {number} [event.retryAfterSeconds] - Retry-After sent to the client
+ * @returns {Promise<void>}
+ */
+export async function logRateLimitEvent(event) {
+  const db = getConnection();
+
+  return executeWithRetry(async () => {
+    await db`
+      INSERT INTO rate_limit_events (
+        endpoint,
+        scope,
+        identifier,
+        session_id,
+        retry_after_seconds,
+        environment
+      ) VALUES (
+        ${event.endpoint},
+        ${event.scope},
+        ${event.identifier},
+        ${event.sessionId || null},
+        ${event.retryAfterSeconds ?? null},
+        ${getCurrentEnvironment()}
+      )
+    `;
+  });
+}
+
+/**
+ * Record how production and the shadow candidate routed one chat request.
+ * Every comparison is stored, agreements included, so disagreement rates
+ * have a denominator.
+ *
+ * @param {Object} comparison - Shadow routing comparison
+ * @param {string|null} [comparison.queryLogId] - query_logs row of the live request
+ * @param {string} comparison.candidateId - Hash of the candidate config files
+ * @param {Object} comparison.production - Production route {layer, rule, intent, category, refusal}
+ * @param {Object} comparison.candidate - Candidate route {layer, rule, intent, category, refusal}
+ * @param {string[]} comparison.disagreements - Fields that differ (layer, rule, intent, refusal)
+ * @returns {Promise<void>}
+ */
+export async function logShadowRouting(comparison) {
+  const db = getConnection();
+  const { production, candidate, disagreements } = comparison;
+
+  return executeWithRetry(async () => {
+    await db`
+      INSERT INTO shadow_routing (
+        query_log_id,
+        candidate_id,
+        production_layer,
+        production_rule,
+        production_intent,
+        production_category,
+        production_refusal,
+        candidate_layer,
+        candidate_rule,
+        candidate_intent,
+        candidate_category,
+        candidate_refusal,
+        layer_differs,
+        rule_differs,
+        intent_differs,
+        refusal_differs,
+        agreed,
+        environment
+      ) VALUES (
+        ${comparison.queryLogId || null},
+        ${comparison.candidateId},
+        ${production.layer},
+        ${production.rule},
+        ${production.intent},
+        ${production.category},
+        ${production.refusal},
+        ${candidate.layer},
+        ${candidate.rule},
+        ${candidate.intent},
+        ${candidate.category},
+        ${candidate.refusal},
+        ${disagreements.includes('layer')},
+        ${disagreements.includes('rule')},
+        ${disagreements.includes('intent')},
+        ${disagreements.includes('refusal')},
+        ${disagreements.length === 0},
+        ${getCurrentEnvironment()}
+      )
+    `;
+  });
+}
+
 /**
  * Get recent query statistics for monitoring and health checks.
  *
@@ -0,0 +1,111 @@
+import { createSmtpAdapter } from './adapters/smtp.js';
+import { createWebhookAdapter } from './adapters/webhook.js';
+import { createHelpdeskAdapter } from './adapters/helpdesk.js';
+import { HUMAN_SUPPORT_EMAIL } from '../pipeline/resources.js';
+
+/**
+ * Delivery adapter for /api/handoff tickets, selected by HANDOFF_ADAPTER:
+ *   - smtp: email to HANDOFF_EMAIL_TO through SMTP_HOST
+ *   - webhook: JSON POST to HANDOFF_WEBHOOK_URL, optionally HMAC-signed
+ *   - gorgias / zendesk: ticket created through the helpdesk REST API at HELPDESK_BASE_URL
+ *
+ * Every adapter exposes:
+ *   name
+ *   deliver(ticket) -> { externalId, url }
+ * deliver() throws when the ticket could not be handed over.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export const HANDOFF_ADAPTER_NAMES = ['smtp', 'webhook', 'gorgias', 'zendesk'];
+
+/**
+ * Resolve handoff adapter configuration from environment variables.
+ * Throws when no adapter is selected or its required settings are missing.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Adapter configuration
+ */
+export function getHandoffConfig(env = process.env) {
+  const kind = (env.HANDOFF_ADAPTER || '').toLowerCase();
+  const timeoutMs = Number(env.HANDOFF_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+
+  switch (kind) {
+    case 'smtp': {
+      if (!env.SMTP_HOST) throw new Error('Missing SMTP_HOST for HANDOFF_ADAPTER=smtp');
+      const secure = env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : env.SMTP_PORT === '465';
+      const to = (env.HANDOFF_EMAIL_TO || HUMAN_SUPPORT_EMAIL).split(',').map((address) => address.trim()).filter(Boolean);
+      return {
+        kind,
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || (secure ? 465 : 587)),
+        secure,
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASS || null,
+        from: env.HANDOFF_EMAIL_FROM || env.SMTP_USER || to[0],
+        to,
+        timeoutMs
+      };
+    }
+
+    case 'webhook':
+      if (!env.HANDOFF_WEBHOOK_URL) throw new Error('Missing HANDOFF_WEBHOOK_URL for HANDOFF_ADAPTER=webhook');
+      return {
+        kind,
+        url: env.HANDOFF_WEBHOOK_URL,
+        secret: env.HANDOFF_WEBHOOK_SECRET || null,
+        timeoutMs
+      };
+
+    case 'gorgias':
+    case 'zendesk':
+      if (!env.HELPDESK_BASE_URL) throw new Error(`Missing HELPDESK_BASE_URL for HANDOFF_ADAPTER=${kind}`);
+      if (!env.HELPDESK_USER || !env.HELPDESK_API_KEY) {
+        throw new Error(`Missing HELPDESK_USER or HELPDESK_API_KEY for HANDOFF_ADAPTER=${kind}`);
+      }
+      return {
+        kind,
+        baseUrl: env.HELPDESK_BASE_URL.replace(/\/+$/, ''),
+        user: env.HELPDESK_USER,
+        apiKey: env.HELPDESK_API_KEY,
+        timeoutMs
+      };
+
+    case '':
+      throw new Error(`Missing HANDOFF_ADAPTER (expected one of: ${HANDOFF_ADAPTER_NAMES.join(', ')})`);
+
+    default:
+      throw new Error(`Unknown HANDOFF_ADAPTER "${kind}" (expected one of: ${HANDOFF_ADAPTER_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Build an adapter from a configuration object.
+ *
+ * @param {Object} config - Configuration from getHandoffConfig()
+ * @returns {Object} Adapter with name and deliver()
+ */
+export function createHandoffAdapter(config) {
+  switch (config.kind) {
+    case 'smtp':
+      return createSmtpAdapter(config);
+    case 'webhook':
+      return createWebhookAdapter(config);
+    default:
+      return createHelpdeskAdapter(config);
+  }
+}
+
+let activeAdapter = null;
+
+/**
+ * Return the adapter configured by the environment (created once per process).
+ *
+ * @returns {Object} Adapter
+ */
+export function getHandoffAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = createHandoffAdapter(getHandoffConfig());
+  }
+  return activeAdapter;
+}
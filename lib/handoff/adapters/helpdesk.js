@@ -0,0 +1,89 @@
+/**
+ * Helpdesk REST adapters. Both create a ticket with the customer as requester
+ * and the rendered transcript as its first message:
+ *   - gorgias: POST {base}/api/tickets, basic auth with the account email and API key
+ *   - zendesk: POST {base}/api/v2/tickets.json, basic auth as "{email}/token" with an API token
+ */
+
+const HANDOFF_TAG = 'concierge-handoff';
+
+function basicAuth(user, password) {
+  return `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+}
+
+const HELPDESKS = {
+  gorgias: {
+    path: '/api/tickets',
+    authorization: (config) => basicAuth(config.user, config.apiKey),
+    body: (ticket) => ({
+      channel: 'api',
+      via: 'api',
+      subject: ticket.subject,
+      customer: { email: ticket.contact.email, name: ticket.contact.name || undefined },
+      tags: [{ name: HANDOFF_TAG }],
+      messages: [{
+        channel: 'api',
+        via: 'api',
+        from_agent: false,
+        sender: { email: ticket.contact.email },
+        subject: ticket.subject,
+        body_text: ticket.text
+      }]
+    }),
+    ticketId: (reply) => reply?.id,
+    ticketUrl: (config, id) => `${config.baseUrl}/app/ticket/${id}`
+  },
+
+  zendesk: {
+    path: '/api/v2/tickets.json',
+    authorization: (config) => basicAuth(`${config.user}/token`, config.apiKey),
+    body: (ticket) => ({
+      ticket: {
+        subject: ticket.subject,
+        requester: { email: ticket.contact.email, name: ticket.contact.name || ticket.contact.email },
+        // Internal note: the transcript is for agents, not a reply to the customer
+        comment: { body: ticket.text, public: false },
+        tags: [HANDOFF_TAG.replace(/-/g, '_')]
+      }
+    }),
+    ticketId: (reply) => reply?.ticket?.id,
+    ticketUrl: (config, id) => `${config.baseUrl}/agent/tickets/${id}`
+  }
+};
+
+/**
+ * Create a Gorgias or Zendesk ticket adapter.
+ *
+ * @param {Object} config - Configuration from getHandoffConfig()
+ * @returns {Object} Adapter with name and deliver()
+ */
+export function createHelpdeskAdapter(config) {
+  const helpdesk = HELPDESKS[config.kind];
+
+  return {
+    name: config.kind,
+
+    async deliver(ticket) {
+      const response = await fetch(`${config.baseUrl}${helpdesk.path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          Authorization: helpdesk.authorization(config)
+        },
+        body: JSON.stringify(helpdesk.body(ticket)),
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`${config.kind} responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      }
+
+      const id = helpdesk.ticketId(await response.json().catch(() => null));
+      return {
+        externalId: id != null ? String(id) : null,
+        url: id != null ? helpdesk.ticketUrl(config, id) : null
+      };
+    }
+  };
+}
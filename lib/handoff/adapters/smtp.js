@@ -0,0 +1,177 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+/**
+ * SMTP email adapter: a minimal client for relaying one message per handoff
+ * through an existing mail server (EHLO, STARTTLS, AUTH PLAIN, MAIL/RCPT/DATA).
+ *
+ * Port 465 (or SMTP_SECURE=true) connects over TLS; otherwise the connection is
+ * upgraded with STARTTLS when the server offers it. Credentials are only sent
+ * over TLS, except to a loopback server (local relays and test stand-ins).
+ */
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+// Collects CRLF-terminated lines into replies; "250-" lines continue, "250 " ends one
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (line.length < 4 || line[3] === ' ') {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.map((part) => part.slice(4)).join('\n') };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onFailure = (error) => {
+    failure = failure || error;
+    while (waiting.length) waiting.shift().reject(failure);
+  };
+  const onClose = () => onFailure(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onFailure);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host }, () => resolve(socket))
+      : net.connect({ host: config.host, port: config.port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  // RFC 2047 encoded-word for non-ASCII subjects and names
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(email, name) {
+  return name ? `"${encodeHeader(name.replace(/["\\\r\n]/g, ''))}" <${email}>` : `<${email}>`;
+}
+
+/**
+ * Build the RFC 5322 message for a ticket (base64 text body, dot-stuffed).
+ *
+ * @param {Object} ticket - Ticket from buildTicket()
+ * @param {Object} config - SMTP configuration
+ * @returns {string}
+ */
+export function buildMessage(ticket, config) {
+  const body = Buffer.from(ticket.text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  const headers = [
+    `From: ${formatAddress(config.from)}`,
+    `To: ${config.to.map((address) => formatAddress(address)).join(', ')}`,
+    `Reply-To: ${formatAddress(ticket.contact.email, ticket.contact.name)}`,
+    `Subject: ${encodeHeader(ticket.subject.replace(/[\r\n]+/g, ' '))}`,
+    `Date: ${new Date(ticket.createdAt).toUTCString()}`,
+    `Message-ID: <${ticket.id}@${config.from.split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${body}`.replace(/^\./gm, '..');
+}
+
+/**
+ * Create the SMTP adapter.
+ *
+ * @param {Object} config - Configuration from getHandoffConfig()
+ * @returns {Object} Adapter with name and deliver()
+ */
+export function createSmtpAdapter(config) {
+  return {
+    name: 'smtp',
+
+    async deliver(ticket) {
+      let socket = await connect(config);
+      socket.setTimeout(config.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+      let reader = createReplyReader(socket);
+      let encrypted = config.secure;
+
+      const send = async (line, expected, verb = line.split(' ')[0]) => {
+        if (line) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+          // Verb only, so AUTH credentials never end up in logs
+          throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+      };
+
+      try {
+        await send(null, [220], 'greeting');
+        let ehlo = await send(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+        if (!encrypted && /^STARTTLS\b/im.test(ehlo.text)) {
+          await send('STARTTLS', [220]);
+          reader.detach();
+          socket.setTimeout(0);
+          socket = await upgradeToTls(socket, config.host);
+          socket.setTimeout(config.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+          reader = createReplyReader(socket);
+          encrypted = true;
+          ehlo = await send(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+
+        if (config.user) {
+          if (!encrypted && !LOOPBACK_HOSTS.has(config.host)) {
+            throw new Error(`SMTP server ${config.host} doesn't offer TLS; refusing to send credentials`);
+          }
+          const credentials = Buffer.from(`\u0000${config.user}\u0000${config.password || ''}`).toString('base64');
+          await send(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        }
+
+        await send(`MAIL FROM:<${config.from}>`, [250]);
+        for (const recipient of config.to) {
+          await send(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await send('DATA', [354]);
+        const accepted = await send(`${buildMessage(ticket, config)}\r\n.`, [250], 'message');
+        await send('QUIT', [221]).catch(() => {});
+
+        // Servers usually report the queue ID in the DATA reply (e.g. "250 2.0.0 Ok: queued as ABC123")
+        const queued = accepted.text.match(/queued as\s+(\S+)/i);
+        return { externalId: queued ? queued[1] : ticket.id, url: null };
+      } finally {
+        reader.detach();
+        socket.destroy();
+      }
+    }
+  };
+}
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+
+/**
+ * Generic webhook adapter: POSTs {type: 'handoff', ticket} as JSON.
+ *
+ * With a secret, the body is signed as `X-Handoff-Signature: sha256=<hex HMAC>`
+ * so the receiver can verify it came from this deployment. A JSON reply with an
+ * `id` (or `ticketId`) and optional `url` is recorded as the external ticket.
+ *
+ * @param {Object} config - Configuration from getHandoffConfig()
+ * @returns {Object} Adapter with name and deliver()
+ */
+export function createWebhookAdapter(config) {
+  return {
+    name: 'webhook',
+
+    async deliver(ticket) {
+      const body = JSON.stringify({ type: 'handoff', ticket });
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.secret) {
+        const signature = crypto.createHmac('sha256', config.secret).update(body).digest('hex');
+        headers['X-Handoff-Signature'] = `sha256=${signature}`;
+      }
+
+      const response = await fetch(config.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`Handoff webhook responded ${response.status}`);
+      }
+
+      // Receivers aren't required to reply with JSON
+      const reply = await response.json().catch(() => null);
+      return {
+        externalId: reply?.id != null ? String(reply.id) : reply?.ticketId != null ? String(reply.ticketId) : null,
+        url: reply?.url || null
+      };
+    }
+  };
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+
+/**
+ * Handoff tickets: the conversation and its routing trace bundled for a human.
+ *
+ * Every adapter delivers the same ticket shape:
+ *   id, createdAt, subject, reason, contact{email, name}, note,
+ *   sessionId, queryId, transcript[], trace[], text
+ * `text` is a plain-text rendering for email bodies and helpdesk comments.
+ */
+
+const SUBJECT_SNIPPET_CHARS = 60;
+
+function formatScore(score) {
+  return typeof score === 'number' ? score.toFixed(3) : null;
+}
+
+function describeRouting(routing = {}) {
+  return [
+    routing.layer,
+    routing.rule && `rule=${routing.rule}`,
+    routing.intent && `intent=${routing.intent}`,
+    routing.category && `category=${routing.category}`,
+    formatScore(routing.score) && `score=${formatScore(routing.score)}`
+  ].filter(Boolean).join(' ');
+}
+
+// Logged queries carry the full answers; session turns (truncated answers) are
+// the fallback when the query logs aren't available.
+function buildTranscript(turns, trace) {
+  if (trace.length) {
+    return trace.map((entry) => ({
+      at: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+      user: entry.userMessage,
+      resolved: entry.resolvedMessage && entry.resolvedMessage !== entry.userMessage ? entry.resolvedMessage : null,
+      assistant: entry.responseAnswer || null,
+      layer: entry.routing?.layer || null
+    }));
+  }
+  return turns.map((turn) => ({
+    at: turn.at || null,
+    user: turn.user,
+    resolved: turn.resolved || null,
+    assistant: turn.assistant || null,
+    layer: turn.layer || null
+  }));
+}
+
+function renderText(ticket) {
+  const lines = [
+    `Customer: ${ticket.contact.name ? `${ticket.contact.name} <${ticket.contact.email}>` : ticket.contact.email}`,
+    `Session: ${ticket.sessionId || '-'}`,
+    ticket.queryId ? `Query: ${ticket.queryId}` : null,
+    `Reason: ${ticket.reason || '-'}`,
+    `Requested: ${ticket.createdAt}`
+  ].filter((line) => line !== null);
+
+  if (ticket.note) {
+    lines.push('', 'Customer note:', ticket.note);
+  }
+
+  lines.push('', 'Transcript', '----------');
+  if (!ticket.transcript.length) {
+    lines.push('(no conversation history found)');
+  }
+  for (const turn of ticket.transcript) {
+    const at = turn.at ? `[${turn.at}] ` : '';
+    lines.push(`${at}Customer: ${turn.user}`);
+    if (turn.resolved) lines.push(`  (understood as: ${turn.resolved})`);
+    if (turn.assistant) lines.push(`${at}Concierge${turn.layer ? ` (${turn.layer})` : ''}: ${turn.assistant}`);
+    lines.push('');
+  }
+
+  if (ticket.trace.length) {
+    lines.push('Routing trace', '-------------');
+    ticket.trace.forEach((entry, index) => {
+      lines.push(`#${index + 1} ${describeRouting(entry.routing)}${entry.complianceAction ? ` compliance=${entry.complianceAction}` : ''}${entry.needsHuman ? ' needs-human' : ''}`);
+      for (const decision of entry.decisions) {
+        lines.push(`   ${decision.triggered ? '*' : '-'} ${describeRouting(decision)}`);
+      }
+    });
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Build a handoff ticket from the customer's contact details and conversation.
+ *
+ * @param {Object} options
+ * @param {{email: string, name?: string}} options.contact - Customer contact details
+ * @param {string} [options.note] - Message from the customer
+ * @param {string} [options.sessionId] - Chat session identifier
+ * @param {string} [options.queryId] - Query log ID the handoff refers to
+ * @param {Array} [options.turns] - Session turns from the session store
+ * @param {Array} [options.trace] - Logged queries from getHandoffTrace()
+ * @returns {Object} Ticket
+ */
+export function buildTicket({ contact, note = null, sessionId = null, queryId = null, turns = [], trace = [] }) {
+  const transcript = buildTranscript(turns, trace);
+  const lastTurn = transcript[transcript.length - 1];
+  const lastQuery = trace[trace.length - 1];
+
+  // The routing that led the customer to ask for a person
+  const reason = lastQuery?.needsHuman
+    ? 'needs-human'
+    : lastQuery?.routing?.layer || lastTurn?.layer || null;
+
+  const snippet = lastTurn?.user
+    ? lastTurn.user.replace(/\s+/g, ' ').trim().slice(0, SUBJECT_SNIPPET_CHARS)
+    : 'chat conversation';
+
+  const ticket = {
+    id: `handoff_${crypto.randomUUID().replace(/-/g, '')}`,
+    createdAt: new Date().toISOString(),
+    subject: `Concierge follow-up${reason ? ` (${reason})` : ''}: ${snippet}`,
+    reason,
+    contact: {
+      email: contact.email,
+      name: contact.name || null
+    },
+    note: note || null,
+    sessionId,
+    queryId,
+    transcript,
+    trace: trace.map((entry) => ({
+      queryId: entry.id,
+      at: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+      routing: entry.routing,
+      complianceAction: entry.complianceAction || null,
+      needsHuman: Boolean(entry.needsHuman),
+      errorMessage: entry.errorMessage || null,
+      decisions: entry.decisions || []
+    }))
+  };
+  ticket.text = renderText(ticket);
+  return ticket;
+}
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+/**
+ * Admin access for debug output on public endpoints.
+ *
+ * Setting ADMIN_DEBUG_TOKEN enables it; a request opts in by sending the
+ * token in the X-Admin-Token header. Without the variable, debug mode is off
+ * and any token is rejected.
+ */
+
+export const ADMIN_TOKEN_HEADER = 'x-admin-token';
+
+// Hashing first gives equal-length buffers, so the comparison is constant-time for any input
+function sameToken(given, expected) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Check a request's admin token.
+ *
+ * @param {Object} req - Request object
+ * @param {Object} [env] - Environment variables
+ * @returns {'none'|'granted'|'denied'} `none` when the request sent no token
+ */
+export function checkAdminToken(req, env = process.env) {
+  const given = req.headers?.[ADMIN_TOKEN_HEADER];
+  if (!given) return 'none';
+  if (!env.ADMIN_DEBUG_TOKEN) return 'denied';
+  return sameToken(given, env.ADMIN_DEBUG_TOKEN) ? 'granted' : 'denied';
+}
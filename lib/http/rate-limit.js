@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import { takeRateLimitToken, refundRateLimitToken, logRateLimitEvent } from '../database/queries.js';
+import { entityAwareNormalize } from '../router/normalize.js';
+
+/**
+ * Token-bucket rate limiting for the public endpoints.
+ *
+ * Each endpoint has buckets per scope:
+ *   ip      - Client IP (x-forwarded-for on Vercel)
+ *   session - Chat session ID from the request body, when one is sent
+ *   repeat  - The same normalized message from the same IP, whichever session sends it.
+ *             Short replies ("yes", "ok", "thanks") are exempt: they repeat in normal conversations
+ * A limit is "capacity/refillPerMinute": the burst a client gets, and the
+ * sustained rate it refills at. RATE_LIMIT_<ENDPOINT>_<SCOPE> overrides a
+ * default (e.g. RATE_LIMIT_CHAT_IP=60/20); RATE_LIMIT_ENABLED=false turns
+ * limiting off.
+ *
+ * Identifiers are hashed before they are used as bucket keys or logged. A
+ * rejected request gets back the tokens it took from the other buckets.
+ * Store failures let the request through rather than failing it.
+ */
+
+const DEFAULT_LIMITS = {
+  chat: { ip: '30/10', session: '20/6', repeat: '3/1' },
+  order: { ip: '5/1' },
+  handoff: { ip: '5/1' },
+  feedback: { ip: '20/5' }
+};
+
+// Normalized messages shorter than this skip the repeat bucket
+const REPEAT_MIN_LENGTH = 16;
+
+// Memory buckets are swept of idle entries once the map grows past this
+const MAX_MEMORY_BUCKETS = 5000;
+
+function parseLimit(value, name) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) <= 0) {
+    throw new Error(`Invalid rate limit ${name}="${value}" (expected capacity/refillPerMinute, e.g. 30/10)`);
+  }
+  return { capacity: Number(match[1]), refillPerMinute: Number(match[2]) };
+}
+
+/**
+ * Resolve an endpoint's limits from the defaults and environment overrides.
+ *
+ * @param {string} endpoint - Endpoint name (chat, order, handoff, feedback)
+ * @param {Object} [env] - Environment variables
+ * @returns {Object<string, {capacity: number, refillPerMinute: number}>} Limits by scope
+ */
+export function getRateLimits(endpoint, env = process.env) {
+  const limits = {};
+  for (const [scope, fallback] of Object.entries(DEFAULT_LIMITS[endpoint] || {})) {
+    const name = `RATE_LIMIT_${endpoint.toUpperCase()}_${scope.toUpperCase()}`;
+    limits[scope] = parseLimit(env[name] || fallback, name);
+  }
+  return limits;
+}
+
+function refill(bucket, limit, now) {
+  const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+  return Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillPerMinute / 60);
+}
+
+/**
+ * In-memory bucket store for local runs and tests.
+ * Not shared across serverless instances.
+ */
+function createMemoryStore() {
+  const buckets = new Map();
+  return {
+    name: 'memory',
+    async take(key, limit, cost = 1) {
+      const now = Date.now();
+      const existing = buckets.get(key);
+      const tokens = existing ? refill(existing, limit, now) : limit.capacity;
+      const allowed = tokens >= cost;
+      buckets.set(key, { tokens: allowed ? tokens - cost : tokens, updatedAt: now, limit });
+
+      if (buckets.size > MAX_MEMORY_BUCKETS) {
+        for (const [bucketKey, bucket] of buckets) {
+          if (refill(bucket, bucket.limit, now) >= bucket.limit.capacity) buckets.delete(bucketKey);
+        }
+      }
+      return { allowed, tokens: buckets.get(key).tokens };
+    },
+    async refund(key, limit, cost = 1) {
+      const bucket = buckets.get(key);
+      if (bucket) bucket.tokens = Math.min(limit.capacity, bucket.tokens + cost);
+    }
+  };
+}
+
+/**
+ * Postgres-backed bucket store (rate_limit_buckets table).
+ */
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+    take: takeRateLimitToken,
+    refund: refundRateLimitToken
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Resolve the configured bucket store.
+ * RATE_LIMIT_STORE=memory|postgres; defaults to postgres when a database URL is set.
+ *
+ * @returns {Object} Store with take(key, limit, cost) and refund(key, limit, cost)
+ */
+export function getRateLimitStore() {
+  if (!activeStore) {
+    const configured = process.env.RATE_LIMIT_STORE;
+    const hasDatabase = !!(process.env.POSTGRES_URL || process.env.DATABASE_URL);
+    const useMemory = configured ? configured === 'memory' : !hasDatabase;
+    activeStore = useMemory ? createMemoryStore() : createPostgresStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Client IP from the proxy headers, falling back to the socket address.
+ *
+ * @param {Object} req - Request object
+ * @returns {string}
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function hashIdentifier(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+// Buckets that apply to this request, in the order they are checked
+function bucketsFor(req, limits) {
+  const body = req.body || {};
+  const ip = getClientIp(req);
+  const requestedSession = body.sessionId || body.userSessionId;
+  const sessionId = typeof requestedSession === 'string' && requestedSession ? requestedSession : null;
+  const buckets = [];
+
+  if (limits.ip) buckets.push({ scope: 'ip', identifier: hashIdentifier(ip) });
+  if (limits.session && sessionId) buckets.push({ scope: 'session', identifier: hashIdentifier(sessionId) });
+  if (limits.repeat && typeof body.message === 'string') {
+    const message = entityAwareNormalize(body.message);
+    if (message.length >= REPEAT_MIN_LENGTH) {
+      buckets.push({ scope: 'repeat', identifier: hashIdentifier(`${ip}\n${message}`) });
+    }
+  }
+  return buckets.map((bucket) => ({ ...bucket, limit: limits[bucket.scope] }));
+}
+
+// Take a token from one bucket; null means the store failed and the request is let through
+async function takeToken(store, endpoint, bucket) {
+  try {
+    return await store.take(`${endpoint}:${bucket.scope}:${bucket.identifier}`, bucket.limit);
+  } catch (error) {
+    console.warn(`Rate limit check failed for ${endpoint}/${bucket.scope}, allowing request:`, error.message);
+    return null;
+  }
+}
+
+// Give back tokens taken for a request another bucket rejected
+async function refundTokens(store, endpoint, buckets) {
+  for (const bucket of buckets) {
+    try {
+      await store.refund(`${endpoint}:${bucket.scope}:${bucket.identifier}`, bucket.limit);
+    } catch (error) {
+      console.warn(`Rate limit refund failed for ${endpoint}/${bucket.scope}:`, error.message);
+    }
+  }
+}
+
+function rejection(bucket, outcome) {
+  const missing = 1 - outcome.tokens;
+  return {
+    allowed: false,
+    scope: bucket.scope,
+    identifier: bucket.identifier,
+    retryAfterSeconds: Math.max(1, Math.ceil(missing / (bucket.limit.refillPerMinute / 60)))
+  };
+}
+
+/**
+ * Check a request against an endpoint's buckets. Tokens are only spent when
+ * every bucket allows the request.
+ *
+ * @param {Object} req - Request object
+ * @param {string} endpoint - Endpoint name
+ * @param {Object} [limits] - Limits by scope (default: getRateLimits(endpoint))
+ * @returns {Promise<{allowed: boolean, scope?: string, identifier?: string, retryAfterSeconds?: number}>}
+ */
+export async function checkRateLimit(req, endpoint, limits = getRateLimits(endpoint)) {
+  const store = getRateLimitStore();
+
+  const taken = [];
+  for (const bucket of bucketsFor(req, limits)) {
+    const outcome = await takeToken(store, endpoint, bucket);
+    if (outcome && !outcome.allowed) {
+      await refundTokens(store, endpoint, taken);
+      return rejection(bucket, outcome);
+    }
+    if (outcome) taken.push(bucket);
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Take a token from one of another endpoint's buckets, for work that endpoint
+ * guards but which is reached another way (e.g. an order lookup from /api/chat
+ * draws on /api/order's IP bucket).
+ *
+ * @param {string} endpoint - Endpoint whose limits apply
+ * @param {string} scope - Bucket scope (e.g. ip)
+ * @param {string} value - Raw identifier (hashed here)
+ * @param {Object} [limits] - Limits by scope (default: getRateLimits(endpoint))
+ * @returns {Promise<{allowed: boolean, scope?: string, identifier?: string, retryAfterSeconds?: number}>}
+ */
+export async function consumeRateLimit(endpoint, scope, value, limits = getRateLimits(endpoint)) {
+  if (process.env.RATE_LIMIT_ENABLED === 'false' || !limits[scope]) return { allowed: true };
+
+  const bucket = { scope, identifier: hashIdentifier(value), limit: limits[scope] };
+  const outcome = await takeToken(getRateLimitStore(), endpoint, bucket);
+  return outcome && !outcome.allowed ? rejection(bucket, outcome) : { allowed: true };
+}
+
+/**
+ * Wrap an API handler with rate limiting. Rejected requests get 429 with a
+ * Retry-After header and are logged to rate_limit_events.
+ *
+ * @param {Function} handler - API handler
+ * @param {Object} options
+ * @param {string} options.endpoint - Endpoint name used for limits and logs
+ * @returns {Function} Wrapped handler
+ */
+export function withRateLimit(handler, { endpoint }) {
+  const limits = getRateLimits(endpoint);
+
+  return async function rateLimitedHandler(req, res) {
+    if (req.method !== 'POST' || process.env.RATE_LIMIT_ENABLED === 'false') {
+      return handler(req, res);
+    }
+
+    const result = await checkRateLimit(req, endpoint, limits);
+    if (result.allowed) {
+      return handler(req, res);
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', process.env.ORIGIN_ALLOWED || '*');
+    res.setHeader('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json({
+      error: result.scope === 'repeat'
+        ? 'This message was just sent several times. Please wait before sending it again.'
+        : 'Too many requests. Please wait a moment and try again.',
+      reason: result.scope === 'repeat' ? 'repeated-message' : 'rate-limited',
+      retryAfter: result.retryAfterSeconds
+    });
+
+    // Wait for logging to prevent function termination
+    try {
+      await logRateLimitEvent({
+        endpoint,
+        scope: result.scope,
+        identifier: result.identifier,
+        sessionId: typeof req.body?.sessionId === 'string' ? req.body.sessionId.slice(0, 128) : null,
+        retryAfterSeconds: result.retryAfterSeconds
+      });
+    } catch (error) {
+      console.warn(`Failed to log rate limit event for ${endpoint}:`, error.message);
+    }
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Server-sent event helpers shared by streaming API endpoints.
+ *
+ * Event protocol for /api/chat:
+ *   event: token  data: {"text": "..."}                 (zero or more, in order)
+ *   event: done   data: {"answer", "sources", "citations", "confidence", "needsHuman", "routing", "sessionId"}
+ *   event: error  data: {"error": "..."}
+ * The `done` answer is authoritative; clients should replace streamed text with it
+ * (it may differ when the compliance filter rewrote or replaced the generated answer).
+ */
+
+/**
+ * Decide whether the client asked for a streamed response.
+ * Accepts either `Accept: text/event-stream` or `stream: true` in the JSON body.
+ *
+ * @param {Object} req - Request object
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || req.headers?.Accept || '';
+  if (String(accept).includes('text/event-stream')) return true;
+  return req.body?.stream === true;
+}
+
+/**
+ * Create a lazily-opened event stream on a Node response.
+ * Headers are only written on the first event, so callers can still send a
+ * normal JSON error (e.g. 400/500) if nothing has been streamed yet.
+ *
+ * @param {Object} res - Response object
+ * @returns {{send: Function, sendToken: Function, close: Function, started: boolean, streamedText: string}}
+ */
+export function createEventStream(res) {
+  const stream = {
+    started: false,
+    closed: false,
+    streamedText: '',
+
+    open() {
+      if (stream.started) return;
+      stream.started = true;
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+      if (typeof res.flushHeaders === 'function') res.flushHeaders();
+    },
+
+    send(event, data) {
+      if (stream.closed) return;
+      stream.open();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    sendToken(text) {
+      if (!text) return;
+      stream.streamedText += text;
+      stream.send('token', { text });
+    },
+
+    close() {
+      if (stream.closed) return;
+      stream.open();
+      stream.closed = true;
+      res.end();
+    }
+  };
+
+  return stream;
+}
+
+/**
+ * Parse an SSE byte stream (e.g. an upstream fetch body) into events.
+ * Calls onEvent({ event, data }) for each complete event; data is the raw string.
+ *
+ * @param {ReadableStream|AsyncIterable<Uint8Array>} body - Response body
+ * @param {Function} onEvent - Event callback
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (dataLines.length) onEvent({ event, data: dataLines.join('\n') });
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      flushEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) flushEvent(buffer);
+}
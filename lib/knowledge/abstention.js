@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from '../router/json-schema.js';
+import { validateTranslations } from '../router/language.js';
+
+export const RAG_GATES_PATH = path.join(process.cwd(), 'router', 'rag-gates.json');
+const RAG_GATES_SCHEMA_PATH = path.join(process.cwd(), 'router', 'rag-gates.schema.json');
+
+/**
+ * Load and validate the RAG abstention gates.
+ * Throws when the file is missing or invalid.
+ *
+ * RAG_MIN_SCORE / RAG_MIN_MARGIN replace the value in every gate. Scores from
+ * another embedding model (e.g. the local provider) sit on a different scale.
+ *
+ * @param {string} [filePath] - Gates file path
+ * @param {Object} [env] - Environment variables
+ * @returns {{version: number, template: string, translations?: Object, default: Object, sections: Object}}
+ */
+export function loadRagGates(filePath = RAG_GATES_PATH, env = process.env) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(RAG_GATES_SCHEMA_PATH, 'utf8')));
+  if (!errors.length) errors.push(...validateTranslations(config.translations, ['template'], '$.translations'));
+  if (errors.length) {
+    throw new Error(`Invalid RAG gates in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const overrides = {};
+  if (env.RAG_MIN_SCORE) overrides.minScore = Number(env.RAG_MIN_SCORE);
+  if (env.RAG_MIN_MARGIN) overrides.minMargin = Number(env.RAG_MIN_MARGIN);
+  const withOverrides = (gate) => ({ ...gate, ...overrides });
+
+  return {
+    ...config,
+    default: withOverrides(config.default),
+    sections: Object.fromEntries(Object.entries(config.sections).map(([section, gate]) => [section, withOverrides(gate)]))
+  };
+}
+
+/**
+ * Gate settings for a knowledge section (falls back to the default gate).
+ *
+ * @param {Object} gates - Loaded gates
+ * @param {string} [section] - Chunk section
+ * @returns {{minScore: number, minMargin: number}}
+ */
+export function gateForSection(gates, section) {
+  return gates.sections[section] || gates.default;
+}
+
+/**
+ * Decide whether retrieval found anything worth answering from.
+ *
+ * A chunk is eligible when its cosine `score` clears its section's minScore.
+ * The best eligible chunk (in ranking order) must also lead the best chunk from
+ * any other document by its section's minMargin. Only eligible chunks are
+ * passed on to the LLM.
+ *
+ * @param {Array<Object>} rankedChunks - Chunks from rankChunks(), best first
+ * @param {Object} gates - Loaded gates
+ * @returns {{abstain: boolean, reason: string|null, chunks: Array<Object>, topScore: number|null, margin: number|null, section: string|null}}
+ */
+export function applyRagGates(rankedChunks, gates) {
+  const eligible = rankedChunks.filter((chunk) => chunk.score >= gateForSection(gates, chunk.section).minScore);
+  const best = rankedChunks.reduce((top, chunk) => (!top || chunk.score > top.score ? chunk : top), null);
+
+  if (!eligible.length) {
+    return {
+      abstain: true,
+      reason: 'min-score',
+      chunks: [],
+      topScore: best?.score ?? null,
+      margin: null,
+      section: best?.section || null
+    };
+  }
+
+  const top = eligible[0];
+  const topParent = top.parentId || top.id;
+  const runnerUp = rankedChunks
+    .filter((chunk) => (chunk.parentId || chunk.id) !== topParent)
+    .reduce((max, chunk) => Math.max(max, chunk.score), -Infinity);
+  const margin = Number.isFinite(runnerUp) ? top.score - runnerUp : null;
+  const { minMargin } = gateForSection(gates, top.section);
+  const tooClose = minMargin > 0 && margin !== null && margin < minMargin;
+
+  return {
+    abstain: tooClose,
+    reason: tooClose ? 'margin' : null,
+    chunks: eligible,
+    topScore: top.score,
+    margin,
+    section: top.section || null
+  };
+}
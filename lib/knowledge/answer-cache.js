@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { cosine } from './retrieval.js';
+import { findCachedAnswers, saveCachedAnswer, purgeCachedAnswers, recordCachedAnswerHit } from '../database/queries.js';
+
+/**
+ * Semantic answer cache for the RAG layer.
+ *
+ * Generated answers are stored with the query embedding under a key made of
+ * everything else that shaped them: the knowledge version (hash of
+ * data/embeddings.json), the prompt template and version, the chat model, the
+ * RAG scope, the answer language and the A/B variant. A later question under
+ * the same key whose embedding is at least RAG_CACHE_MIN_SIMILARITY to a
+ * stored one reuses its answer and sources, with no retrieval or completion.
+ * Re-ingesting the knowledge or bumping a prompt version changes the key, so
+ * older entries stop matching. Storing an answer purges expired entries;
+ * those from an earlier knowledge version are removed after a deploy by
+ * `npm run db:purge-answer-cache`, since instances still serving it during a
+ * rollout would otherwise keep deleting each other's entries.
+ */
+
+const RAG_CACHE_ENABLED = process.env.RAG_CACHE_ENABLED !== 'false';
+const RAG_CACHE_MIN_SIMILARITY = Number(process.env.RAG_CACHE_MIN_SIMILARITY || 0.95);
+const RAG_CACHE_TTL_MS = Number(process.env.RAG_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+// Most recent entries compared per key (each carries a full embedding)
+const MAX_CANDIDATES = 100;
+// Memory entries kept in total, oldest dropped first
+const MAX_MEMORY_ENTRIES = 1000;
+
+/**
+ * In-memory answer store for local runs and tests.
+ * Not shared across serverless instances.
+ */
+function createMemoryStore() {
+  let entries = [];
+  return {
+    name: 'memory',
+    async find(cacheKey, since) {
+      return entries
+        .filter((entry) => entry.cacheKey === cacheKey && entry.createdAt >= since.getTime())
+        .slice(-MAX_CANDIDATES)
+        .reverse();
+    },
+    async save(entry) {
+      entries.push({ ...entry, id: crypto.randomUUID(), createdAt: Date.now(), hitCount: 0 });
+      if (entries.length > MAX_MEMORY_ENTRIES) entries = entries.slice(-MAX_MEMORY_ENTRIES);
+    },
+    async purge(before) {
+      entries = entries.filter((entry) => entry.createdAt >= before.getTime());
+    },
+    async hit(id) {
+      const entry = entries.find((candidate) => candidate.id === id);
+      if (entry) entry.hitCount += 1;
+    }
+  };
+}
+
+/**
+ * Postgres-backed answer store (answer_cache table).
+ */
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+    find: (cacheKey, since) => findCachedAnswers(cacheKey, since, MAX_CANDIDATES),
+    save: saveCachedAnswer,
+    purge: purgeCachedAnswers,
+    hit: recordCachedAnswerHit
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Resolve the configured answer store.
+ * ANSWER_CACHE_STORE=memory|postgres; defaults to postgres when a database URL is set.
+ *
+ * @returns {Object} Store with find/save/purge/hit methods
+ */
+export function getAnswerCacheStore() {
+  if (!activeStore) {
+    const configured = process.env.ANSWER_CACHE_STORE;
+    const hasDatabase = !!(process.env.POSTGRES_URL || process.env.DATABASE_URL);
+    const useMemory = configured ? configured === 'memory' : !hasDatabase;
+    activeStore = useMemory ? createMemoryStore() : createPostgresStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Cache key for everything but the question itself.
+ *
+ * @param {Object} parts
+ * @param {string} parts.knowledgeVersion - Hash of data/embeddings.json
+ * @param {{id: string, version: number}} parts.prompt - Rendered prompt template
+ * @param {string} [parts.chatModel] - Chat completion model
+ * @param {string[]|null} [parts.scope] - Parent document IDs the RAG search is limited to
+ * @param {string} [parts.lang] - Answer language
+ * @param {{id: string, variant: string}|null} [parts.experiment] - The session's A/B variant
+ * @returns {string}
+ */
+export function answerCacheKey({ knowledgeVersion, prompt, chatModel = '', scope = null, lang = '', experiment = null }) {
+  const parts = [
+    knowledgeVersion,
+    `${prompt.id}@${prompt.version}`,
+    chatModel,
+    Array.isArray(scope) && scope.length ? [...scope].sort().join(',') : '*',
+    lang,
+    experiment ? `${experiment.id}:${experiment.variant}` : ''
+  ];
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Closest unexpired cached answer under the key. Store failures count as a miss.
+ *
+ * @param {string} cacheKey - From answerCacheKey()
+ * @param {number[]} embedding - Query embedding
+ * @returns {Promise<{hit: boolean, similarity: number, entry: Object}|null>} null when nothing is cached under the key
+ */
+export async function lookupCachedAnswer(cacheKey, embedding) {
+  if (!RAG_CACHE_ENABLED) return null;
+  try {
+    const store = getAnswerCacheStore();
+    const entries = await store.find(cacheKey, new Date(Date.now() - RAG_CACHE_TTL_MS));
+    let best = null;
+    for (const entry of entries) {
+      const similarity = cosine(embedding, entry.embedding);
+      if (!best || similarity > best.similarity) best = { entry, similarity };
+    }
+    if (!best) return null;
+
+    const hit = best.similarity >= RAG_CACHE_MIN_SIMILARITY;
+    if (hit) await store.hit(best.entry.id);
+    return { hit, similarity: best.similarity, entry: best.entry };
+  } catch (error) {
+    console.warn('Answer cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a generated answer, then purge expired entries. Failures are reported
+ * but never thrown.
+ *
+ * @param {Object} entry
+ * @param {string} entry.cacheKey - From answerCacheKey()
+ * @param {string} entry.knowledgeVersion - Hash of data/embeddings.json
+ * @param {string} entry.promptId - Prompt template
+ * @param {number} entry.promptVersion - Prompt template version
+ * @param {string} entry.question - Question as answered (PII already replaced)
+ * @param {number[]} entry.embedding - Query embedding
+ * @param {string} entry.answer - Delivered answer
+ * @param {Array} entry.sources - Delivered sources
+ * @param {Array} entry.citations - Delivered citations
+ * @param {number|null} entry.confidence - Model-reported confidence
+ * @param {string} entry.complianceAction - Compliance outcome of the answer
+ * @returns {Promise<void>}
+ */
+export async function storeCachedAnswer(entry) {
+  if (!RAG_CACHE_ENABLED) return;
+  try {
+    const store = getAnswerCacheStore();
+    await store.save(entry);
+    await store.purge(new Date(Date.now() - RAG_CACHE_TTL_MS));
+  } catch (error) {
+    console.warn('Answer cache store failed:', error.message);
+  }
+}
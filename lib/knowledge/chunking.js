@@ -0,0 +1,117 @@
+/**
+ * Heading-level chunking for knowledge markdown.
+ *
+ * A chunk starts at every markdown heading (`#`, `##`, ...) and at every line
+ * that is only a bold label (`**How to take**`). The document's H1 is treated as
+ * its title and prefixed to each chunk's embedding text for context.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const BOLD_LABEL_PATTERN = /^\*\*([^*]+?)\*\*\s*$/;
+const MAX_SLUG_LENGTH = 60;
+
+/**
+ * Turn a heading into a stable, URL-safe anchor slug.
+ *
+ * @param {string} text - Heading text
+ * @returns {string} Slug (e.g. "how-to-take")
+ */
+export function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Approximate token count (~4 characters per token for English text).
+ *
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+export function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function stripInlineMarkdown(text) {
+  return text.replace(/\*\*|__|\*|`/g, '').trim();
+}
+
+/**
+ * Split a knowledge document into heading-level chunks.
+ *
+ * @param {string} content - Markdown body (frontmatter already removed)
+ * @param {Object} doc - Parent document metadata
+ * @param {string} doc.id - Parent document ID
+ * @param {string} [doc.url] - Parent document URL (anchors are appended)
+ * @param {string} [doc.section] - Parent document section
+ * @param {string} [doc.lang] - Parent document language
+ * @returns {{title: string|null, chunks: Array<Object>}}
+ */
+export function chunkMarkdown(content, doc) {
+  const lines = content.split(/\r?\n/);
+  let title = null;
+  const sections = [];
+  let current = null;
+
+  for (const line of lines) {
+    const heading = line.match(HEADING_PATTERN);
+    const label = heading ? null : line.match(BOLD_LABEL_PATTERN);
+
+    if (heading && heading[1].length === 1 && title === null && !current) {
+      title = stripInlineMarkdown(heading[2]);
+      continue;
+    }
+
+    if (heading || label) {
+      current = { label: stripInlineMarkdown(heading ? heading[2] : label[1]), heading: line.trim(), body: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) {
+      // Text before the first heading becomes an untitled intro section
+      if (!line.trim()) continue;
+      current = { label: title || doc.id, heading: null, body: [] };
+      sections.push(current);
+    }
+    current.body.push(line);
+  }
+
+  const seen = new Map();
+  const chunks = [];
+
+  for (const section of sections) {
+    const body = section.body.join('\n').trim();
+    if (!body) continue;
+
+    let slug = slugify(section.label) || 'section';
+    const count = seen.get(slug) || 0;
+    seen.set(slug, count + 1);
+    if (count > 0) slug = `${slug}-${count + 1}`;
+
+    const text = section.heading ? `${section.heading}\n${body}` : body;
+    const embeddingText = `${title ? `${title} — ` : ''}${section.label}\n${body}`;
+
+    chunks.push({
+      id: `${doc.id}#${slug}`,
+      parentId: doc.id,
+      anchor: slug,
+      url: doc.url ? `${doc.url}#${slug}` : '',
+      section: doc.section || 'general',
+      lang: doc.lang || 'en',
+      title: section.label,
+      content: text,
+      embeddingText,
+      tokens: countTokens(embeddingText)
+    });
+  }
+
+  return { title, chunks };
+}
@@ -0,0 +1,71 @@
+import { DEFAULT_LANGUAGE } from '../router/language.js';
+
+/**
+ * Helpers for reading the knowledge index written by scripts/ingest.js.
+ */
+
+/**
+ * Return the retrievable chunks of a knowledge index.
+ * Indexes built before heading-level chunking only have whole-document
+ * `docs` entries; each of those is treated as a single chunk of itself.
+ *
+ * @param {Object} corpus - Parsed data/embeddings.json
+ * @returns {Array<Object>} Chunks with id, parentId, url, section, title, content, embedding
+ */
+export function getCorpusChunks(corpus) {
+  if (Array.isArray(corpus?.chunks) && corpus.chunks.length) {
+    return corpus.chunks;
+  }
+  if (!Array.isArray(corpus?.docs)) {
+    return [];
+  }
+  return corpus.docs
+    .filter((doc) => Array.isArray(doc.embedding))
+    .map((doc) => ({
+      ...doc,
+      parentId: doc.id,
+      title: doc.title || doc.section || doc.id
+    }));
+}
+
+/**
+ * Keep the chunks written in a language (the doc's `lang` frontmatter).
+ * Chunks without a language are English. When no doc exists in the language,
+ * the default-language chunks are used so the question can still be answered.
+ *
+ * @param {Array<Object>} chunks - Corpus chunks
+ * @param {string} [lang] - Language code
+ * @returns {Array<Object>}
+ */
+export function filterChunksByLanguage(chunks, lang = DEFAULT_LANGUAGE) {
+  const inLanguage = (code) => chunks.filter((chunk) => (chunk.lang || DEFAULT_LANGUAGE) === code);
+  const matching = inLanguage(lang);
+  return matching.length || lang === DEFAULT_LANGUAGE ? matching : inLanguage(DEFAULT_LANGUAGE);
+}
+
+/**
+ * Collapse scored chunks to one entry per parent document, keeping the
+ * best-scoring chunk for each parent. Input order is preserved by best score.
+ *
+ * @param {Array<Object>} scoredChunks - Chunks with a numeric `score`, sorted descending
+ * @returns {Array<{id: string, url: string, section: string, score: number, chunkIds: string[]}>}
+ */
+export function groupByParent(scoredChunks) {
+  const parents = new Map();
+  for (const chunk of scoredChunks) {
+    const parentId = chunk.parentId || chunk.id;
+    const existing = parents.get(parentId);
+    if (existing) {
+      existing.chunkIds.push(chunk.id);
+      continue;
+    }
+    parents.set(parentId, {
+      id: parentId,
+      url: chunk.url,
+      section: chunk.section,
+      score: chunk.score,
+      chunkIds: [chunk.id]
+    });
+  }
+  return [...parents.values()];
+}
@@ -0,0 +1,114 @@
+/**
+ * BM25 lexical index over knowledge chunks.
+ *
+ * Built by scripts/ingest.js next to data/embeddings.json so exact tokens
+ * ("ISO 13485", "HPMC", "1 p.m.") can be matched even when the embedding
+ * similarity is flat.
+ */
+
+export const LEXICAL_INDEX_VERSION = 2;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'will', 'with', 'you', 'your',
+  // Spanish, accents removed
+  'al', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'donde', 'el', 'en', 'es', 'esta', 'este', 'hay',
+  'la', 'las', 'lo', 'los', 'mi', 'para', 'por', 'puedo', 'que', 'se', 'si', 'su', 'un', 'una', 'y'
+]);
+
+/**
+ * Split text into index terms: lowercase alphanumerics with accents removed,
+ * stopwords removed, trailing plural "s" stripped. Digits are kept even when
+ * single characters.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function tokenizeLexical(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // "1 p.m." / "9 a.m." → "1 pm" / "9 am"
+    .replace(/\b([ap])\.m\.?/g, '$1m')
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term && !STOPWORDS.has(term) && (term.length > 1 || /\d/.test(term)))
+    .map((term) => (term.length > 3 && /[^s]s$/.test(term) ? term.slice(0, -1) : term));
+}
+
+/**
+ * Build a BM25 index for a list of chunks.
+ *
+ * @param {Array<{id: string, embeddingText?: string, content?: string}>} chunks - Knowledge chunks
+ * @returns {Object} Serializable index (see data/lexical-index.json)
+ */
+export function buildLexicalIndex(chunks) {
+  const documentFrequency = {};
+  const docs = chunks.map((chunk) => {
+    const terms = {};
+    const tokens = tokenizeLexical(chunk.embeddingText || chunk.content);
+    for (const token of tokens) {
+      terms[token] = (terms[token] || 0) + 1;
+    }
+    for (const term of Object.keys(terms)) {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    }
+    return { id: chunk.id, length: tokens.length, terms };
+  });
+
+  const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+  return {
+    version: LEXICAL_INDEX_VERSION,
+    algorithm: 'bm25',
+    k1: BM25_K1,
+    b: BM25_B,
+    docCount: docs.length,
+    avgLength: docs.length ? totalLength / docs.length : 0,
+    documentFrequency,
+    docs
+  };
+}
+
+/**
+ * Check whether an index covers every chunk it will be asked to score.
+ *
+ * @param {Object|null} index - Parsed lexical index
+ * @param {Array<{id: string}>} chunks - Corpus chunks
+ * @returns {boolean}
+ */
+export function lexicalIndexMatches(index, chunks) {
+  if (index?.version !== LEXICAL_INDEX_VERSION || !Array.isArray(index.docs)) return false;
+  const ids = new Set(index.docs.map((doc) => doc.id));
+  return chunks.every((chunk) => ids.has(chunk.id));
+}
+
+/**
+ * Score chunks against a query with BM25.
+ *
+ * @param {Object} index - Lexical index from buildLexicalIndex()
+ * @param {string} query - Query text
+ * @returns {Map<string, number>} Chunk ID → score (only chunks sharing a term)
+ */
+export function scoreLexical(index, query) {
+  const scores = new Map();
+  const queryTerms = [...new Set(tokenizeLexical(query))];
+  if (!queryTerms.length || !index?.docCount) return scores;
+
+  const { k1, b, docCount, avgLength, documentFrequency } = index;
+  for (const term of queryTerms) {
+    const df = documentFrequency[term];
+    if (!df) continue;
+    const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    for (const doc of index.docs) {
+      const tf = doc.terms[term];
+      if (!tf) continue;
+      const norm = tf + k1 * (1 - b + b * (doc.length / (avgLength || 1)));
+      scores.set(doc.id, (scores.get(doc.id) || 0) + idf * ((tf * (k1 + 1)) / norm));
+    }
+  }
+  return scores;
+}
@@ -0,0 +1,96 @@
+import { scoreLexical } from './lexical.js';
+
+/**
+ * Hybrid retrieval: vector and BM25 rankings merged with weighted
+ * reciprocal rank fusion (RRF).
+ *
+ *   fused = vectorWeight / (k + vectorRank) + lexicalWeight / (k + lexicalRank)
+ *
+ * Chunks without a lexical match only get the vector term. Setting the
+ * lexical weight to 0 reproduces pure cosine ranking.
+ */
+
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Read fusion settings from the environment.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {{vectorWeight: number, lexicalWeight: number, rrfK: number}}
+ */
+export function getFusionConfig(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value));
+  return {
+    vectorWeight: number(env.RAG_VECTOR_WEIGHT, 1),
+    lexicalWeight: number(env.RAG_LEXICAL_WEIGHT, 1),
+    rrfK: number(env.RAG_RRF_K, DEFAULT_RRF_K)
+  };
+}
+
+/**
+ * Cosine similarity between two vectors.
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+function rankBy(items, key) {
+  const ranks = new Map();
+  [...items]
+    .filter((item) => item[key] > 0)
+    .sort((a, b) => b[key] - a[key])
+    .forEach((item, index) => ranks.set(item.id, index + 1));
+  return ranks;
+}
+
+/**
+ * Rank chunks for a query with vector + lexical fusion.
+ *
+ * Results are ordered by `fusedScore`. `score` stays the cosine similarity so
+ * score gates and eval thresholds keep their meaning.
+ *
+ * @param {Array<Object>} chunks - Candidate chunks (with `embedding`)
+ * @param {Object} query
+ * @param {number[]} query.embedding - Query vector
+ * @param {string} query.text - Query text for lexical matching
+ * @param {Object|null} [lexicalIndex] - Index from buildLexicalIndex(); null disables the lexical term
+ * @param {Object} [fusion] - Settings from getFusionConfig()
+ * @returns {Array<Object>} Chunks with score, vectorScore, vectorRank, lexicalScore, lexicalRank, fusedScore
+ */
+export function rankChunks(chunks, { embedding, text }, lexicalIndex = null, fusion = getFusionConfig()) {
+  const lexicalScores = lexicalIndex ? scoreLexical(lexicalIndex, text) : new Map();
+  const scored = chunks.map((chunk) => ({
+    ...chunk,
+    vectorScore: cosine(embedding, chunk.embedding),
+    lexicalScore: lexicalScores.get(chunk.id) || 0
+  }));
+
+  // Every chunk gets a vector rank; only lexical matches get a lexical rank
+  const vectorRanks = new Map(
+    [...scored].sort((a, b) => b.vectorScore - a.vectorScore).map((chunk, index) => [chunk.id, index + 1])
+  );
+  const lexicalRanks = rankBy(scored, 'lexicalScore');
+
+  return scored
+    .map((chunk) => {
+      const vectorRank = vectorRanks.get(chunk.id);
+      const lexicalRank = lexicalRanks.get(chunk.id) || null;
+      const fusedScore =
+        fusion.vectorWeight / (fusion.rrfK + vectorRank) +
+        (lexicalRank ? fusion.lexicalWeight / (fusion.rrfK + lexicalRank) : 0);
+      return { ...chunk, score: chunk.vectorScore, vectorRank, lexicalRank, fusedScore };
+    })
+    .sort((a, b) => b.fusedScore - a.fusedScore || b.vectorScore - a.vectorScore);
+}
@@ -0,0 +1,164 @@
+/**
+ * Deterministic offline provider.
+ *
+ * Embeddings are hashed bags of words (same text, same vector, on any machine),
+ * and completions are extractive templates over the prompt. Meant for running
+ * the router, ingest and eval without network access — not for production answers.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'what',
+  'when', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .filter(Boolean);
+}
+
+// 32-bit FNV-1a
+function hash(token) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < token.length; i += 1) {
+    h ^= token.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+  for (const feature of features) {
+    const h = hash(feature);
+    // High bit picks the sign so unrelated features tend to cancel out
+    vector[h % dimensions] += h & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map((value) => Number((value / norm).toFixed(6)));
+}
+
+function contentWords(text) {
+  return new Set(tokenize(text).filter((token) => !STOPWORDS.has(token)));
+}
+
+// Pick the context sentences that share the most words with the question.
+// Context blocks are separated by "---"; numbered headers ("[2] product › ...")
+// give each sentence the block number it can be cited with.
+function extractSentences(context, question) {
+  const wanted = contentWords(question);
+  const sentences = context.split(/\n---\n/).flatMap((block, blockIndex) => {
+    const number = Number(block.trim().match(/^\[(\d+)\]/)?.[1]) || blockIndex + 1;
+    return block
+      .split('\n')
+      // Drop section tags, separators and heading/label lines
+      .filter((line) => !/^(\[.*\]|\[\d+\]\s.*|---|#{1,6}\s.*|\*\*[^*]+\*\*)$/.test(line.trim()))
+      .join(' ')
+      .split(/(?<=[.!?])\s+/)
+      .map((sentence) => ({ sentence: sentence.replace(/\*\*/g, '').trim(), block: number }))
+      .filter((item) => item.sentence);
+  });
+
+  return sentences
+    .map((item, index) => {
+      const words = contentWords(item.sentence);
+      let overlap = 0;
+      for (const word of wanted) if (words.has(word)) overlap += 1;
+      return { ...item, index, overlap };
+    })
+    .filter((item) => item.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap || a.index - b.index)
+    .slice(0, 2)
+    .sort((a, b) => a.index - b.index);
+}
+
+const NO_ANSWER = "I don't have that information in the provided context.";
+
+function extractiveAnswer(context, question) {
+  const ranked = extractSentences(context, question);
+  if (!ranked.length) return NO_ANSWER;
+  return ranked.map((item) => item.sentence).join(' ');
+}
+
+// JSON reply in the shape requested by lib/llm/structured-answer.js
+function structuredAnswer(context, question) {
+  const ranked = extractSentences(context, question);
+  if (!ranked.length) {
+    return JSON.stringify({ answer: NO_ANSWER, citations: [], confidence: 0, needs_human: true });
+  }
+  const answer = ranked
+    .map((item) => item.sentence.replace(/([.!?]?)$/, ` [${item.block}]$1`))
+    .join(' ');
+  const citations = [...new Set(ranked.map((item) => item.block))];
+  return JSON.stringify({ answer, citations, confidence: ranked.length > 1 ? 0.6 : 0.4, needs_human: false });
+}
+
+function templatedCompletion(messages, opts = {}) {
+  const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+  const prompt = String(lastUser?.content || '');
+
+  // RAG prompts: "Context:\n...\n\nUser question: ..."
+  const rag = prompt.match(/Context:\n([\s\S]*)\n\n(?:User question|Question):\s*(.+)/);
+  if (rag) {
+    return opts.responseFormat === 'json' ? structuredAnswer(rag[1], rag[2]) : extractiveAnswer(rag[1], rag[2]);
+  }
+
+  // Anything else: echo the final line of the prompt without its "Label:" prefix
+  const lines = prompt.split('\n').map((line) => line.trim()).filter(Boolean);
+  return (lines[lines.length - 1] || '').replace(/^[A-Za-z ]{1,30}:\s*/, '');
+}
+
+/**
+ * Create the deterministic local provider.
+ *
+ * @param {Object} config - Provider configuration from getProvider()
+ * @returns {Object} Provider with embed() and complete()
+ */
+export function createLocalProvider(config) {
+  const dimensions = config.dimensions;
+
+  async function embed(texts) {
+    const input = Array.isArray(texts) ? texts : [texts];
+    const tokens = input.reduce((sum, text) => sum + estimateTokens(text), 0);
+    return {
+      vectors: input.map((text) => hashEmbedding(text, dimensions)),
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+      model: config.embeddingModel
+    };
+  }
+
+  async function complete(messages, opts = {}) {
+    const content = templatedCompletion(messages, opts);
+
+    if (typeof opts.onDelta === 'function') {
+      for (const piece of content.match(/\S+\s*/g) || []) {
+        opts.onDelta(piece);
+      }
+    }
+
+    const promptTokens = estimateTokens(messages.map((message) => message.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+    return {
+      content,
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+      model: opts.model || config.chatModel,
+      requestId: null
+    };
+  }
+
+  return {
+    name: 'local',
+    embeddingModel: config.embeddingModel,
+    chatModel: config.chatModel,
+    embed,
+    complete
+  };
+}
@@ -0,0 +1,124 @@
+import { readEventStream } from '../http/sse.js';
+
+/**
+ * HTTP backend for the OpenAI REST API and anything that speaks it
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, LM Studio, ...).
+ *
+ * Backends differ only in how URLs and auth headers are built:
+ *   - openai / openai-compatible: `${baseUrl}/embeddings`, `Authorization: Bearer`
+ *   - azure: `${endpoint}/openai/deployments/${deployment}/...?api-version=`, `api-key`
+ */
+
+function buildRequest(config, operation, model) {
+  if (config.kind === 'azure') {
+    const endpoint = config.baseUrl.replace(/\/+$/, '');
+    return {
+      url: `${endpoint}/openai/deployments/${encodeURIComponent(model)}/${operation}?api-version=${config.apiVersion}`,
+      headers: { 'Content-Type': 'application/json', 'api-key': config.apiKey }
+    };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  return { url: `${config.baseUrl.replace(/\/+$/, '')}/${operation}`, headers };
+}
+
+function readRequestId(response) {
+  return response.headers?.get?.('openai-request-id') || response.headers?.get?.('x-request-id') || null;
+}
+
+/**
+ * Create an OpenAI-compatible provider.
+ *
+ * @param {Object} config - Provider configuration from getProvider()
+ * @returns {Object} Provider with embed() and complete()
+ */
+export function createOpenAICompatibleProvider(config) {
+  async function embed(texts) {
+    const input = Array.isArray(texts) ? texts : [texts];
+    const { url, headers } = buildRequest(config, 'embeddings', config.embeddingModel);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: config.embeddingModel, input })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Embedding request failed: ${response.status} ${response.statusText} — ${body}`);
+    }
+
+    const json = await response.json();
+    const vectors = (json?.data || [])
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map((item) => item.embedding);
+    if (vectors.length !== input.length || !vectors.every(Array.isArray)) {
+      throw new Error('Unexpected embedding response');
+    }
+
+    return { vectors, usage: json.usage || null, model: json.model || config.embeddingModel };
+  }
+
+  async function complete(messages, opts = {}) {
+    const model = opts.model || config.chatModel;
+    const { url, headers } = buildRequest(config, 'chat/completions', model);
+    const body = { model, messages };
+    if (opts.temperature !== undefined) body.temperature = opts.temperature;
+    if (opts.maxTokens !== undefined) body.max_tokens = opts.maxTokens;
+    // JSON mode is only requested from OpenAI/Azure; other servers differ in
+    // support, so they rely on the prompt and the caller's fallback parsing
+    if (opts.responseFormat === 'json' && config.kind !== 'openai-compatible') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const streaming = typeof opts.onDelta === 'function';
+    if (streaming) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+
+    if (!response.ok || (streaming && !response.body)) {
+      const errorBody = await response.text();
+      throw new Error(`Chat completion failed: ${response.status} ${response.statusText} — ${errorBody}`);
+    }
+
+    if (!streaming) {
+      const json = await response.json();
+      return {
+        content: json?.choices?.[0]?.message?.content || '',
+        usage: json?.usage || null,
+        model: json?.model || model,
+        requestId: readRequestId(response)
+      };
+    }
+
+    // Forward content deltas as they arrive; usage arrives on the final chunk
+    let content = '';
+    let usage = null;
+    await readEventStream(response.body, ({ data }) => {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        opts.onDelta(delta);
+      }
+      if (chunk.usage) usage = chunk.usage;
+    });
+
+    return { content, usage, model, requestId: readRequestId(response) };
+  }
+
+  return {
+    name: config.kind,
+    embeddingModel: config.embeddingModel,
+    chatModel: config.chatModel,
+    embed,
+    complete
+  };
+}
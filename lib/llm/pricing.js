@@ -0,0 +1,83 @@
+/**
+ * Model pricing registry.
+ *
+ * Prices are USD per 1M tokens and apply from `effectiveFrom` (UTC date) until
+ * the next entry for the same model. Add a new entry when a provider changes
+ * prices rather than editing an old one, so historical rows keep their price.
+ * Dated snapshots (e.g. `gpt-4o-mini-2024-07-18`) resolve to their base model.
+ */
+const MODEL_PRICING = [
+  // Embeddings (input only)
+  { model: 'text-embedding-3-small', effectiveFrom: '2024-01-25', input: 0.02, output: 0 },
+  { model: 'text-embedding-3-large', effectiveFrom: '2024-01-25', input: 0.13, output: 0 },
+  { model: 'text-embedding-ada-002', effectiveFrom: '2022-12-15', input: 0.10, output: 0 },
+
+  // Chat completions
+  { model: 'gpt-4o-mini', effectiveFrom: '2024-07-18', input: 0.15, output: 0.60 },
+  { model: 'gpt-4o', effectiveFrom: '2024-05-13', input: 5.00, output: 15.00 },
+  { model: 'gpt-4o', effectiveFrom: '2024-10-02', input: 2.50, output: 10.00 },
+  { model: 'gpt-4-turbo', effectiveFrom: '2024-04-09', input: 10.00, output: 30.00 },
+  { model: 'gpt-3.5-turbo', effectiveFrom: '2024-01-25', input: 0.50, output: 1.50 },
+
+  // Deterministic offline provider (lib/llm/local.js)
+  { model: 'local-hash', effectiveFrom: '1970-01-01', input: 0, output: 0 },
+  { model: 'local-template', effectiveFrom: '1970-01-01', input: 0, output: 0 }
+];
+
+// Bump when the way tokens or costs are counted changes. Rows logged with an
+// older (or NULL) version are repaired by scripts/backfill-costs.js.
+export const COST_ACCOUNTING_VERSION = 1;
+
+const warnedModels = new Set();
+
+function matchesModel(entryModel, model) {
+  return model === entryModel || model.startsWith(`${entryModel}-`);
+}
+
+/**
+ * Look up the price in effect for a model at a point in time.
+ * Timestamps before a model's first entry use that first entry.
+ *
+ * @param {string} model - Model name as reported by the API (snapshots allowed)
+ * @param {Date|string} [at] - When the request was made (defaults to now)
+ * @returns {{model: string, effectiveFrom: string, input: number, output: number}|null}
+ */
+export function getModelPricing(model, at = new Date()) {
+  if (!model) return null;
+  const name = String(model).toLowerCase();
+
+  // Prefer the most specific model name (gpt-4o-mini over gpt-4o)
+  const candidates = MODEL_PRICING.filter((entry) => matchesModel(entry.model, name));
+  if (!candidates.length) return null;
+  const longest = Math.max(...candidates.map((entry) => entry.model.length));
+  const entries = candidates
+    .filter((entry) => entry.model.length === longest)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  const day = new Date(at).toISOString().slice(0, 10);
+  const effective = entries.filter((entry) => entry.effectiveFrom <= day);
+  return effective.length ? effective[effective.length - 1] : entries[0];
+}
+
+/**
+ * Calculate the USD cost of a request.
+ * Unknown models cost 0 and log a warning once per process.
+ *
+ * @param {string} model - Model name
+ * @param {Object} tokens - Token counts
+ * @param {number} [tokens.inputTokens] - Prompt / embedding input tokens
+ * @param {number} [tokens.outputTokens] - Completion tokens
+ * @param {Date|string} [at] - When the request was made (defaults to now)
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(model, { inputTokens = 0, outputTokens = 0 } = {}, at = new Date()) {
+  const pricing = getModelPricing(model, at);
+  if (!pricing) {
+    if (model && !warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`No pricing registered for model "${model}"; cost recorded as 0. Add it to lib/llm/pricing.js.`);
+    }
+    return 0;
+  }
+  return ((inputTokens || 0) * pricing.input + (outputTokens || 0) * pricing.output) / 1_000_000;
+}
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from '../router/json-schema.js';
+import { renderTemplate } from '../router/regex-rules.js';
+
+/**
+ * Versioned RAG prompt templates (router/prompts.json).
+ *
+ * A template holds the system message, the output instructions and the
+ * generation parameters, with {{name}} placeholders filled from its own
+ * variables, the shared ones and the runtime ones. An intent can pick its own
+ * template and add guidance, variables and parameters on top. The template id
+ * and version are logged with every RAG answer.
+ */
+
+export const PROMPTS_PATH = path.join(process.cwd(), 'router', 'prompts.json');
+const PROMPTS_SCHEMA_PATH = path.join(process.cwd(), 'router', 'prompts.schema.json');
+
+// Filled per request rather than from the file
+export const RUNTIME_PROMPT_VARIABLES = ['supportEmail'];
+
+function checkPlaceholders(text, variables, pointer, errors) {
+  const names = new Set([...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]));
+  for (const name of names) {
+    if (!(name in variables) && !RUNTIME_PROMPT_VARIABLES.includes(name)) {
+      errors.push(`${pointer}: unknown variable {{${name}}}`);
+    }
+  }
+}
+
+/**
+ * Load and validate the prompt templates. Every placeholder must have a
+ * value, so a typo can't reach the model as literal braces.
+ * Throws when the file is missing or invalid.
+ *
+ * @param {string} [filePath] - Config file path
+ * @returns {{version: number, default: string, variables: Object, templates: Object, intents: Object}}
+ */
+export function loadPromptRegistry(filePath = PROMPTS_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(PROMPTS_SCHEMA_PATH, 'utf8')));
+  if (!errors.length) {
+    if (!config.templates[config.default]) {
+      errors.push(`$.default: unknown template "${config.default}"`);
+    }
+    for (const [id, template] of Object.entries(config.templates)) {
+      const variables = { ...config.variables, ...template.variables };
+      checkPlaceholders(template.system, variables, `$.templates.${id}.system`, errors);
+      checkPlaceholders(template.instructions, variables, `$.templates.${id}.instructions`, errors);
+    }
+    for (const [intent, settings] of Object.entries(config.intents || {})) {
+      const templateId = settings.template || config.default;
+      const template = config.templates[templateId];
+      if (!template) {
+        errors.push(`$.intents.${intent}.template: unknown template "${templateId}"`);
+        continue;
+      }
+      if (settings.guidance) {
+        const variables = { ...config.variables, ...template.variables, ...settings.variables };
+        checkPlaceholders(settings.guidance, variables, `$.intents.${intent}.guidance`, errors);
+      }
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid prompt templates in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+  return { ...config, intents: config.intents || {} };
+}
+
+/**
+ * Render the RAG prompt for a message routed to an intent (or to none).
+ *
+ * @param {Object} registry - Result of loadPromptRegistry()
+ * @param {Object} options
+ * @param {string|null} [options.intent] - Intent the message was routed to
+ * @param {string|null} [options.template] - Template id replacing the intent's (e.g. from an A/B variant)
+ * @param {Object} [options.variables] - Runtime variables (RUNTIME_PROMPT_VARIABLES)
+ * @returns {{id: string, version: number, system: string, instructions: string, temperature: number, maxTokens: number}}
+ */
+export function renderPrompt(registry, { intent = null, template: templateId = null, variables = {} } = {}) {
+  const settings = (intent && registry.intents[intent]) || {};
+  const id = templateId || settings.template || registry.default;
+  const template = registry.templates[id];
+  if (!template) {
+    throw new Error(`Unknown prompt template "${id}" (router/prompts.json)`);
+  }
+
+  const values = { ...registry.variables, ...template.variables, ...settings.variables, ...variables };
+  const system = renderTemplate(template.system, values);
+  return {
+    id,
+    version: template.version,
+    system: settings.guidance ? `${system}\n${renderTemplate(settings.guidance, values)}` : system,
+    instructions: renderTemplate(template.instructions, values),
+    temperature: settings.temperature ?? template.temperature,
+    maxTokens: settings.maxTokens ?? template.maxTokens
+  };
+}
@@ -0,0 +1,110 @@
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createLocalProvider } from './local.js';
+
+/**
+ * Embedding and chat completion provider, selected by LLM_PROVIDER:
+ *   - openai (default): api.openai.com, or OPENAI_BASE_URL
+ *   - openai-compatible: any server implementing the OpenAI REST API at LLM_BASE_URL
+ *   - azure: Azure OpenAI deployments
+ *   - local: deterministic offline provider (hash embeddings, templated completions)
+ *
+ * Every provider exposes:
+ *   embed(texts) -> { vectors, usage, model }
+ *   complete(messages, { model, temperature, maxTokens, responseFormat, onDelta }) -> { content, usage, model, requestId }
+ * Passing onDelta streams content deltas while the completion is generated.
+ * responseFormat: 'json' asks for a JSON object reply where the backend supports it.
+ */
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const DEFAULT_CHAT_MODEL = 'gpt-4o-mini';
+const DEFAULT_AZURE_API_VERSION = '2024-06-01';
+const DEFAULT_LOCAL_DIMENSIONS = 512;
+
+export const PROVIDER_NAMES = ['openai', 'openai-compatible', 'azure', 'local'];
+
+/**
+ * Resolve provider configuration from environment variables.
+ * Throws when required settings for the selected provider are missing.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Provider configuration
+ */
+export function getProviderConfig(env = process.env) {
+  const kind = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const embeddingModel = env.EMBEDDING_MODEL || env.OPENAI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+  const chatModel = env.CHAT_MODEL || DEFAULT_CHAT_MODEL;
+
+  switch (kind) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
+      return {
+        kind,
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        embeddingModel,
+        chatModel
+      };
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) throw new Error('Missing LLM_BASE_URL for LLM_PROVIDER=openai-compatible');
+      return {
+        kind,
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY || null,
+        embeddingModel,
+        chatModel
+      };
+
+    case 'azure':
+      if (!env.AZURE_OPENAI_ENDPOINT) throw new Error('Missing AZURE_OPENAI_ENDPOINT for LLM_PROVIDER=azure');
+      if (!env.AZURE_OPENAI_API_KEY) throw new Error('Missing AZURE_OPENAI_API_KEY for LLM_PROVIDER=azure');
+      // Azure addresses models by deployment name
+      return {
+        kind,
+        baseUrl: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION,
+        embeddingModel: env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || embeddingModel,
+        chatModel: env.AZURE_OPENAI_CHAT_DEPLOYMENT || chatModel
+      };
+
+    case 'local': {
+      const dimensions = Number(env.LOCAL_EMBEDDING_DIM || DEFAULT_LOCAL_DIMENSIONS);
+      return {
+        kind,
+        dimensions,
+        embeddingModel: `local-hash-${dimensions}`,
+        chatModel: 'local-template'
+      };
+    }
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${kind}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Build a provider from a configuration object.
+ *
+ * @param {Object} config - Configuration from getProviderConfig()
+ * @returns {Object} Provider with name, embeddingModel, chatModel, embed() and complete()
+ */
+export function createProvider(config) {
+  return config.kind === 'local'
+    ? createLocalProvider(config)
+    : createOpenAICompatibleProvider(config);
+}
+
+let activeProvider = null;
+
+/**
+ * Return the provider configured by the environment (created once per process).
+ *
+ * @returns {Object} Provider
+ */
+export function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(getProviderConfig());
+  }
+  return activeProvider;
+}
@@ -0,0 +1,173 @@
+import { validateSchema } from '../router/json-schema.js';
+
+/**
+ * Structured RAG answers.
+ *
+ * The model replies with a JSON object:
+ *   {"answer": "... [1] ...", "citations": [1], "confidence": 0.8, "needs_human": false}
+ * where [n] markers refer to the numbered context blocks it was given.
+ * Replies that are not valid JSON or fail the schema fall back to plain text.
+ */
+
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  required: ['answer', 'citations', 'confidence', 'needs_human'],
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    citations: { type: 'array', items: { type: 'integer', minimum: 1 } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    needs_human: { type: 'boolean' }
+  }
+};
+
+// [1], [2, 3] with an optional leading space
+const MARKER_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Incrementally decode the "answer" string field of a streamed JSON reply so
+ * it can be forwarded before the object is complete. A reply that does not
+ * start with "{" is treated as plain text and passed through unchanged.
+ *
+ * @returns {{push: Function}} push(delta) returns the newly decoded answer text
+ */
+export function createAnswerFieldStreamer() {
+  let buffer = '';
+  let mode = null; // 'json' | 'text'
+  let position = -1; // Next undecoded index inside the answer string
+  let finished = false;
+
+  return {
+    push(delta) {
+      buffer += delta;
+      if (!mode) {
+        const first = buffer.trimStart()[0];
+        if (!first) return '';
+        mode = first === '{' ? 'json' : 'text';
+        if (mode === 'text') return buffer;
+      } else if (mode === 'text') {
+        return delta;
+      }
+
+      if (finished) return '';
+      if (position === -1) {
+        const start = buffer.match(/"answer"\s*:\s*"/);
+        if (!start) return '';
+        position = start.index + start[0].length;
+      }
+
+      let out = '';
+      while (position < buffer.length) {
+        const char = buffer[position];
+        if (char === '"') {
+          finished = true;
+          break;
+        }
+        if (char !== '\\') {
+          out += char;
+          position += 1;
+          continue;
+        }
+        // Wait for the rest of a split escape sequence
+        const next = buffer[position + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = buffer.slice(position + 2, position + 6);
+          if (hex.length < 4) break;
+          out += String.fromCharCode(parseInt(hex, 16));
+          position += 6;
+        } else {
+          out += ESCAPES[next] ?? next;
+          position += 2;
+        }
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * Parse and validate a model reply.
+ *
+ * Invalid replies fall back to plain text: the "answer" field when one can be
+ * recovered (e.g. a reply cut off by max_tokens), otherwise the raw content.
+ *
+ * @param {string} content - Raw completion content
+ * @returns {{structured: boolean, answer: string, citations: number[], confidence: number|null, needsHuman: boolean, errors: string[]}}
+ */
+export function parseStructuredAnswer(content) {
+  // Some models wrap JSON in a ```json fence even in JSON mode
+  const raw = String(content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+  let parsed = null;
+  let errors;
+  try {
+    parsed = JSON.parse(raw);
+    errors = validateSchema(parsed, ANSWER_SCHEMA);
+  } catch (error) {
+    errors = [`invalid JSON: ${error.message}`];
+  }
+
+  if (!errors.length) {
+    return {
+      structured: true,
+      answer: parsed.answer.trim(),
+      citations: parsed.citations,
+      confidence: parsed.confidence,
+      needsHuman: parsed.needs_human,
+      errors
+    };
+  }
+
+  const recovered = typeof parsed?.answer === 'string' ? parsed.answer : createAnswerFieldStreamer().push(raw);
+  return { structured: false, answer: recovered.trim(), citations: [], confidence: null, needsHuman: false, errors };
+}
+
+/**
+ * Map [n] markers in the delivered answer to the context chunks they cite.
+ *
+ * Markers are normalized to one number per bracket ("[1, 2]" → "[1][2]") and
+ * markers without a matching chunk are removed. When the answer has no
+ * markers, the reply's `citations` list is used instead.
+ *
+ * @param {string} answer - Delivered answer text
+ * @param {Array<Object>} chunks - Context chunks in prompt order (block n = chunks[n - 1])
+ * @param {number[]} [declared] - Citations listed in the structured reply
+ * @returns {{answer: string, citations: Array<{marker: number, chunkId: string, docId: string, title: string, url: string}>, chunks: Array<Object>}}
+ */
+export function resolveCitations(answer, chunks, declared = []) {
+  const cited = [];
+  const cite = (marker) => {
+    if (!cited.includes(marker)) cited.push(marker);
+  };
+
+  const text = String(answer || '')
+    .replace(MARKER_PATTERN, (match, list) => {
+      const markers = list
+        .split(',')
+        .map(Number)
+        .filter((marker) => marker >= 1 && marker <= chunks.length);
+      markers.forEach(cite);
+      if (!markers.length) return '';
+      return `${match.startsWith(' ') ? ' ' : ''}${markers.map((marker) => `[${marker}]`).join('')}`;
+    })
+    .trim();
+
+  if (!cited.length) {
+    declared.filter((marker) => marker >= 1 && marker <= chunks.length).forEach(cite);
+  }
+
+  const citedChunks = cited.map((marker) => chunks[marker - 1]);
+  return {
+    answer: text,
+    citations: cited.map((marker, index) => ({
+      marker,
+      chunkId: citedChunks[index].id,
+      docId: citedChunks[index].parentId || citedChunks[index].id,
+      title: citedChunks[index].title,
+      url: citedChunks[index].url
+    })),
+    chunks: citedChunks
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Tokenizer fallback for backends that don't return `usage`.
+ * Encodings are loaded lazily since they're only needed when usage is missing.
+ */
+
+// Per-message framing tokens added by the Chat Completions format
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Static specifiers so serverless bundlers can trace the encodings
+const ENCODING_LOADERS = {
+  o200k_base: () => import('gpt-tokenizer/encoding/o200k_base'),
+  cl100k_base: () => import('gpt-tokenizer/encoding/cl100k_base')
+};
+
+const encoders = new Map();
+
+function encodingForModel(model = '') {
+  return /^(gpt-4o|gpt-4\.1|o1|o3|o4)/i.test(model) ? 'o200k_base' : 'cl100k_base';
+}
+
+async function getEncoder(model) {
+  const encoding = encodingForModel(model);
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, ENCODING_LOADERS[encoding]());
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Count tokens in a piece of text with the model's tokenizer.
+ *
+ * @param {string} text - Text to count
+ * @param {string} [model] - Model name (selects the encoding)
+ * @returns {Promise<number>}
+ */
+export async function countTokens(text, model) {
+  if (!text) return 0;
+  const encoder = await getEncoder(model);
+  return encoder.countTokens(String(text));
+}
+
+/**
+ * Count prompt tokens for a list of chat messages.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {string} [model] - Model name
+ * @returns {Promise<number>}
+ */
+export async function countChatTokens(messages = [], model) {
+  let total = TOKENS_PER_REPLY;
+  for (const message of messages) {
+    total += TOKENS_PER_MESSAGE + (await countTokens(message.role, model)) + (await countTokens(message.content, model));
+  }
+  return total;
+}
+
+/**
+ * Resolve embedding input tokens, preferring the API's usage block.
+ *
+ * @param {Object|null} usage - `usage` from the embeddings response
+ * @param {string} text - Embedded text
+ * @param {string} model - Embedding model
+ * @returns {Promise<number>}
+ */
+export async function resolveEmbeddingTokens(usage, text, model) {
+  if (Number.isFinite(usage?.prompt_tokens)) return usage.prompt_tokens;
+  return countTokens(text, model);
+}
+
+/**
+ * Resolve prompt/completion tokens for a chat completion, preferring the API's usage block.
+ *
+ * @param {Object|null} usage - `usage` from the completion response
+ * @param {Array} messages - Prompt messages
+ * @param {string} content - Generated content
+ * @param {string} model - Chat model
+ * @returns {Promise<{promptTokens: number, completionTokens: number}>}
+ */
+export async function resolveCompletionTokens(usage, messages, content, model) {
+  const promptTokens = Number.isFinite(usage?.prompt_tokens)
+    ? usage.prompt_tokens
+    : await countChatTokens(messages, model);
+  const completionTokens = Number.isFinite(usage?.completion_tokens)
+    ? usage.completion_tokens
+    : await countTokens(content, model);
+  return { promptTokens, completionTokens };
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from '../router/json-schema.js';
+import { validateTranslations, localize } from '../router/language.js';
+import { renderTemplate } from '../router/regex-rules.js';
+import { hashEmail } from './shopify.js';
+
+/**
+ * Slot filling for the chat order lookup (router/order-lookup.json).
+ *
+ * The two slots are the order number and the checkout email. Both come from
+ * the PII scrubber's entities, so the message that is routed, stored and
+ * logged only ever has [ORDER] / [EMAIL] placeholders. Between turns the
+ * session keeps the order number and a hash of the email, never the address.
+ */
+
+export const ORDER_LOOKUP_PATH = path.join(process.cwd(), 'router', 'order-lookup.json');
+const ORDER_LOOKUP_SCHEMA_PATH = path.join(process.cwd(), 'router', 'order-lookup.schema.json');
+
+// A bare number is accepted as the order number only when the assistant just asked for one
+const BARE_ORDER_NUMBER = /^\s*#?\s*(\d{3,12})\s*[.!]?\s*$/;
+
+/**
+ * Load and validate the order lookup config.
+ * Throws when the file is missing or invalid.
+ *
+ * @param {string} [filePath] - Config file path
+ * @returns {{version: number, intent: string, ttlMinutes: number, templates: Object, translations: Object}}
+ */
+export function loadOrderLookupConfig(filePath = ORDER_LOOKUP_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(ORDER_LOOKUP_SCHEMA_PATH, 'utf8')));
+  if (!errors.length) errors.push(...validateTranslations(config.translations, Object.keys(config.templates), '$.translations'));
+  if (errors.length) {
+    throw new Error(`Invalid order lookup config in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+  return { ...config, translations: config.translations || {} };
+}
+
+/**
+ * Slots supplied by this message. The last order number and email win when
+ * a message has several.
+ *
+ * @param {Array<{type: string, value: string}>} entities - Detected PII from scrubPii()
+ * @param {string} message - Scrubbed message
+ * @param {boolean} awaitingOrderNumber - Whether the previous reply asked for the order number
+ * @returns {{orderNumber: string|null, emailHash: string|null, bareOrderNumber: boolean}}
+ */
+export function extractOrderSlots(entities, message, awaitingOrderNumber) {
+  const orders = entities.filter((entity) => entity.type === 'ORDER');
+  const emails = entities.filter((entity) => entity.type === 'EMAIL');
+  const bare = !orders.length && awaitingOrderNumber ? message.match(BARE_ORDER_NUMBER) : null;
+
+  return {
+    orderNumber: orders.length ? orders[orders.length - 1].value : bare?.[1] || null,
+    emailHash: emails.length ? hashEmail(emails[emails.length - 1].value) : null,
+    bareOrderNumber: !!bare
+  };
+}
+
+/**
+ * Slot state for routing metadata: which slots are filled, never their values.
+ *
+ * @param {{orderNumber: string|null, emailHash: string|null}} slots
+ * @returns {{orderNumber: string, email: string}}
+ */
+export function describeSlots(slots) {
+  return {
+    orderNumber: slots.orderNumber ? 'filled' : 'missing',
+    email: slots.emailHash ? 'filled' : 'missing'
+  };
+}
+
+/**
+ * Template key asking for whichever slots are still missing, or null when both are filled.
+ *
+ * @param {{orderNumber: string|null, emailHash: string|null}} slots
+ * @returns {string|null}
+ */
+export function missingSlotPrompt(slots) {
+  if (!slots.orderNumber && !slots.emailHash) return 'ask-both';
+  if (!slots.orderNumber) return 'ask-order-number';
+  if (!slots.emailHash) return 'ask-email';
+  return null;
+}
+
+/**
+ * Render a lookup reply in the message's language.
+ *
+ * @param {Object} config - Loaded order lookup config
+ * @param {string} key - Template key
+ * @param {string} lang - Language code
+ * @param {Object} [variables] - Template variables
+ * @returns {string}
+ */
+export function renderOrderReply(config, key, lang, variables = {}) {
+  const templates = localize(config.templates, config.translations, lang);
+  return renderTemplate(templates[key], variables);
+}
+
+/**
+ * Describe a found order: payment and fulfillment status plus tracking.
+ *
+ * @param {Object} config - Loaded order lookup config
+ * @param {Object} order - Order from lookupOrder()
+ * @param {string} lang - Language code
+ * @param {Object} [variables] - Extra template variables (e.g. supportEmail)
+ * @returns {string}
+ */
+export function renderOrderStatus(config, order, lang, variables = {}) {
+  const templates = localize(config.templates, config.translations, lang);
+  const label = (prefix, status) => templates[`${prefix}-${status}`] || String(status).replace(/_/g, ' ');
+
+  const shipments = (order.shipments || [])
+    .map((shipment) => [shipment.tracking_company, (shipment.tracking_numbers || []).join(', ')].filter(Boolean).join(' '))
+    .filter(Boolean);
+  const tracking = shipments.length
+    ? renderTemplate(templates.tracking, { shipments: shipments.join('; ') })
+    : templates['no-tracking'];
+
+  return renderTemplate(templates.status, {
+    ...variables,
+    orderName: order.order_name,
+    payment: label('payment', order.financial_status || 'pending'),
+    fulfillment: label('fulfillment', order.fulfillment_status || 'unfulfilled'),
+    tracking
+  }).trim();
+}
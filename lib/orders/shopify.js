@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+/**
+ * Shopify order lookup shared by /api/order and the chat order flow.
+ *
+ * An order is only returned when the customer's email matches the one on the
+ * order. Emails are compared as hashes, so the chat flow can keep the email
+ * it collected across turns without storing the address itself.
+ */
+
+/**
+ * Shopify Admin API settings, or null when the store isn't configured.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {{shop: string, token: string, apiVersion: string}|null}
+ */
+export function getShopifyConfig(env = process.env) {
+  if (!env.SHOPIFY_SHOP || !env.SHOPIFY_ADMIN_TOKEN) return null;
+  return {
+    shop: env.SHOPIFY_SHOP,
+    token: env.SHOPIFY_ADMIN_TOKEN,
+    apiVersion: env.SHOPIFY_API_VERSION || '2024-07'
+  };
+}
+
+/**
+ * Hash an email for comparison (trimmed, case-insensitive).
+ *
+ * @param {string} email - Email address
+ * @returns {string} Hex SHA-256
+ */
+export function hashEmail(email) {
+  return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Order fields returned to the customer. The shipping address is only
+ * included for /api/order, which the customer calls with their own details.
+ *
+ * @param {Object} order - Shopify order
+ * @returns {Object}
+ */
+export function summarizeOrder(order) {
+  return {
+    order_name: order.name,
+    financial_status: order.financial_status,
+    fulfillment_status: order.fulfillment_status,
+    shipments: (order.fulfillments || []).map((fulfillment) => ({
+      status: fulfillment.status,
+      tracking_company: fulfillment.tracking_company,
+      tracking_numbers: fulfillment.tracking_numbers
+    })),
+    shipping_address: order.shipping_address,
+    created_at: order.created_at
+  };
+}
+
+/**
+ * Look up an order by number and check it belongs to the given email.
+ *
+ * @param {Object} query
+ * @param {string} query.orderNumber - Order number, with or without "#"
+ * @param {string} query.emailHash - hashEmail() of the customer's email
+ * @param {Object} config - Settings from getShopifyConfig()
+ * @returns {Promise<{status: 'found'|'not-found'|'email-mismatch', order?: Object}>}
+ */
+export async function lookupOrder({ orderNumber, emailHash }, config) {
+  const name = String(orderNumber).trim().replace(/^#/, '');
+  const url = `https://${config.shop}/admin/api/${config.apiVersion}/orders.json?name=${encodeURIComponent(name)}&status=any&limit=1`;
+  const response = await fetch(url, { headers: { 'X-Shopify-Access-Token': config.token } });
+  if (!response.ok) {
+    throw new Error(`Shopify order lookup failed: ${response.status}`);
+  }
+
+  const json = await response.json();
+  const order = json.orders?.[0];
+  if (!order) return { status: 'not-found' };
+
+  const orderEmail = order.email || order.contact_email;
+  if (!orderEmail || hashEmail(orderEmail) !== emailHash) return { status: 'email-mismatch' };
+
+  return { status: 'found', order: summarizeOrder(order) };
+}
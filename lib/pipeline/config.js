@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from '../router/json-schema.js';
+import { LAYERS } from './layers/index.js';
+
+export const PIPELINE_PATH = path.join(process.cwd(), 'router', 'pipeline.json');
+const PIPELINE_SCHEMA_PATH = path.join(process.cwd(), 'router', 'pipeline.schema.json');
+
+/**
+ * Check a layer order against the layer registry: known names, no
+ * duplicates, and a terminal layer last.
+ *
+ * @param {string[]} layers - Layer names in execution order
+ * @param {Object} [registry] - Layer modules keyed by name
+ * @param {string} [pointer] - Location of the list, for error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateLayerOrder(layers, registry = LAYERS, pointer = '$.layers') {
+  const errors = [];
+  const seen = new Set();
+  layers.forEach((name, index) => {
+    if (!registry[name]) {
+      errors.push(`${pointer}[${index}]: unknown layer "${name}" (expected one of: ${Object.keys(registry).join(', ')})`);
+    }
+    if (seen.has(name)) {
+      errors.push(`${pointer}[${index}]: duplicate layer "${name}"`);
+    }
+    seen.add(name);
+  });
+
+  const last = layers[layers.length - 1];
+  if (registry[last] && !registry[last].terminal) {
+    errors.push(`${pointer}: last layer "${last}" doesn't always respond; end the pipeline with a terminal layer (e.g. rag)`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a parsed pipeline file against the schema and the layer registry.
+ *
+ * @param {Object} config - Parsed router/pipeline.json
+ * @param {Object} [registry] - Layer modules keyed by name
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validatePipelineConfig(config, registry = LAYERS) {
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(PIPELINE_SCHEMA_PATH, 'utf8')));
+  if (errors.length) return errors;
+  return validateLayerOrder(config.layers, registry);
+}
+
+/**
+ * Load the layer order for /api/chat.
+ * Throws when the file is missing or invalid, like the other router config.
+ *
+ * @param {string} [filePath] - Pipeline file path
+ * @param {Object} [registry] - Layer modules keyed by name
+ * @returns {Array<Object>} Layer modules in execution order
+ */
+export function loadPipeline(filePath = PIPELINE_PATH, registry = LAYERS) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validatePipelineConfig(config, registry);
+  if (errors.length) {
+    throw new Error(`Invalid router pipeline in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+  return config.layers.map((name) => registry[name]);
+}
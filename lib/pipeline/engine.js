@@ -0,0 +1,428 @@
+import crypto from 'crypto';
+import { logQuery, logRetrievalDetails, logRoutingDecisions } from '../database/queries.js';
+import { appendTurn } from '../session/session-store.js';
+import { calculateCost } from '../llm/pricing.js';
+import { resolveEmbeddingTokens, resolveCompletionTokens } from '../llm/tokens.js';
+import { entityAwareNormalize } from '../router/normalize.js';
+import { scrubPii, sealOriginal } from '../router/pii.js';
+import { detectLanguage } from '../router/language.js';
+
+/**
+ * Router pipeline engine for /api/chat.
+ *
+ * Layers run in the order listed in router/pipeline.json until one returns a
+ * response. A layer is a module under lib/pipeline/layers/ exporting:
+ *   name               - Layer name (used in decisionTrace and pipeline.json)
+ *   run(ctx)           - Returns a LayerResult, or null to record nothing
+ *   terminal           - Optional; true when the layer always responds (required for the last layer)
+ *   finalize(ctx, result) - Optional; called with {layer, response, log} once any layer has
+ *                        responded (even a layer listed before this one) and returns it, possibly changed
+ *
+ * LayerResult:
+ *   decision/decisions - Routing decision(s) to record. `layer`, `executionTime` and
+ *                        `apiLatency` default to the layer's name, its run time and the
+ *                        time it spent in ctx.embed()/ctx.complete()
+ *   response           - Ends the pipeline: {answer, sources, routing, citations?, confidence?, needsHuman?}
+ *   log                - Extra logQuery() fields (e.g. rawAnswer, retrievalDetails)
+ *
+ * The engine owns the decision trace, layer timing and cost accounting, and
+ * sends, stores and logs the response in one place.
+ *
+ * The message is PII-scrubbed when the context is created, so layers, the
+ * LLM, the session history and query_logs only ever see placeholders. Its
+ * language (ctx.lang) is detected at the same time and picks the scripted
+ * responses, knowledge docs and answer language.
+ */
+
+// Performance tracking helpers
+class LayerTimer {
+  constructor(startTime = Date.now()) {
+    this.startTime = startTime;
+    this.layerTimes = {};
+    this.apiCalls = 0;
+  }
+
+  startLayer(layerName) {
+    this.layerTimes[layerName] = { start: Date.now() };
+  }
+
+  endLayer(layerName, apiLatency = 0) {
+    if (this.layerTimes[layerName]) {
+      const executionTime = Date.now() - this.layerTimes[layerName].start;
+      this.layerTimes[layerName] = {
+        ...this.layerTimes[layerName],
+        executionTime,
+        apiLatency
+      };
+    }
+  }
+
+  incrementApiCalls() {
+    this.apiCalls++;
+  }
+
+  getTotalTime() {
+    return Date.now() - this.startTime;
+  }
+
+  getLayerTime(layerName) {
+    return this.layerTimes[layerName] || { executionTime: 0, apiLatency: 0 };
+  }
+}
+
+/**
+ * Error a layer can throw to fail the request with a specific status and a
+ * message that is safe to show the client.
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Client-facing message
+ * @returns {Error}
+ */
+export function pipelineError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+}
+
+/**
+ * Create the per-request context shared by every layer.
+ *
+ * @param {Object} options
+ * @param {string} options.message - User message (scrubbed of PII here)
+ * @param {Object} options.provider - LLM provider from getProvider()
+ * @param {Object|null} [options.stream] - Event stream when the client asked for SSE
+ * @param {string} options.requestId - Request ID for log lines
+ * @param {number} [options.startTime] - Request start (ms)
+ * @param {string|null} [options.lang] - Client UI language, used when the message itself is ambiguous
+ * @param {string|null} [options.clientIp] - Client IP, for rate limits on work a layer does for the client (never logged)
+ * @param {boolean} [options.debug] - Admin debug mode: layers add `debug` details to their decisions and LLM prompts are kept
+ * @returns {Object} Pipeline context
+ */
+export function createPipelineContext({ message, provider, stream = null, requestId, startTime = Date.now(), lang = null, clientIp = null, debug = false }) {
+  let embedding = null;
+  const scrubbed = scrubPii(message);
+
+  const ctx = {
+    requestId,
+    // query_logs ID, sent with the answer so feedback can refer to it
+    queryId: crypto.randomUUID(),
+    provider,
+    stream,
+    clientIp,
+    timer: new LayerTimer(startTime),
+    session: null,
+    message: scrubbed.text,
+    resolvedMessage: scrubbed.text,
+    normalizedMessage: entityAwareNormalize(scrubbed.text),
+    lang: detectLanguage(message, lang),
+    // Detected values stay in memory for this request (e.g. an order lookup); only the types are logged
+    pii: {
+      types: scrubbed.types,
+      entities: scrubbed.entities,
+      sealedMessage: scrubbed.types ? sealOriginal(message) : null
+    },
+    // Set by layers that match an intent without answering, read by later layers
+    routing: null,
+    scope: null,
+    // Safety policies carried over from earlier turns (safety-session layer)
+    sessionSafety: null,
+    // The session's A/B variant {id, variant, overrides, pipeline}, if an experiment is enabled
+    experiment: null,
+    // Admin debug mode only: every prompt sent to the LLM
+    debug: debug ? { llmCalls: [] } : null,
+    decisionTrace: [],
+    openai: {},
+    // Token counts come from API usage (tokenizer fallback); chatCompletionTokens = prompt + completion
+    cost: {
+      embeddingTokens: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      chatCompletionTokens: 0,
+      estimatedCost: 0
+    },
+    apiLatency: 0,
+
+    /**
+     * Replace the question later layers work on (e.g. a resolved follow-up).
+     *
+     * @param {string} question - Standalone question
+     */
+    setResolvedMessage(question) {
+      ctx.resolvedMessage = question;
+      ctx.normalizedMessage = entityAwareNormalize(question);
+    },
+
+    /**
+     * Redact a value that only a layer can tell is PII (e.g. a bare number
+     * sent in reply to "what's your order number?"), as if the scrubber had found it.
+     *
+     * @param {string} type - Placeholder type (e.g. ORDER)
+     * @param {string} value - Value to replace
+     */
+    redactPii(type, value) {
+      const replace = (text) => text.split(value).join(`[${type}]`);
+      if (!ctx.pii.types) ctx.pii.sealedMessage = sealOriginal(message);
+      ctx.message = replace(ctx.message);
+      ctx.setResolvedMessage(replace(ctx.resolvedMessage));
+      ctx.pii.entities.push({ type, value });
+      ctx.pii.types = { ...ctx.pii.types, [type]: (ctx.pii.types?.[type] || 0) + 1 };
+    },
+
+    /**
+     * Embed the normalized message. Computed once per request and reused by
+     * every later layer; its tokens and cost are counted on the first call.
+     *
+     * @returns {Promise<number[]>}
+     */
+    async embed() {
+      if (embedding) {
+        ctx.openai.embeddingCacheHit = true;
+        return embedding;
+      }
+      const started = Date.now();
+      const { vectors, usage } = await provider.embed([ctx.normalizedMessage]);
+      ctx.apiLatency += Date.now() - started;
+      const tokens = await resolveEmbeddingTokens(usage, ctx.normalizedMessage, provider.embeddingModel);
+
+      embedding = vectors[0];
+      ctx.cost.embeddingTokens += tokens;
+      ctx.cost.estimatedCost += calculateCost(provider.embeddingModel, { inputTokens: tokens });
+      ctx.timer.incrementApiCalls();
+      ctx.openai.model = provider.embeddingModel;
+      ctx.openai.embeddingCacheHit = false;
+      return embedding;
+    },
+
+    /**
+     * Run a chat completion and add its tokens and cost to the request.
+     *
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} [opts] - provider.complete() options
+     * @returns {Promise<Object>} Completion from the provider
+     */
+    async complete(messages, opts = {}) {
+      const started = Date.now();
+      const completion = await provider.complete(messages, opts);
+      ctx.apiLatency += Date.now() - started;
+      ctx.timer.incrementApiCalls();
+
+      const tokens = await resolveCompletionTokens(completion.usage, messages, completion.content, completion.model);
+      ctx.cost.promptTokens += tokens.promptTokens;
+      ctx.cost.completionTokens += tokens.completionTokens;
+      ctx.cost.chatCompletionTokens += tokens.promptTokens + tokens.completionTokens;
+      ctx.cost.estimatedCost += calculateCost(completion.model, { inputTokens: tokens.promptTokens, outputTokens: tokens.completionTokens });
+
+      ctx.openai.chatModel = completion.model;
+      ctx.openai.requestId = completion.requestId;
+      ctx.openai.totalTokens = completion.usage?.total_tokens || null;
+      if (ctx.debug) {
+        const { temperature, maxTokens, responseFormat } = opts;
+        ctx.debug.llmCalls.push({ model: completion.model, messages, options: { temperature, maxTokens, responseFormat }, content: completion.content, usage: tokens });
+      }
+      return completion;
+    }
+  };
+
+  return ctx;
+}
+
+/**
+ * Run layers in order until one responds.
+ *
+ * @param {Array<Object>} layers - Layer modules from loadPipeline()
+ * @param {Object} ctx - Context from createPipelineContext()
+ * @returns {Promise<{layer: string, response: Object, log?: Object}>}
+ */
+export async function runPipeline(layers, ctx) {
+  for (const layer of layers) {
+    const apiLatencyBefore = ctx.apiLatency;
+    ctx.timer.startLayer(layer.name);
+    const result = await layer.run(ctx);
+    const apiLatency = ctx.apiLatency - apiLatencyBefore;
+    ctx.timer.endLayer(layer.name, apiLatency);
+    const { executionTime } = ctx.timer.getLayerTime(layer.name);
+
+    const decisions = result?.decisions || (result?.decision ? [result.decision] : []);
+    for (const decision of decisions) {
+      ctx.decisionTrace.push({
+        layer: layer.name,
+        rule: null,
+        intent: null,
+        category: null,
+        score: null,
+        triggered: false,
+        ...decision,
+        executionTime: decision.executionTime ?? executionTime,
+        apiLatency: decision.apiLatency ?? apiLatency
+      });
+    }
+
+    if (result?.response) {
+      let final = { layer: layer.name, response: result.response, log: result.log || {} };
+      for (const finalizer of layers.filter((candidate) => candidate.finalize)) {
+        final = await finalizer.finalize(ctx, final);
+      }
+      return final;
+    }
+  }
+
+  throw new Error(`Router pipeline ended without a response after "${layers[layers.length - 1]?.name}"`);
+}
+
+function respond(res, payload, stream = null) {
+  const { answer, sources = [], citations = [], confidence = null, needsHuman = false, routing, sessionId, queryId, debug } = payload;
+  const body = { answer, sources, citations, confidence, needsHuman, routing, sessionId, queryId, ...(debug && { debug }) };
+  if (stream) {
+    // Deterministic layers send their whole answer as a single token event
+    if (!stream.streamedText) stream.sendToken(answer);
+    stream.send('done', body);
+    return stream.close();
+  }
+  return res.json(body);
+}
+
+async function recordSessionTurn(ctx, responseData) {
+  if (!ctx.session) return;
+  await appendTurn(ctx.session, {
+    user: ctx.message,
+    resolved: ctx.resolvedMessage,
+    assistant: responseData.answer,
+    layer: responseData.routing?.layer || null
+  });
+}
+
+async function logRequestAsync(requestData) {
+  let queryLogId;
+
+  // Log main query first
+  try {
+    queryLogId = await logQuery(requestData);
+    console.log(`Successfully logged main query: ${queryLogId}`);
+  } catch (error) {
+    // Check if it's a missing table error
+    if (error.message?.includes('relation "query_logs" does not exist') ||
+        error.message?.includes('table') ||
+        error.code === '42P01') {
+      console.warn('Database tables not created yet. Run /api/migrate to create tables.');
+    } else {
+      console.error('Failed to log main query to database:', error.message, {
+        userMessage: requestData.userMessage?.substring(0, 100),
+        routing: requestData.routing
+      });
+    }
+    // Don't throw - logging failures shouldn't break the chat
+    return;
+  }
+
+  // Log retrieval details if available (separate error handling)
+  if (requestData.retrievalDetails && requestData.retrievalDetails.length > 0) {
+    try {
+      await logRetrievalDetails(queryLogId, requestData.retrievalDetails);
+      console.log(`Successfully logged ${requestData.retrievalDetails.length} retrieval details for query ${queryLogId}`);
+    } catch (error) {
+      console.error(`Failed to log retrieval details for query ${queryLogId}:`, error.message, {
+        detailsCount: requestData.retrievalDetails.length,
+        sampleDetail: requestData.retrievalDetails[0]
+      });
+      // Continue to log routing decisions even if this fails
+    }
+  }
+
+  // Log routing decisions if available (separate error handling)
+  if (requestData.decisionTrace && requestData.decisionTrace.length > 0) {
+    try {
+      await logRoutingDecisions(queryLogId, requestData.decisionTrace);
+      console.log(`Successfully logged ${requestData.decisionTrace.length} routing decisions for query ${queryLogId}`);
+    } catch (error) {
+      console.error(`Failed to log routing decisions for query ${queryLogId}:`, error.message, {
+        decisionsCount: requestData.decisionTrace.length,
+        sampleDecision: requestData.decisionTrace[0]
+      });
+    }
+  }
+
+  return queryLogId;
+}
+
+/**
+ * Log the request with the context's messages, cost, timing and decision trace.
+ * Logging failures are reported but never thrown.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {Object} fields - Response fields (responseAnswer, routing, sources, errorMessage, ...)
+ * @returns {Promise<string|undefined>} query_logs ID (undefined when logging failed)
+ */
+export async function logRequest(ctx, fields) {
+  return logRequestAsync({
+    queryId: ctx.queryId,
+    userMessage: ctx.message,
+    normalizedMessage: ctx.normalizedMessage,
+    piiTypes: ctx.pii.types,
+    language: ctx.lang,
+    sealedMessage: ctx.pii.sealedMessage,
+    resolvedMessage: ctx.resolvedMessage,
+    userSessionId: ctx.session?.id || null,
+    experimentId: ctx.experiment?.id || null,
+    variantId: ctx.experiment?.variant || null,
+    responseTimeMs: Date.now() - ctx.timer.startTime,
+    openai: ctx.openai,
+    embeddingCacheHit: ctx.openai.embeddingCacheHit,
+    errorMessage: null,
+    ...ctx.cost,
+    apiCallsCount: ctx.timer.apiCalls,
+    retrievalDetails: [],
+    decisionTrace: ctx.decisionTrace,
+    ...fields
+  });
+}
+
+/**
+ * Everything admin debug mode returns alongside the answer: the full decision
+ * trace (with each layer's `debug` details), the message as routed, the
+ * intent and scope applied, and the prompts sent to the LLM.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @returns {Object}
+ */
+export function debugReport(ctx) {
+  return {
+    requestId: ctx.requestId,
+    message: ctx.message,
+    resolvedMessage: ctx.resolvedMessage,
+    normalizedMessage: ctx.normalizedMessage,
+    lang: ctx.lang,
+    piiTypes: ctx.pii.types,
+    experiment: ctx.experiment && { id: ctx.experiment.id, variant: ctx.experiment.variant },
+    routing: ctx.routing,
+    scope: ctx.scope,
+    decisionTrace: ctx.decisionTrace,
+    llmCalls: ctx.debug.llmCalls,
+    cost: { ...ctx.cost, apiCalls: ctx.timer.apiCalls },
+    responseTimeMs: ctx.timer.getTotalTime()
+  };
+}
+
+/**
+ * Send the pipeline's response, append it to the session and log it.
+ *
+ * @param {Object} res - Response object
+ * @param {Object} ctx - Pipeline context
+ * @param {{response: Object, log: Object}} result - Result from runPipeline()
+ * @returns {Promise<string|undefined>} query_logs ID (undefined when logging failed)
+ */
+export async function completeRequest(res, ctx, { response, log }) {
+  const responseData = { sources: [], ...response };
+
+  // Send response immediately
+  respond(res, { ...responseData, sessionId: ctx.session?.id || null, queryId: ctx.queryId, debug: ctx.debug ? debugReport(ctx) : null }, ctx.stream);
+  await recordSessionTurn(ctx, responseData);
+
+  // Log after the response is sent, but wait for completion to prevent function termination
+  return logRequest(ctx, {
+    responseAnswer: responseData.answer,
+    routing: responseData.routing,
+    sources: responseData.sources,
+    ...log
+  });
+}
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from '../router/json-schema.js';
+import { loadPromptRegistry } from '../llm/prompts.js';
+import { validateLayerOrder } from './config.js';
+import { LAYERS } from './layers/index.js';
+
+/**
+ * A/B experiments (router/experiments.json). While an experiment is enabled,
+ * each chat session is assigned one of its variants by weight, from a hash of
+ * the experiment and session IDs, so a session keeps its variant on every
+ * message. A variant can override the RAG prompt template, the safety-embed
+ * threshold, RAG top-k and the layer order; the experiment and variant IDs
+ * are logged on query_logs.
+ */
+
+export const EXPERIMENTS_PATH = path.join(process.cwd(), 'router', 'experiments.json');
+const EXPERIMENTS_SCHEMA_PATH = path.join(process.cwd(), 'router', 'experiments.schema.json');
+
+/**
+ * Load and validate the experiments. Variant layer orders are resolved to
+ * layer modules (`pipeline`). Throws when the file is missing or invalid.
+ *
+ * @param {string} [filePath] - Config file path
+ * @param {Object} [registry] - Layer modules keyed by name
+ * @param {Object} [prompts] - Prompt templates (loadPromptRegistry())
+ * @returns {{version: number, experiments: Array<Object>, active: Object|null}} `active` is the enabled experiment, if any
+ */
+export function loadExperiments(filePath = EXPERIMENTS_PATH, registry = LAYERS, prompts = loadPromptRegistry()) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(EXPERIMENTS_SCHEMA_PATH, 'utf8')));
+  if (!errors.length) {
+    const experimentIds = new Set();
+    config.experiments.forEach((experiment, index) => {
+      const pointer = `$.experiments[${index}]`;
+      if (experimentIds.has(experiment.id)) {
+        errors.push(`${pointer}: duplicate experiment id "${experiment.id}"`);
+      }
+      experimentIds.add(experiment.id);
+
+      const variantIds = new Set();
+      experiment.variants.forEach((variant, variantIndex) => {
+        if (variantIds.has(variant.id)) {
+          errors.push(`${pointer}.variants[${variantIndex}]: duplicate variant id "${variant.id}"`);
+        }
+        variantIds.add(variant.id);
+        const promptTemplate = variant.overrides?.promptTemplate;
+        if (promptTemplate && !prompts.templates[promptTemplate]) {
+          errors.push(`${pointer}.variants[${variantIndex}].overrides.promptTemplate: unknown template "${promptTemplate}" (router/prompts.json)`);
+        }
+        if (variant.overrides?.layers) {
+          errors.push(...validateLayerOrder(variant.overrides.layers, registry, `${pointer}.variants[${variantIndex}].overrides.layers`));
+        }
+      });
+    });
+
+    const enabled = config.experiments.filter((experiment) => experiment.enabled);
+    if (enabled.length > 1) {
+      errors.push(`$.experiments: only one experiment can be enabled at a time (enabled: ${enabled.map((experiment) => experiment.id).join(', ')})`);
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid experiments in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const experiments = config.experiments.map((experiment) => ({
+    ...experiment,
+    variants: experiment.variants.map((variant) => ({
+      ...variant,
+      overrides: variant.overrides || {},
+      pipeline: variant.overrides?.layers ? variant.overrides.layers.map((name) => registry[name]) : null
+    }))
+  }));
+  return {
+    version: config.version,
+    experiments,
+    active: experiments.find((experiment) => experiment.enabled) || null
+  };
+}
+
+/**
+ * Pick a variant by weight from a hash of the experiment and session IDs.
+ * The same session always gets the same variant while the weights don't change.
+ *
+ * @param {Object} experiment - Experiment from loadExperiments()
+ * @param {string} sessionId - Chat session ID
+ * @returns {Object} Variant
+ */
+export function assignVariant(experiment, sessionId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${sessionId}`).digest();
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = (hash.readUInt32BE(0) / 2 ** 32) * total;
+  for (const variant of experiment.variants) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * The session's variant of the enabled experiment, as kept on ctx.experiment.
+ *
+ * @param {Object} config - Result of loadExperiments()
+ * @param {string} sessionId - Chat session ID
+ * @returns {{id: string, variant: string, overrides: Object, pipeline: Array<Object>|null}|null} null when no experiment is enabled
+ */
+export function experimentForSession(config, sessionId) {
+  if (!config.active || !sessionId) return null;
+  const variant = assignVariant(config.active, sessionId);
+  return { id: config.active.id, variant: variant.id, overrides: variant.overrides, pipeline: variant.pipeline };
+}
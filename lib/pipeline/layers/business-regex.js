@@ -0,0 +1,38 @@
+import { matchRegexRule } from '../../router/regex-rules.js';
+import { getRegexRules, applyIntentMetadata } from '../resources.js';
+import { startOrderLookup } from './order-lookup.js';
+import { blockSessionIntent } from './safety-session.js';
+
+/**
+ * Business regex: deterministic keyword routing (shipping, returns, product
+ * questions). A match either answers from the intent's scripted response or
+ * narrows the RAG scope for later layers. The order intent starts a
+ * conversational order lookup instead when Shopify is configured.
+ */
+
+export const name = 'business-regex';
+
+export async function run(ctx) {
+  const rule = ctx.normalizedMessage ? matchRegexRule(getRegexRules().business, ctx.normalizedMessage) : null;
+  const decision = {
+    rule: rule?.name || null,
+    intent: rule?.intent || null,
+    triggered: !!rule
+  };
+  if (!rule) return { decision };
+
+  const applied = applyIntentMetadata(rule.intent, 'business-regex', null, ctx.lang);
+  ctx.routing = applied.routing;
+  ctx.scope = applied.scope;
+
+  const blocked = blockSessionIntent(ctx, rule.intent);
+  if (blocked) return { decisions: [decision, blocked.decision], response: blocked.response };
+
+  const lookup = await startOrderLookup(ctx, applied);
+  if (lookup) return { decisions: [decision, lookup.decision], response: lookup.response };
+
+  return {
+    decision,
+    response: applied.response ? { answer: applied.response, sources: [], routing: applied.routing } : null
+  };
+}
@@ -0,0 +1,13 @@
+import * as safetyRegex from './safety-regex.js';
+import * as safetySession from './safety-session.js';
+import * as orderLookup from './order-lookup.js';
+import * as queryRewrite from './query-rewrite.js';
+import * as businessRegex from './business-regex.js';
+import * as safetyEmbed from './safety-embed.js';
+import * as intentEmbed from './intent-embed.js';
+import * as rag from './rag.js';
+
+// Layers that router/pipeline.json can list, keyed by name
+export const LAYERS = Object.fromEntries(
+  [safetyRegex, safetySession, orderLookup, queryRewrite, businessRegex, safetyEmbed, intentEmbed, rag].map((layer) => [layer.name, layer])
+);
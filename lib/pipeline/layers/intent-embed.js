@@ -0,0 +1,82 @@
+import { cosine } from '../../knowledge/retrieval.js';
+import { getIntentRouter, applyIntentMetadata } from '../resources.js';
+import { startOrderLookup } from './order-lookup.js';
+import { blockSessionIntent } from './safety-session.js';
+
+/**
+ * Semantic intent: routes when the query embedding is close enough to an
+ * intent's exemplars (data/router-intents.json). Like business regex, a match
+ * either answers directly (or starts the order lookup) or narrows the RAG scope.
+ */
+
+export const name = 'intent-embed';
+
+const INTENT_FALLBACK_THRESHOLD = Number(process.env.ROUTER_INTENT_THRESHOLD || 0.3);
+
+/**
+ * The intent whose closest exemplar scores highest among those clearing their
+ * threshold (the intent's own, or ROUTER_INTENT_THRESHOLD).
+ *
+ * @param {Array<Object>} intents - Intents from data/router-intents.json
+ * @param {number[]} embedding - Query embedding
+ * @param {Array<Object>|null} [scores] - Receives every intent's score and threshold (debug mode)
+ * @returns {{intent: string, score: number}|null}
+ */
+export function matchIntent(intents, embedding, scores = null) {
+  let bestIntent = null;
+
+  for (const intent of intents) {
+    let maxScore = -Infinity;
+    for (const example of intent.examples || []) {
+      const score = cosine(embedding, example.embedding);
+      if (score > maxScore) maxScore = score;
+    }
+
+    const threshold = Number.isFinite(intent.threshold) ? intent.threshold : INTENT_FALLBACK_THRESHOLD;
+    scores?.push({ intent: intent.id, score: Number(maxScore.toFixed(3)), threshold, passed: maxScore >= threshold });
+    if (maxScore >= threshold) {
+      if (!bestIntent || maxScore > bestIntent.score) {
+        bestIntent = { intent: intent.id, score: maxScore };
+      }
+    }
+  }
+
+  return bestIntent;
+}
+
+async function runIntentEmbedding(getEmbedding, lang, debug = null) {
+  const router = getIntentRouter();
+  if (!router?.intents?.length) return null;
+  if (debug) debug.intents = [];
+
+  const bestIntent = matchIntent(router.intents, await getEmbedding(), debug?.intents);
+  if (!bestIntent) return null;
+  return applyIntentMetadata(bestIntent.intent, 'intent-embed', bestIntent.score, lang);
+}
+
+export async function run(ctx) {
+  const debug = ctx.debug ? {} : null;
+  const semanticIntent = await runIntentEmbedding(ctx.embed, ctx.lang, debug);
+  const decision = {
+    rule: semanticIntent?.routing?.rule || null,
+    intent: semanticIntent?.routing?.intent || null,
+    score: semanticIntent?.routing?.score || null,
+    triggered: !!semanticIntent,
+    ...(debug && { debug })
+  };
+  if (!semanticIntent) return { decision };
+
+  ctx.routing = semanticIntent.routing;
+  ctx.scope = semanticIntent.scope;
+
+  const blocked = blockSessionIntent(ctx, semanticIntent.routing.intent);
+  if (blocked) return { decisions: [decision, blocked.decision], response: blocked.response };
+
+  const lookup = await startOrderLookup(ctx, semanticIntent);
+  if (lookup) return { decisions: [decision, lookup.decision], response: lookup.response };
+
+  return {
+    decision,
+    response: semanticIntent.response ? { answer: semanticIntent.response, sources: [], routing: semanticIntent.routing } : null
+  };
+}
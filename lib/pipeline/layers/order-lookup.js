@@ -0,0 +1,142 @@
+import { consumeRateLimit } from '../../http/rate-limit.js';
+import { getShopifyConfig, lookupOrder } from '../../orders/shopify.js';
+import {
+  extractOrderSlots,
+  describeSlots,
+  missingSlotPrompt,
+  renderOrderReply,
+  renderOrderStatus
+} from '../../orders/order-flow.js';
+import { getOrderLookupConfig, HUMAN_SUPPORT_EMAIL } from '../resources.js';
+
+/**
+ * Order lookup: when routing reaches the order intent, collect the order
+ * number and checkout email (asking for whichever is missing over the next
+ * turns), then answer with the order's status and tracking from Shopify.
+ *
+ * Business regex and semantic intent start a lookup with startOrderLookup().
+ * This layer continues one that is waiting for details, and runs before the
+ * follow-up rewrite so a reply like "[EMAIL]" isn't sent to the LLM. A message
+ * that supplies neither detail drops the pending lookup and routes as usual.
+ *
+ * Without Shopify credentials nothing starts, and the intent's scripted
+ * response is used instead.
+ */
+
+export const name = 'order-lookup';
+
+const CATEGORY = 'order-lookup';
+
+function pendingLookup(ctx, config) {
+  const pending = ctx.session?.state?.orderLookup;
+  if (!pending?.startedAt) return null;
+  const age = Date.now() - new Date(pending.startedAt).getTime();
+  return age <= config.ttlMinutes * 60 * 1000 ? pending : null;
+}
+
+// Stored with the session when the turn is appended
+function saveLookup(ctx, lookup) {
+  if (!ctx.session) return;
+  const { orderLookup, ...state } = ctx.session.state || {};
+  ctx.session.state = lookup ? { ...state, orderLookup: lookup } : state;
+}
+
+async function findOrder(ctx, slots) {
+  const limit = await consumeRateLimit('order', 'ip', ctx.clientIp || 'unknown');
+  if (!limit.allowed) return { step: 'rate-limited' };
+
+  try {
+    const result = await lookupOrder(slots, getShopifyConfig());
+    return { step: result.status === 'found' ? 'found' : 'not-found', order: result.order };
+  } catch (error) {
+    console.error('Order lookup from chat failed:', error.message);
+    return { step: 'failed' };
+  }
+}
+
+/**
+ * Ask for missing details or look the order up.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {Object} config - Order lookup config
+ * @param {{orderNumber: string|null, emailHash: string|null}} slots - Filled slots
+ * @param {Object} routing - Routing metadata to extend
+ * @param {string|null} startedAt - When the pending lookup began
+ * @returns {Promise<{decision: Object, response: Object}>}
+ */
+async function advanceLookup(ctx, config, slots, routing, startedAt = null) {
+  const variables = { supportEmail: HUMAN_SUPPORT_EMAIL };
+  const prompt = missingSlotPrompt(slots);
+  let step;
+  let answer;
+
+  if (prompt) {
+    step = prompt;
+    answer = renderOrderReply(config, prompt, ctx.lang, variables);
+    saveLookup(ctx, {
+      orderNumber: slots.orderNumber,
+      emailHash: slots.emailHash,
+      awaiting: prompt,
+      startedAt: startedAt || new Date().toISOString()
+    });
+  } else {
+    saveLookup(ctx, null);
+    const result = await findOrder(ctx, slots);
+    step = result.step;
+    answer = result.order
+      ? renderOrderStatus(config, result.order, ctx.lang, variables)
+      : renderOrderReply(config, step, ctx.lang, variables);
+  }
+
+  const decision = {
+    layer: name,
+    rule: step,
+    intent: config.intent,
+    category: CATEGORY,
+    triggered: true
+  };
+  return {
+    decision,
+    response: {
+      answer,
+      sources: [],
+      routing: { ...routing, rule: step, category: CATEGORY, slots: describeSlots(slots) }
+    }
+  };
+}
+
+/**
+ * Start a lookup when an intent layer routes to the order intent.
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {{routing: Object}} applied - Result of applyIntentMetadata()
+ * @returns {Promise<{decision: Object, response: Object}|null>} Null when the intent isn't the order intent or Shopify isn't configured
+ */
+export async function startOrderLookup(ctx, applied) {
+  const config = getOrderLookupConfig();
+  if (applied.routing.intent !== config.intent || !getShopifyConfig()) return null;
+
+  const slots = extractOrderSlots(ctx.pii.entities, ctx.message, false);
+  return advanceLookup(ctx, config, slots, applied.routing);
+}
+
+export async function run(ctx) {
+  const config = getOrderLookupConfig();
+  const pending = pendingLookup(ctx, config);
+  if (!pending) return null;
+
+  const supplied = extractOrderSlots(ctx.pii.entities, ctx.message, pending.awaiting !== 'ask-email');
+  if (!supplied.orderNumber && !supplied.emailHash) {
+    saveLookup(ctx, null);
+    return { decision: { rule: 'abandoned', intent: config.intent, category: CATEGORY, triggered: false } };
+  }
+  if (supplied.bareOrderNumber) {
+    ctx.redactPii('ORDER', supplied.orderNumber);
+  }
+
+  const slots = {
+    orderNumber: supplied.orderNumber || pending.orderNumber,
+    emailHash: supplied.emailHash || pending.emailHash
+  };
+  return advanceLookup(ctx, config, slots, { layer: name, intent: config.intent }, pending.startedAt);
+}
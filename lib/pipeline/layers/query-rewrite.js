@@ -0,0 +1,40 @@
+import { isLikelyFollowUp, buildRewriteMessages, sanitizeRewrite } from '../../session/follow-up.js';
+import { matchSafetyRegex, safetyRegexResult } from './safety-regex.js';
+
+/**
+ * Follow-up resolution: rewrites elliptical follow-ups ("what about with
+ * coffee?") into standalone questions using the session's prior turns, then
+ * re-runs the safety regex on the resolved question.
+ */
+
+export const name = 'query-rewrite';
+
+export async function run(ctx) {
+  if (!isLikelyFollowUp(ctx.message, ctx.session?.turns)) return null;
+
+  const messages = buildRewriteMessages(ctx.message, ctx.session.turns);
+  try {
+    const completion = await ctx.complete(messages, { temperature: 0, maxTokens: 120 });
+    ctx.setResolvedMessage(sanitizeRewrite(completion.content, ctx.message));
+  } catch (error) {
+    // Fall back to the raw message if the rewrite call fails
+    console.warn('Follow-up rewrite failed, using original message:', error.message);
+  }
+
+  const decisions = [{ triggered: ctx.resolvedMessage !== ctx.message }];
+  if (ctx.resolvedMessage === ctx.message) return { decisions };
+
+  // Re-run deterministic safety checks on the resolved question
+  ctx.timer.startLayer('safety-regex-resolved');
+  const safety = safetyRegexResult(matchSafetyRegex(ctx.resolvedMessage, ctx.lang));
+  ctx.timer.endLayer('safety-regex-resolved');
+  const { executionTime } = ctx.timer.getLayerTime('safety-regex-resolved');
+  decisions.push(...safety.decisions.map((decision) => ({
+    layer: 'safety-regex',
+    ...decision,
+    executionTime,
+    apiLatency: 0
+  })));
+
+  return { decisions, response: safety.response };
+}
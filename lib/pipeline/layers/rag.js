@@ -0,0 +1,339 @@
+import fs from 'fs';
+import { turnsToMessages } from '../../session/session-store.js';
+import { groupByParent, filterChunksByLanguage } from '../../knowledge/corpus.js';
+import { rankChunks, getFusionConfig } from '../../knowledge/retrieval.js';
+import { applyRagGates } from '../../knowledge/abstention.js';
+import { renderTemplate } from '../../router/regex-rules.js';
+import { LANGUAGE_NAMES, localize } from '../../router/language.js';
+import { checkAnswerCompliance, createComplianceGate } from '../../router/compliance.js';
+import { createAnswerFieldStreamer, parseStructuredAnswer, resolveCitations } from '../../llm/structured-answer.js';
+import { renderPrompt } from '../../llm/prompts.js';
+import { answerCacheKey, lookupCachedAnswer, storeCachedAnswer } from '../../knowledge/answer-cache.js';
+import { pipelineError } from '../engine.js';
+import {
+  EMBEDDINGS_PATH,
+  HUMAN_SUPPORT_EMAIL,
+  getKnowledgeCorpus,
+  getLexicalIndex,
+  getRagGates,
+  getRegexRules,
+  getComplianceRules,
+  getPromptRegistry,
+  getKnowledgeVersion
+} from '../resources.js';
+
+/**
+ * RAG fallback: hybrid retrieval over the knowledge chunks in the message's
+ * language, abstention gates, a structured chat completion (prompt from the
+ * intent's template in router/prompts.json) and the output compliance
+ * filter. A near-duplicate of an answered question is served from the
+ * semantic answer cache instead (`rag-cache`). Always responds, so it ends
+ * the pipeline.
+ */
+
+export const name = 'rag';
+export const terminal = true;
+
+const RAG_TOP_K = Number(process.env.RAG_TOP_K || 5);
+const RAG_FUSION = getFusionConfig();
+
+// Scope entries are parent document IDs; chunks match on their parentId
+function filterDocsByScope(corpusChunks, scope) {
+  if (!Array.isArray(scope) || scope.length === 0) {
+    return corpusChunks;
+  }
+  const allowed = new Set(scope);
+  const filtered = corpusChunks.filter((chunk) => allowed.has(chunk.parentId || chunk.id));
+  return filtered.length ? filtered : corpusChunks;
+}
+
+// One source per parent document, linking to the best-scoring chunk's anchor
+function buildSources(scoredChunks, routing) {
+  const sources = groupByParent(scoredChunks).map((doc) => ({
+    id: doc.id,
+    url: doc.url,
+    score: Number(doc.score.toFixed(3)),
+    chunks: doc.chunkIds
+  }));
+
+  if (routing) {
+    return sources.map((source) => ({ ...source, routingHint: routing.intent || routing.rule || null }));
+  }
+
+  return sources;
+}
+
+function toRetrievalDetails(chunks, scope) {
+  return chunks.map((doc) => ({
+    documentId: doc.id,
+    documentSection: doc.title || doc.section,
+    similarityScore: doc.score,
+    vectorScore: doc.vectorScore,
+    vectorRank: doc.vectorRank,
+    lexicalScore: doc.lexicalScore,
+    lexicalRank: doc.lexicalRank,
+    fusedScore: doc.fusedScore,
+    scopeFiltered: scope && scope.length > 0
+  }));
+}
+
+// Strips markdown bold markers from streamed deltas, holding back a trailing
+// '*' in case the marker is split across two chunks.
+function createBoldStripper() {
+  let pending = '';
+  return {
+    push(text) {
+      const combined = pending + text;
+      const cut = combined.endsWith('*') ? combined.length - 1 : combined.length;
+      pending = combined.slice(cut);
+      return combined.slice(0, cut).replace(/\*\*/g, '');
+    },
+    flush() {
+      const rest = pending;
+      pending = '';
+      return rest;
+    }
+  };
+}
+
+// A cached answer is delivered as stored: no retrieval, completion or compliance pass
+function cachedAnswerResult(ctx, { entry, similarity }, prompt) {
+  const intent = ctx.routing?.intent || null;
+  const decision = { layer: 'rag-cache', intent, score: similarity, triggered: true };
+  if (ctx.debug) {
+    decision.debug = {
+      scope: ctx.scope || null,
+      cache: { entryId: entry.id, question: entry.question, similarity },
+      prompt: { id: prompt.id, version: prompt.version }
+    };
+  }
+  return {
+    decision,
+    response: {
+      answer: entry.answer,
+      sources: entry.sources,
+      citations: entry.citations,
+      confidence: entry.confidence,
+      needsHuman: false,
+      routing: { layer: 'rag-cache', intent, score: similarity }
+    },
+    log: {
+      complianceAction: entry.complianceAction,
+      answerConfidence: entry.confidence,
+      needsHuman: false,
+      citations: entry.citations,
+      promptId: prompt.id,
+      promptVersion: prompt.version
+    }
+  };
+}
+
+export async function run(ctx) {
+  if (!fs.existsSync(EMBEDDINGS_PATH)) {
+    throw pipelineError(500, 'embeddings.json not found. Run npm run ingest.');
+  }
+  const corpus = getKnowledgeCorpus();
+  if (!corpus?.chunks?.length) {
+    throw pipelineError(500, 'No documents available for retrieval.');
+  }
+
+  const { routing, scope, stream } = ctx;
+  // Always triggered as the final fallback; score is the top retrieved chunk's
+  const ragDecision = { intent: routing?.intent || null, triggered: true };
+
+  // The intent picks its template; an A/B variant may test another one
+  const prompt = renderPrompt(getPromptRegistry(), {
+    intent: routing?.intent || null,
+    template: ctx.experiment?.overrides.promptTemplate ?? null,
+    variables: { supportEmail: HUMAN_SUPPORT_EMAIL }
+  });
+  const promptLog = { promptId: prompt.id, promptVersion: prompt.version };
+
+  const qEmbedding = await ctx.embed();
+
+  // Semantic answer cache, keyed by everything besides the question that shapes the answer
+  const cacheKey = answerCacheKey({
+    knowledgeVersion: getKnowledgeVersion(),
+    prompt,
+    chatModel: ctx.provider.chatModel,
+    scope,
+    lang: ctx.lang,
+    experiment: ctx.experiment
+  });
+  const cached = await lookupCachedAnswer(cacheKey, qEmbedding);
+  if (cached?.hit) {
+    return cachedAnswerResult(ctx, cached, prompt);
+  }
+  const chunksToScore = filterDocsByScope(filterChunksByLanguage(corpus.chunks, ctx.lang), scope);
+
+  // Hybrid ranking: cosine + BM25 fused by reciprocal rank (score stays cosine)
+  const ranked = rankChunks(
+    chunksToScore,
+    { embedding: qEmbedding, text: ctx.normalizedMessage },
+    getLexicalIndex(corpus),
+    RAG_FUSION
+  ).slice(0, ctx.experiment?.overrides.ragTopK ?? RAG_TOP_K);
+
+  // Abstention - Skip the LLM when no chunk clears its section's score/margin gate
+  const gates = getRagGates();
+  const ragGate = applyRagGates(ranked, gates);
+  if (ctx.debug) {
+    ragDecision.debug = {
+      scope: scope || null,
+      candidates: chunksToScore.length,
+      ranked: toRetrievalDetails(ranked, scope),
+      gate: { abstain: ragGate.abstain, reason: ragGate.reason || null, section: ragGate.section || null },
+      // Closest cached answer, below the similarity threshold
+      cache: cached ? { entryId: cached.entry.id, question: cached.entry.question, similarity: cached.similarity } : null,
+      prompt: { id: prompt.id, version: prompt.version }
+    };
+  }
+  if (ragGate.abstain) {
+    const { template } = localize({ template: gates.template }, gates.translations, ctx.lang);
+    return {
+      decisions: [
+        { ...ragDecision, score: ragGate.topScore },
+        {
+          layer: 'rag-abstain',
+          rule: ragGate.reason,
+          intent: routing?.intent || null,
+          category: ragGate.section,
+          score: ragGate.topScore,
+          triggered: true,
+          executionTime: 0,
+          apiLatency: 0
+        }
+      ],
+      response: {
+        answer: renderTemplate(template, { supportEmail: HUMAN_SUPPORT_EMAIL }),
+        sources: [],
+        routing: {
+          layer: 'rag-abstain',
+          rule: ragGate.reason,
+          intent: routing?.intent || null,
+          score: ragGate.topScore
+        }
+      },
+      log: { retrievalDetails: toRetrievalDetails(ranked, scope) }
+    };
+  }
+
+  // Only chunks that cleared their gate are sent to the LLM
+  const scored = ragGate.chunks;
+  const retrievalDetails = toRetrievalDetails(scored, scope);
+  ragDecision.score = scored?.[0]?.score || null;
+
+  // Blocks are numbered so the answer can cite them as [n]
+  const context = scored.map((chunk, index) => `[${index + 1}] ${chunk.section} › ${chunk.title}\n${chunk.content}`).join('\n---\n');
+
+  const chatMessages = [
+    { role: 'system', content: `${prompt.system}\nAnswer in ${LANGUAGE_NAMES[ctx.lang] || LANGUAGE_NAMES.en}.` },
+    // Prior turns let the model keep track of what "it" / "that" refer to
+    ...turnsToMessages(ctx.session?.turns || []),
+    {
+      role: 'user',
+      content: `Context:\n${context}\n\nUser question: ${ctx.resolvedMessage}\n\n${prompt.instructions}`
+    }
+  ];
+
+  // In SSE mode, forward the reply's "answer" field as it arrives. The
+  // compliance gate holds each sentence back until it has been checked.
+  const complianceOptions = {
+    compliance: getComplianceRules(),
+    regexRules: getRegexRules(),
+    context,
+    variables: { supportEmail: HUMAN_SUPPORT_EMAIL },
+    lang: ctx.lang
+  };
+  const answerField = stream ? createAnswerFieldStreamer() : null;
+  const stripper = stream ? createBoldStripper() : null;
+  const gate = stream ? createComplianceGate(complianceOptions) : null;
+  const completion = await ctx.complete(chatMessages, {
+    temperature: prompt.temperature,
+    maxTokens: prompt.maxTokens,
+    responseFormat: 'json',
+    onDelta: stream ? (delta) => stream.sendToken(gate.push(stripper.push(answerField.push(delta)))) : undefined
+  });
+  if (stream) stream.sendToken(gate.push(stripper.flush()) + gate.flush());
+
+  // Structured reply: answer with [n] markers, citations, confidence, needs_human
+  const reply = parseStructuredAnswer(completion.content);
+  if (!reply.structured) {
+    console.warn(`RAG reply was not valid structured JSON (${ctx.requestId}), using it as plain text:`, reply.errors);
+  }
+  ragDecision.category = reply.structured ? 'structured' : 'fallback';
+
+  if (!reply.answer) {
+    return {
+      decision: ragDecision,
+      response: {
+        answer: 'Sorry, I couldn\'t generate a response.',
+        sources: [],
+        needsHuman: true,
+        routing: routing || { layer: 'rag', intent: null }
+      },
+      log: { rawAnswer: completion.content, needsHuman: true, retrievalDetails, ...promptLog }
+    };
+  }
+
+  // Compliance - Check the generated answer before it is delivered
+  ctx.timer.startLayer('compliance');
+  const compliance = checkAnswerCompliance(reply.answer.replace(/\*\*/g, ''), complianceOptions);
+  ctx.timer.endLayer('compliance');
+  const complianceDecision = {
+    layer: 'compliance',
+    rule: [...new Set(compliance.violations.map((violation) => violation.rule))].join(',') || null,
+    intent: routing?.intent || null,
+    category: compliance.action,
+    score: null,
+    triggered: compliance.action !== 'pass',
+    executionTime: ctx.timer.getLayerTime('compliance').executionTime,
+    apiLatency: 0
+  };
+  if (compliance.action !== 'pass') {
+    console.warn(`Compliance ${compliance.action} on RAG answer (${ctx.requestId}):`, compliance.violations.map((violation) => violation.rule));
+  }
+
+  // Sources are the documents the delivered answer actually cites. A blocked
+  // answer is a template, so the reply's own citation list no longer applies.
+  const cited = resolveCitations(compliance.answer, scored, compliance.action === 'block' ? [] : reply.citations);
+  const response = {
+    answer: cited.answer,
+    sources: buildSources(cited.chunks, routing),
+    citations: cited.citations,
+    confidence: reply.confidence,
+    needsHuman: reply.needsHuman || compliance.action === 'block',
+    routing: routing || { layer: 'rag', intent: null }
+  };
+
+  // Only standalone answers are cached: with earlier turns in the prompt, an
+  // answer may lean on the conversation
+  if (reply.structured && compliance.action !== 'block' && !response.needsHuman && !ctx.session?.turns?.length) {
+    await storeCachedAnswer({
+      cacheKey,
+      knowledgeVersion: getKnowledgeVersion(),
+      ...promptLog,
+      question: ctx.resolvedMessage,
+      embedding: qEmbedding,
+      answer: response.answer,
+      sources: response.sources,
+      citations: response.citations,
+      confidence: response.confidence,
+      complianceAction: compliance.action
+    });
+  }
+
+  return {
+    decisions: [ragDecision, complianceDecision],
+    response,
+    log: {
+      rawAnswer: completion.content,
+      complianceAction: compliance.action,
+      answerConfidence: response.confidence,
+      needsHuman: response.needsHuman,
+      citations: response.citations,
+      retrievalDetails,
+      ...promptLog
+    }
+  };
+}
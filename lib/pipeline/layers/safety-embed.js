@@ -0,0 +1,92 @@
+import { getSafetyRouter, getSafetyConfig } from '../resources.js';
+import { categorySignals, pickSafetyCategory, weightedSafetyScore, withSafetyThreshold } from '../../router/safety-scoring.js';
+import { DEFAULT_LANGUAGE } from '../../router/language.js';
+
+/**
+ * Safety embedding: semantic safety gate. For each category, the closest
+ * refusal exemplar (data/router-safety.json) is weighted with the category's
+ * risk keywords, discounted for plain product questions, and compared with the
+ * category's threshold (router/safety.json). Exemplars exist in each supported
+ * language; the response comes from an exemplar of the same category in the
+ * message's language.
+ */
+
+export const name = 'safety-embed';
+
+// Scripted refusal for a category in the message's language, falling back to the matched exemplar's
+function responseFor(entries, best, lang) {
+  if ((best.lang || DEFAULT_LANGUAGE) === lang) return best.response;
+  const localized = entries.find((entry) => entry.category === best.category && (entry.lang || DEFAULT_LANGUAGE) === lang);
+  return localized?.response || best.response;
+}
+
+// Every category's raw and weighted score, for debug mode
+function describeSignals(config, signals) {
+  return signals.map((signal) => {
+    const settings = config.categories[signal.category];
+    const score = weightedSafetyScore(config, settings, signal);
+    return {
+      category: signal.category,
+      exemplar: signal.best.id,
+      embeddingScore: Number(signal.embeddingScore.toFixed(3)),
+      score: Number(score.toFixed(3)),
+      threshold: settings.threshold,
+      riskTokens: signal.riskTokens,
+      productIndicators: signal.productIndicators,
+      passed: score >= settings.threshold
+    };
+  });
+}
+
+async function runSafetyEmbedding(normalizedMessage, getEmbedding, lang = DEFAULT_LANGUAGE, debug = null, threshold = null) {
+  const router = getSafetyRouter();
+  if (!router?.entries?.length) return null;
+
+  const config = threshold === null ? getSafetyConfig() : withSafetyThreshold(getSafetyConfig(), threshold);
+  const embedding = await getEmbedding();
+  const signals = categorySignals(config, router.entries, embedding, normalizedMessage);
+  if (debug) debug.categories = describeSignals(config, signals);
+  const picked = pickSafetyCategory(config, signals);
+  if (!picked) return null;
+
+  return {
+    answer: responseFor(router.entries, picked.best, lang),
+    routing: {
+      layer: 'safety-embed',
+      rule: picked.best.id,
+      category: picked.category,
+      score: Number(picked.score.toFixed(3)),
+      threshold: picked.threshold,
+      // Add debug info for analysis
+      embeddingScore: Number(picked.embeddingScore.toFixed(3)),
+      riskTokenCount: picked.riskTokenCount,
+      hasProductContext: picked.productContext
+    }
+  };
+}
+
+export async function run(ctx) {
+  const debug = ctx.debug ? {} : null;
+  // An A/B variant may test a different threshold for every category
+  const safetyEmbed = await runSafetyEmbedding(ctx.normalizedMessage, ctx.embed, ctx.lang, debug, ctx.experiment?.overrides.safetyThreshold ?? null);
+
+  return {
+    decision: {
+      rule: safetyEmbed?.routing?.rule || null,
+      category: safetyEmbed?.routing?.category || null,
+      score: safetyEmbed?.routing?.score || null,
+      triggered: !!safetyEmbed,
+      riskTokenCount: safetyEmbed?.routing?.riskTokenCount || null,
+      hasProductContext: safetyEmbed?.routing?.hasProductContext || null,
+      embeddingScore: safetyEmbed?.routing?.embeddingScore || null,
+      ...(debug && { debug })
+    },
+    response: safetyEmbed
+      ? {
+        answer: safetyEmbed.answer,
+        sources: [{ id: 'safety', url: 'https://intelligentmolecules.com/pages/faq', score: safetyEmbed.routing.score ?? null }],
+        routing: safetyEmbed.routing
+      }
+      : null
+  };
+}
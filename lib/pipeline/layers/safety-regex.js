@@ -0,0 +1,82 @@
+import { matchSafetyRule, renderTemplate } from '../../router/regex-rules.js';
+import { localize } from '../../router/language.js';
+import { getRegexRules, HUMAN_SUPPORT_EMAIL } from '../resources.js';
+
+/**
+ * Safety regex: hard stops (emergencies, pregnancy, prescriptions) matched on
+ * the raw message before any API call, answered with scripted templates.
+ * Each rule's policy decides by the cue's subject and polarity, so "I'm not
+ * pregnant" or "my friend is pregnant" can defer to the later layers.
+ */
+
+export const name = 'safety-regex';
+
+/**
+ * Match a message against the safety rules in router/regex-rules.json.
+ *
+ * @param {string} message - Message to check
+ * @param {string} [lang] - Language of the scripted response
+ * @returns {{answer: string|null, routing: Object|null, deferred: Array<Object>}|null}
+ *   null when no rule matched; `answer` is null when every match deferred
+ */
+export function matchSafetyRegex(message, lang) {
+  if (!message) return null;
+  const rules = getRegexRules();
+  const { rule, context, deferred } = matchSafetyRule(rules.safety, message);
+  if (!rule && !deferred.length) return null;
+
+  const matches = {
+    answer: null,
+    routing: null,
+    deferred: deferred.map((match) => ({
+      rule: match.rule.name,
+      category: match.rule.category,
+      subject: match.context.subject,
+      polarity: match.context.polarity
+    }))
+  };
+  if (!rule) return matches;
+
+  const templates = localize(rules.templates, rules.translations, lang);
+  return {
+    ...matches,
+    answer: renderTemplate(templates[rule.template], { supportEmail: HUMAN_SUPPORT_EMAIL }),
+    routing: {
+      layer: 'safety-regex',
+      rule: rule.name,
+      category: rule.category,
+      subject: context.subject,
+      polarity: context.polarity
+    }
+  };
+}
+
+/**
+ * Decisions and response for a safety regex match (or miss). Deferred
+ * matches are logged as untriggered decisions with their subject and polarity.
+ *
+ * @param {Object|null} match - Result of matchSafetyRegex()
+ * @returns {{decisions: Array<Object>, response: Object|null}}
+ */
+export function safetyRegexResult(match) {
+  const deferred = (match?.deferred || []).map((entry) => ({ ...entry, triggered: false }));
+  const routing = match?.routing;
+  const decisions = routing
+    ? [...deferred, { rule: routing.rule, category: routing.category, triggered: true, subject: routing.subject, polarity: routing.polarity }]
+    : deferred;
+
+  return {
+    decisions: decisions.length ? decisions : [{ rule: null, category: null, triggered: false }],
+    response: routing
+      ? {
+        answer: match.answer,
+        sources: [{ id: 'safety', url: 'https://intelligentmolecules.com/pages/faq', score: null }],
+        routing
+      }
+      : null
+  };
+}
+
+export async function run(ctx) {
+  return safetyRegexResult(matchSafetyRegex(ctx.message, ctx.lang));
+}
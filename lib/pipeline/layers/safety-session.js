@@ -0,0 +1,123 @@
+import { renderTemplate } from '../../router/regex-rules.js';
+import { localize } from '../../router/language.js';
+import { activeSafetyPolicies, recordSafetyCategories } from '../../router/safety-session.js';
+import { getSafetySessionConfig, HUMAN_SUPPORT_EMAIL } from '../resources.js';
+
+/**
+ * Session safety: once a safety category has fired in a session, its policy
+ * from router/safety-session.json covers the next few messages, so "ok but
+ * how many capsules?" after a pregnancy refusal isn't answered from scratch.
+ *
+ * run() escalates before the rest of the pipeline; business-regex and
+ * intent-embed call blockSessionIntent() once they know the intent; finalize()
+ * records this turn's safety categories, adds reminders and puts the state in
+ * the routing metadata.
+ */
+
+export const name = 'safety-session';
+
+// Layers whose triggered decisions mark a safety category as fired
+const SAFETY_LAYERS = ['safety-regex', 'safety-embed'];
+
+function currentTurn(ctx) {
+  return (ctx.session?.turnCount || 0) + 1;
+}
+
+// Computed once per request, before this turn's categories are recorded
+function sessionSafety(ctx) {
+  if (!ctx.sessionSafety) {
+    ctx.sessionSafety = {
+      active: ctx.session
+        ? activeSafetyPolicies(getSafetySessionConfig(), ctx.session.state?.safety, currentTurn(ctx))
+        : [],
+      applied: null
+    };
+  }
+  return ctx.sessionSafety;
+}
+
+function templateFor(ctx, policy) {
+  const config = getSafetySessionConfig();
+  const templates = localize(config.templates, config.translations, ctx.lang);
+  return renderTemplate(templates[policy.template], { supportEmail: HUMAN_SUPPORT_EMAIL });
+}
+
+function policyResponse(ctx, policy, routing) {
+  ctx.sessionSafety.applied = { category: policy.category, action: policy.action };
+  return {
+    answer: templateFor(ctx, policy),
+    sources: [{ id: 'safety', url: 'https://intelligentmolecules.com/pages/faq', score: null }],
+    routing: { layer: name, rule: policy.action, category: policy.category, ...routing }
+  };
+}
+
+/**
+ * Refuse an intent blocked by an active block-intents policy (e.g. dosage
+ * questions after a pregnancy refusal).
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {string} intent - Intent the message was routed to
+ * @returns {{decision: Object, response: Object}|null} null when the intent isn't blocked
+ */
+export function blockSessionIntent(ctx, intent) {
+  const policy = sessionSafety(ctx).active.find((active) => active.action === 'block-intents' && active.intents.includes(intent));
+  if (!policy) return null;
+  return {
+    decision: { layer: name, rule: policy.action, intent, category: policy.category, triggered: true },
+    response: policyResponse(ctx, policy, { intent })
+  };
+}
+
+export async function run(ctx) {
+  const { active } = sessionSafety(ctx);
+  if (!active.length) return null;
+
+  const escalation = active.find((policy) => policy.action === 'escalate');
+  return {
+    decisions: active.map((policy) => ({ rule: policy.action, category: policy.category, triggered: policy === escalation })),
+    response: escalation ? policyResponse(ctx, escalation) : null
+  };
+}
+
+/**
+ * Record the safety categories that fired on this turn, prepend an active
+ * reminder, and report the session's safety state in routing.sessionSafety
+ * (logged as query_logs.session_safety).
+ *
+ * @param {Object} ctx - Pipeline context
+ * @param {{layer: string, response: Object, log: Object}} result - Pipeline result
+ * @returns {{layer: string, response: Object, log: Object}}
+ */
+export function finalize(ctx, result) {
+  if (!ctx.session) return result;
+  const { active, applied } = sessionSafety(ctx);
+
+  const fired = [...new Set(
+    ctx.decisionTrace
+      .filter((decision) => SAFETY_LAYERS.includes(decision.layer) && decision.triggered && decision.category)
+      .map((decision) => decision.category)
+  )];
+  const state = recordSafetyCategories(ctx.session.state?.safety, fired, currentTurn(ctx), new Date().toISOString());
+  if (!Object.keys(state).length) return result;
+  ctx.session.state = { ...ctx.session.state, safety: state };
+
+  // Safety replies already carry their own warning
+  let { answer } = result.response;
+  let appliedNow = applied;
+  const reminder = active.find((policy) => policy.action === 'remind');
+  if (reminder && !fired.length && !applied) {
+    answer = `${templateFor(ctx, reminder)}\n\n${answer}`;
+    appliedNow = { category: reminder.category, action: reminder.action };
+  }
+
+  const summary = {
+    fired: state,
+    active: active.map(({ category, action, turnsLeft }) => ({ category, action, turnsLeft })),
+    applied: appliedNow
+  };
+  return {
+    ...result,
+    response: { ...result.response, answer, routing: { ...result.response.routing, sessionSafety: summary } },
+    log: { ...result.log, sessionSafety: summary }
+  };
+}
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getCorpusChunks } from '../knowledge/corpus.js';
+import { buildLexicalIndex, lexicalIndexMatches } from '../knowledge/lexical.js';
+import { loadRagGates } from '../knowledge/abstention.js';
+import { loadRegexRules } from '../router/regex-rules.js';
+import { loadComplianceRules } from '../router/compliance.js';
+import { loadOrderLookupConfig } from '../orders/order-flow.js';
+import { loadSafetyConfig } from '../router/safety-scoring.js';
+import { loadSafetySessionConfig } from '../router/safety-session.js';
+import { getProvider } from '../llm/provider.js';
+import { loadPromptRegistry } from '../llm/prompts.js';
+import { localize } from '../router/language.js';
+
+/**
+ * Router data shared by the pipeline layers, loaded on first use and cached
+ * for the lifetime of the function instance.
+ */
+
+export const HUMAN_SUPPORT_EMAIL = 'info@intelligentmolecules.com';
+
+export const EMBEDDINGS_PATH = path.join(process.cwd(), 'data', 'embeddings.json');
+const LEXICAL_INDEX_PATH = path.join(process.cwd(), 'data', 'lexical-index.json');
+const SAFETY_ROUTER_PATH = path.join(process.cwd(), 'data', 'router-safety.json');
+const INTENT_ROUTER_PATH = path.join(process.cwd(), 'data', 'router-intents.json');
+const INTENTS_CONFIG_PATH = path.join(process.cwd(), 'router', 'intents.json');
+const CANDIDATE_ROUTER_DIR = path.join(process.cwd(), 'router', 'candidate');
+const CANDIDATE_DATA_DIR = path.join(process.cwd(), 'data', 'candidate');
+
+// Router configs a shadow candidate can replace (router/candidate/<file>)
+export const CANDIDATE_FILES = ['regex-rules.json', 'safety.json', 'intents.json'];
+
+let knowledgeCorpus;
+let safetyRouter;
+let intentRouter;
+let regexRules;
+let complianceRules;
+let lexicalIndex;
+let ragGates;
+let orderLookupConfig;
+let safetyConfig;
+let safetySessionConfig;
+let promptRegistry;
+let knowledgeVersion;
+let candidateRouter;
+
+function loadJsonCache(cacheRef, filePath) {
+  if (cacheRef && cacheRef.current) {
+    return cacheRef.current;
+  }
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (cacheRef) {
+    cacheRef.current = json;
+  }
+  return json;
+}
+
+// Vectors from different embedding models aren't comparable; re-run ingest after switching providers
+function warnOnModelMismatch(cache, filePath) {
+  const expected = getProvider().embeddingModel;
+  if (cache?.model && cache.model !== expected) {
+    console.warn(`${path.basename(filePath)} was built with ${cache.model}, but queries are embedded with ${expected}. Run npm run ingest.`);
+  }
+}
+
+export function getKnowledgeCorpus() {
+  if (!knowledgeCorpus) {
+    knowledgeCorpus = loadJsonCache({ current: null }, EMBEDDINGS_PATH);
+    if (knowledgeCorpus) {
+      warnOnModelMismatch(knowledgeCorpus, EMBEDDINGS_PATH);
+      // Whole-document vectors still answer, but without section anchors or chunk-level ranking
+      if (!Array.isArray(knowledgeCorpus.chunks)) {
+        console.warn(`${path.basename(EMBEDDINGS_PATH)} was built before heading-level chunking; retrieving whole documents. Run npm run ingest.`);
+      }
+      knowledgeCorpus.chunks = getCorpusChunks(knowledgeCorpus);
+    }
+  }
+  return knowledgeCorpus;
+}
+
+// Hash of data/embeddings.json, so cached answers are tied to one build of the knowledge base
+export function getKnowledgeVersion() {
+  if (!knowledgeVersion) {
+    knowledgeVersion = crypto.createHash('sha256').update(fs.readFileSync(EMBEDDINGS_PATH)).digest('hex').slice(0, 12);
+  }
+  return knowledgeVersion;
+}
+
+// The BM25 index is written by ingest next to embeddings.json. If it is missing
+// or out of step with the corpus, build it in memory from the chunk text.
+export function getLexicalIndex(corpus) {
+  if (!lexicalIndex) {
+    const fromDisk = loadJsonCache({ current: null }, LEXICAL_INDEX_PATH);
+    if (lexicalIndexMatches(fromDisk, corpus.chunks)) {
+      lexicalIndex = fromDisk;
+    } else {
+      console.warn(`${path.basename(LEXICAL_INDEX_PATH)} is missing or doesn't match embeddings.json; building it in memory. Run npm run ingest.`);
+      lexicalIndex = buildLexicalIndex(corpus.chunks);
+    }
+  }
+  return lexicalIndex;
+}
+
+// Per-section minimum score / margin gates for the RAG layer (router/rag-gates.json)
+export function getRagGates() {
+  if (!ragGates) {
+    ragGates = loadRagGates();
+  }
+  return ragGates;
+}
+
+// Slot-filling order lookup templates and TTL (router/order-lookup.json)
+export function getOrderLookupConfig() {
+  if (!orderLookupConfig) {
+    orderLookupConfig = loadOrderLookupConfig();
+  }
+  return orderLookupConfig;
+}
+
+// Per-category safety thresholds, weights and risk tokens (router/safety.json).
+// Read at request time, so recalibrating doesn't need a re-ingest.
+export function getSafetyConfig() {
+  if (!safetyConfig) {
+    safetyConfig = loadSafetyConfig();
+  }
+  return safetyConfig;
+}
+
+// What happens on the turns after a safety category fired (router/safety-session.json)
+export function getSafetySessionConfig() {
+  if (!safetySessionConfig) {
+    safetySessionConfig = loadSafetySessionConfig();
+  }
+  return safetySessionConfig;
+}
+
+// Versioned RAG prompt templates (router/prompts.json)
+export function getPromptRegistry() {
+  if (!promptRegistry) {
+    promptRegistry = loadPromptRegistry();
+  }
+  return promptRegistry;
+}
+
+// Exemplars added to the router config since the last ingest are never matched
+function warnOnStaleExemplars(missing, filePath) {
+  if (missing.length) {
+    console.warn(`${path.basename(filePath)} is missing ${missing.length} exemplar(s) from the router config (e.g. "${missing[0]}"). Run npm run ingest.`);
+  }
+}
+
+export function getSafetyRouter() {
+  if (!safetyRouter) {
+    safetyRouter = loadJsonCache({ current: null }, SAFETY_ROUTER_PATH);
+    warnOnModelMismatch(safetyRouter, SAFETY_ROUTER_PATH);
+    if (safetyRouter) {
+      const embedded = new Set((safetyRouter.entries || []).map((entry) => entry.text));
+      warnOnStaleExemplars(getSafetyConfig().exemplars.map((entry) => entry.text).filter((text) => !embedded.has(text)), SAFETY_ROUTER_PATH);
+    }
+  }
+  return safetyRouter;
+}
+
+function indexIntents(router) {
+  if (router && Array.isArray(router.intents)) {
+    router.map = new Map(router.intents.map((intent) => [intent.id, intent]));
+  }
+  return router;
+}
+
+export function getIntentRouter() {
+  if (!intentRouter) {
+    intentRouter = loadJsonCache({ current: null }, INTENT_ROUTER_PATH);
+    warnOnModelMismatch(intentRouter, INTENT_ROUTER_PATH);
+    indexIntents(intentRouter);
+    if (intentRouter && fs.existsSync(INTENTS_CONFIG_PATH)) {
+      const embedded = new Set((intentRouter.intents || []).flatMap((intent) => (intent.examples || []).map((example) => example.text)));
+      const examples = JSON.parse(fs.readFileSync(INTENTS_CONFIG_PATH, 'utf8')).flatMap((intent) => intent.examples || []);
+      warnOnStaleExemplars(examples.filter((text) => !embedded.has(text)), INTENT_ROUTER_PATH);
+    }
+  }
+  return intentRouter;
+}
+
+// A candidate config compared on production's exemplar embeddings would hide
+// its own changes, so missing candidate embeddings fail the shadow run
+function loadCandidateData(file) {
+  const filePath = path.join(CANDIDATE_DATA_DIR, file);
+  const data = loadJsonCache(null, filePath);
+  if (!data) {
+    throw new Error(`data/candidate/${file} is missing. Run npm run ingest:candidate.`);
+  }
+  warnOnModelMismatch(data, filePath);
+  return data;
+}
+
+function loadCandidateRouter() {
+  const files = CANDIDATE_FILES.filter((file) => fs.existsSync(path.join(CANDIDATE_ROUTER_DIR, file)));
+  if (!files.length) return null;
+
+  const hash = crypto.createHash('sha256');
+  for (const file of files) {
+    hash.update(file).update(fs.readFileSync(path.join(CANDIDATE_ROUTER_DIR, file)));
+  }
+  const has = (file) => files.includes(file);
+
+  return {
+    id: hash.digest('hex').slice(0, 12),
+    files,
+    regexRules: has('regex-rules.json') ? loadRegexRules(path.join(CANDIDATE_ROUTER_DIR, 'regex-rules.json')) : getRegexRules(),
+    // Thresholds as written: ROUTER_SAFETY_THRESHOLD only overrides production's
+    safetyConfig: has('safety.json') ? loadSafetyConfig(path.join(CANDIDATE_ROUTER_DIR, 'safety.json'), {}) : getSafetyConfig(),
+    safetyRouter: has('safety.json') ? loadCandidateData('router-safety.json') : getSafetyRouter(),
+    intentRouter: has('intents.json') ? indexIntents(loadCandidateData('router-intents.json')) : getIntentRouter()
+  };
+}
+
+/**
+ * The candidate router config shadow-evaluated against production, from
+ * router/candidate/ (any of CANDIDATE_FILES) and the exemplar embeddings
+ * `npm run ingest:candidate` writes to data/candidate/. Files the
+ * candidate leaves out are production's.
+ *
+ * @returns {{id: string, files: string[], regexRules: Object, safetyConfig: Object, safetyRouter: Object|null, intentRouter: Object|null}|null}
+ *   null when router/candidate/ has no config; `id` is a hash of the candidate files
+ */
+export function getCandidateRouter() {
+  if (candidateRouter === undefined) {
+    candidateRouter = loadCandidateRouter();
+  }
+  return candidateRouter;
+}
+
+// Safety and business regex rules live in router/regex-rules.json.
+// A missing or invalid file throws rather than skipping the safety layer.
+export function getRegexRules() {
+  if (!regexRules) {
+    regexRules = loadRegexRules();
+  }
+  return regexRules;
+}
+
+// Output checks for generated answers live in router/compliance-rules.json.
+// Like the regex rules, a missing or invalid file fails the request.
+export function getComplianceRules() {
+  if (!complianceRules) {
+    complianceRules = loadComplianceRules();
+  }
+  return complianceRules;
+}
+
+/**
+ * Routing metadata for an intent from data/router-intents.json.
+ *
+ * @param {string} intentId - Intent ID
+ * @param {string} layer - Layer that matched the intent
+ * @param {number|null} [score] - Match score
+ * @param {string} [lang] - Language of the label and scripted response
+ * @returns {{routing: Object, scope: string[]|null, response: string|null}}
+ */
+export function applyIntentMetadata(intentId, layer, score = null, lang) {
+  const router = getIntentRouter();
+  const entry = router?.map?.get(intentId) || null;
+  const meta = entry && localize(entry, entry.translations, lang);
+
+  const routing = {
+    layer,
+    intent: intentId
+  };
+  if (score !== null) {
+    routing.score = Number(score.toFixed(3));
+  }
+
+  if (meta?.label) {
+    routing.label = meta.label;
+  }
+
+  const scope = Array.isArray(meta?.scope) ? meta.scope : null;
+  const response = meta?.response || null;
+
+  return { routing, scope, response };
+}
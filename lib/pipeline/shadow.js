@@ -0,0 +1,182 @@
+import { matchRegexRule, matchSafetyRule } from '../router/regex-rules.js';
+import { categorySignals, pickSafetyCategory, withSafetyThreshold } from '../router/safety-scoring.js';
+import { logShadowRouting } from '../database/queries.js';
+import { matchIntent } from './layers/intent-embed.js';
+import { getCandidateRouter } from './resources.js';
+
+/**
+ * Shadow evaluation: once the live response is sent, the message is routed
+ * through the candidate router config in router/candidate/ and compared with
+ * the route production took, as recorded in the request's decision trace.
+ * Both routes are logged to shadow_routing. Only routing runs (no answer is
+ * generated and nothing reaches the user), so a candidate can be judged on
+ * live traffic before it is promoted.
+ */
+
+// Share of chat requests shadow-routed while a candidate exists (0 to 1)
+const SHADOW_SAMPLE_RATE = Number(process.env.SHADOW_SAMPLE_RATE ?? 1);
+
+// Route fields compared between production and the candidate
+export const SHADOW_FIELDS = ['layer', 'rule', 'intent', 'refusal'];
+
+// Layers whose responses are safety refusals
+const REFUSAL_LAYERS = ['safety-regex', 'safety-embed', 'safety-session'];
+
+function route(layer, { rule = null, intent = null, category = null, refusal = false } = {}) {
+  return { layer, rule, intent, category, refusal };
+}
+
+function lastTriggered(decisionTrace, layer) {
+  return [...decisionTrace].reverse().find((decision) => decision.layer === layer && decision.triggered) || null;
+}
+
+function hasScriptedResponse(router, intentId) {
+  return !!router.intentRouter?.map?.get(intentId)?.response;
+}
+
+/**
+ * The route the live request took, read from its decision trace. A RAG
+ * answer (including an abstention or a cached answer) is the `rag` route,
+ * with the intent that scoped it.
+ *
+ * @param {Object} ctx - Pipeline context of the completed request
+ * @param {{layer: string, response: Object}} result - Result of runPipeline()
+ * @returns {{layer: string, rule: string|null, intent: string|null, category: string|null, refusal: boolean}}
+ */
+export function productionRoute(ctx, result) {
+  if (result.layer === 'rag') {
+    const scopedBy = ctx.routing ? lastTriggered(ctx.decisionTrace, ctx.routing.layer) : null;
+    return route('rag', { rule: scopedBy?.rule || null, intent: ctx.routing?.intent || null });
+  }
+  // A layer can answer for another (a session block from an intent layer, a resolved follow-up's safety regex)
+  const layer = result.response.routing?.layer || result.layer;
+  const decision = lastTriggered(ctx.decisionTrace, layer) || {};
+  return route(layer, {
+    rule: decision.rule || null,
+    intent: decision.intent || null,
+    category: decision.category || null,
+    refusal: REFUSAL_LAYERS.includes(layer)
+  });
+}
+
+/**
+ * Route a message with the candidate config through the live request's layer
+ * order (an A/B variant's, if it had one), with the variant's safety
+ * threshold override. Session safety and the order lookup follow session
+ * state rather than router config: where production answered from them, the
+ * candidate gets production's route, as it does when it matches the intent
+ * production answered at the same layer. Session blocks and order lookups
+ * for an intent only the candidate matches aren't simulated.
+ *
+ * @param {Object} router - getCandidateRouter()
+ * @param {Object} ctx - Pipeline context of the completed request
+ * @param {Array<Object>} layers - Layer modules the request ran through
+ * @param {Object} production - productionRoute() of the request
+ * @param {string} respondedBy - Layer that answered the live request
+ * @returns {Promise<{layer: string, rule: string|null, intent: string|null, category: string|null, refusal: boolean}>}
+ */
+export async function routeCandidate(router, ctx, layers, production, respondedBy) {
+  let scoped = null;
+
+  // An intent match answers when production answered it here (with any session block or order lookup) or has a scripted response
+  const answeredAt = (layer, match) => {
+    if (respondedBy === layer && lastTriggered(ctx.decisionTrace, layer)?.intent === match.intent) return production;
+    return hasScriptedResponse(router, match.intent) ? route(layer, match) : null;
+  };
+
+  for (const { name } of layers) {
+    switch (name) {
+      case 'safety-regex':
+      case 'query-rewrite': {
+        // Like query-rewrite, a resolved follow-up gets a second safety regex pass
+        const text = name === 'safety-regex' ? ctx.message : ctx.resolvedMessage;
+        if (name === 'query-rewrite' && text === ctx.message) break;
+        const { rule } = matchSafetyRule(router.regexRules.safety, text);
+        if (rule) return route('safety-regex', { rule: rule.name, category: rule.category, refusal: true });
+        break;
+      }
+
+      case 'safety-session':
+      case 'order-lookup':
+        if (respondedBy === name) return production;
+        break;
+
+      case 'business-regex': {
+        const business = matchRegexRule(router.regexRules.business, ctx.normalizedMessage);
+        if (!business) break;
+        scoped = { rule: business.name, intent: business.intent };
+        const answered = answeredAt(name, scoped);
+        if (answered) return answered;
+        break;
+      }
+
+      case 'safety-embed': {
+        if (!router.safetyRouter?.entries?.length) break;
+        const threshold = ctx.experiment?.overrides.safetyThreshold ?? null;
+        const config = threshold === null ? router.safetyConfig : withSafetyThreshold(router.safetyConfig, threshold);
+        const picked = pickSafetyCategory(config, categorySignals(config, router.safetyRouter.entries, await ctx.embed(), ctx.normalizedMessage));
+        if (picked) return route('safety-embed', { rule: picked.best.id, category: picked.category, refusal: true });
+        break;
+      }
+
+      case 'intent-embed': {
+        if (!router.intentRouter?.intents?.length) break;
+        const semantic = matchIntent(router.intentRouter.intents, await ctx.embed());
+        if (!semantic) break;
+        scoped = { intent: semantic.intent };
+        const answered = answeredAt(name, scoped);
+        if (answered) return answered;
+        break;
+      }
+
+      case 'rag':
+        return route('rag', scoped || {});
+    }
+  }
+
+  return route(layers[layers.length - 1]?.name || 'rag', scoped || {});
+}
+
+/**
+ * Route fields on which two routes differ.
+ *
+ * @param {Object} production - Route from productionRoute()
+ * @param {Object} candidate - Route from routeCandidate()
+ * @returns {string[]} Subset of SHADOW_FIELDS (empty when they agree)
+ */
+export function compareRoutes(production, candidate) {
+  return SHADOW_FIELDS.filter((field) => production[field] !== candidate[field]);
+}
+
+/**
+ * Shadow-route a chat request through the candidate config and log the
+ * comparison with the live route. Does nothing without a candidate or
+ * outside the sample. Reuses the request's query embedding; when the live
+ * request stopped before embedding, the one extra embedding call isn't in
+ * the request's logged cost. Failures are reported but never thrown.
+ *
+ * @param {Object} ctx - Pipeline context of the completed request
+ * @param {Array<Object>} layers - Layer modules the request ran through
+ * @param {{layer: string, response: Object}} result - Result of runPipeline()
+ * @param {string|null} [queryLogId] - query_logs row of the live request
+ * @returns {Promise<void>}
+ */
+export async function runShadowRouting(ctx, layers, result, queryLogId = null) {
+  try {
+    const candidate = getCandidateRouter();
+    if (!candidate || Math.random() >= SHADOW_SAMPLE_RATE) return;
+
+    const production = productionRoute(ctx, result);
+    const candidateRoute = await routeCandidate(candidate, ctx, layers, production, result.layer);
+
+    await logShadowRouting({
+      queryLogId,
+      candidateId: candidate.id,
+      production,
+      candidate: candidateRoute,
+      disagreements: compareRoutes(production, candidateRoute)
+    });
+  } catch (error) {
+    console.error('Shadow routing failed:', error.message);
+  }
+}
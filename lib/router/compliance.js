@@ -0,0 +1,314 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from './json-schema.js';
+import { matchRegexRule, renderTemplate } from './regex-rules.js';
+import { localize, validateTranslations } from './language.js';
+
+export const COMPLIANCE_RULES_PATH = path.join(process.cwd(), 'router', 'compliance-rules.json');
+const COMPLIANCE_RULES_SCHEMA_PATH = path.join(process.cwd(), 'router', 'compliance-rules.schema.json');
+
+// Most severe action wins when several rules fire on one answer
+const ACTION_SEVERITY = { pass: 0, rewrite: 1, redact: 2, block: 3 };
+
+const GROUNDING_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'if', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was',
+  'we', 'with', 'you', 'your'
+]);
+
+/**
+ * Check a parsed compliance rules file against the schema plus the cross-field
+ * checks JSON Schema can't express (compilable patterns, known templates, unique names).
+ *
+ * @param {Object} config - Parsed router/compliance-rules.json
+ * @param {Object} [schema] - Parsed router/compliance-rules.schema.json
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateComplianceRules(config, schema = JSON.parse(fs.readFileSync(COMPLIANCE_RULES_SCHEMA_PATH, 'utf8'))) {
+  const errors = validateSchema(config, schema);
+  if (errors.length) return errors;
+
+  if (!(config.fallbackTemplate in config.templates)) {
+    errors.push(`$.fallbackTemplate: unknown template "${config.fallbackTemplate}"`);
+  }
+  errors.push(...validateTranslations(config.translations, Object.keys(config.templates), '$.translations'));
+
+  const names = new Set();
+  config.rules.forEach((rule, index) => {
+    const pointer = `$.rules[${index}]`;
+    if (names.has(rule.name)) {
+      errors.push(`${pointer}: duplicate rule name "${rule.name}"`);
+    }
+    names.add(rule.name);
+
+    if (rule.template && !(rule.template in config.templates)) {
+      errors.push(`${pointer}: unknown template "${rule.template}"`);
+    }
+    if (rule.action === 'rewrite' && typeof rule.replacement !== 'string') {
+      errors.push(`${pointer}: rewrite rules need a "replacement"`);
+    }
+
+    rule.patterns.forEach((pattern, patternIndex) => {
+      try {
+        new RegExp(pattern, rule.flags || '');
+      } catch (error) {
+        errors.push(`${pointer}.patterns[${patternIndex}]: ${error.message}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Load, validate and compile the answer compliance rules.
+ * Throws when the file is missing or invalid, like the regex routing rules.
+ *
+ * @param {string} [filePath] - Rules file path
+ * @returns {{version: number, templates: Object, translations: Object, fallbackTemplate: string, safetyRegex: Object, rules: Array}}
+ */
+export function loadComplianceRules(filePath = COMPLIANCE_RULES_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateComplianceRules(config);
+  if (errors.length) {
+    throw new Error(`Invalid compliance rules in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    version: config.version,
+    templates: config.templates,
+    translations: config.translations || {},
+    fallbackTemplate: config.fallbackTemplate,
+    safetyRegex: config.safetyRegex,
+    rules: config.rules.map((rule) => ({
+      ...rule,
+      patterns: rule.patterns.map((pattern) => new RegExp(pattern, rule.flags || '')),
+      // Global copies for replace(); test() on a global regex is stateful
+      replacers: rule.patterns.map((pattern) => new RegExp(pattern, `${rule.flags || ''}g`))
+    }))
+  };
+}
+
+/**
+ * Split an answer into sentences (terminal punctuation followed by whitespace).
+ *
+ * @param {string} text - Answer text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+function groundingWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‐-–]/g, '-')
+    .split(/[^a-z0-9-]+/)
+    .filter((word) => word.length > 2 && !GROUNDING_STOPWORDS.has(word))
+    .map((word) => word.replace(/s$/, ''));
+}
+
+/**
+ * Share of a sentence's content words that also appear in the retrieved context.
+ *
+ * @param {string} sentence - Answer sentence
+ * @param {Set<string>} contextWords - Words from groundingWords(context)
+ * @returns {number} 0-1
+ */
+function groundingScore(sentence, contextWords) {
+  const words = groundingWords(sentence);
+  if (!words.length) return 1;
+  return words.filter((word) => contextWords.has(word)).length / words.length;
+}
+
+/**
+ * Find the violations in a single sentence.
+ *
+ * @param {string} sentence - Answer sentence
+ * @param {Object} compliance - Compiled compliance rules
+ * @param {Object|null} regexRules - Compiled regex routing rules (safety categories)
+ * @param {Set<string>} contextWords - Words from the retrieved context
+ * @returns {Array<{rule: string, action: string, category: string|null, template: string|null, text: string}>}
+ */
+function findSentenceViolations(sentence, compliance, regexRules, contextWords) {
+  const violations = [];
+
+  for (const rule of compliance.rules) {
+    if (rule.patterns.some((regex) => regex.test(sentence))) {
+      violations.push({ rule: rule.name, action: rule.action, category: null, template: rule.template || null, text: sentence });
+    }
+  }
+
+  const safety = compliance.safetyRegex;
+  if (regexRules && safety.action !== 'off') {
+    const match = matchRegexRule(regexRules.safety, sentence);
+    // Approved wording from the knowledge base (e.g. medication spacing) is allowed through
+    if (match && groundingScore(sentence, contextWords) < safety.groundingThreshold) {
+      violations.push({
+        rule: `safety-${match.name}`,
+        action: safety.action,
+        category: match.category,
+        template: match.template,
+        text: sentence
+      });
+    }
+  }
+
+  return violations;
+}
+
+function renderReplacement(templateName, compliance, regexRules, variables, lang) {
+  const templates = localize(compliance.templates, compliance.translations, lang);
+  const safetyTemplates = regexRules ? localize(regexRules.templates, regexRules.translations, lang) : {};
+  const template = templates[templateName] ?? safetyTemplates[templateName] ?? templates[compliance.fallbackTemplate];
+  return renderTemplate(template, variables);
+}
+
+/**
+ * Check a generated answer before it is sent.
+ *
+ * Each sentence is scanned with the compliance rules and the safety regex
+ * categories. `block` replaces the whole answer with a template, `redact` drops
+ * the sentence, and `rewrite` substitutes the matched text. If redaction leaves
+ * nothing, the fallback template is sent instead.
+ *
+ * @param {string} answer - Generated answer
+ * @param {Object} options
+ * @param {Object} options.compliance - Compiled compliance rules
+ * @param {Object} [options.regexRules] - Compiled regex routing rules
+ * @param {string} [options.context] - Retrieved context the answer was generated from
+ * @param {Object} [options.variables] - Template variables (e.g. supportEmail)
+ * @param {string} [options.lang] - Language of replacement templates
+ * @returns {{answer: string, rawAnswer: string, action: string, violations: Array}}
+ */
+export function checkAnswerCompliance(answer, { compliance, regexRules = null, context = '', variables = {}, lang }) {
+  const rawAnswer = String(answer || '');
+  const contextWords = new Set(groundingWords(context));
+  const violations = [];
+  const kept = [];
+
+  for (const sentence of splitSentences(rawAnswer)) {
+    const found = findSentenceViolations(sentence, compliance, regexRules, contextWords);
+    violations.push(...found);
+    if (!found.some((violation) => violation.action === 'redact' || violation.action === 'block')) {
+      kept.push(sentence);
+    }
+  }
+
+  const action = violations.reduce(
+    (worst, violation) => (ACTION_SEVERITY[violation.action] > ACTION_SEVERITY[worst] ? violation.action : worst),
+    'pass'
+  );
+
+  if (action === 'pass') {
+    return { answer: rawAnswer, rawAnswer, action, violations };
+  }
+
+  if (action === 'block') {
+    const blocking = violations.find((violation) => violation.action === 'block');
+    return {
+      answer: renderReplacement(blocking.template || compliance.fallbackTemplate, compliance, regexRules, variables, lang),
+      rawAnswer,
+      action,
+      violations
+    };
+  }
+
+  let delivered = kept.join(' ');
+  for (const rule of compliance.rules) {
+    if (rule.action !== 'rewrite') continue;
+    for (const regex of rule.replacers) {
+      delivered = delivered.replace(regex, rule.replacement);
+    }
+  }
+
+  if (!delivered.trim()) {
+    return {
+      answer: renderReplacement(compliance.fallbackTemplate, compliance, regexRules, variables, lang),
+      rawAnswer,
+      action: 'block',
+      violations
+    };
+  }
+
+  return { answer: delivered, rawAnswer, action, violations };
+}
+
+/**
+ * Gate for streamed answers. Text is held back until a sentence completes,
+ * then forwarded only while every sentence so far is clean. After the first
+ * violation nothing more is forwarded; the final `done` event carries the
+ * checked answer, which clients display in place of the streamed text.
+ *
+ * @param {Object} options - Same options as checkAnswerCompliance()
+ * @returns {{push: Function, flush: Function, tripped: boolean}}
+ */
+export function createComplianceGate({ compliance, regexRules = null, context = '' }) {
+  const contextWords = new Set(groundingWords(context));
+  let pending = '';
+
+  const gate = {
+    tripped: false,
+
+    push(text) {
+      if (gate.tripped) return '';
+      pending += text;
+      const boundary = pending.search(/[.!?]\s+(?=\S)[^.!?]*$/);
+      if (boundary === -1) return '';
+
+      const complete = pending.slice(0, boundary + 1);
+      pending = pending.slice(boundary + 1);
+      for (const sentence of splitSentences(complete)) {
+        if (findSentenceViolations(sentence, compliance, regexRules, contextWords).length) {
+          gate.tripped = true;
+          return '';
+        }
+      }
+      return complete;
+    },
+
+    flush() {
+      if (gate.tripped) return '';
+      const rest = pending;
+      pending = '';
+      for (const sentence of splitSentences(rest)) {
+        if (findSentenceViolations(sentence, compliance, regexRules, contextWords).length) {
+          gate.tripped = true;
+          return '';
+        }
+      }
+      return rest;
+    }
+  };
+
+  return gate;
+}
+
+/**
+ * Run every rule's inline test strings.
+ * Positive strings must be flagged by the rule, negative strings must not.
+ *
+ * @param {Object} compliance - Compiled compliance rules
+ * @returns {Array<{rule: string, text: string, expected: string, actual: string|null}>} Failures
+ */
+export function runComplianceRuleTests(compliance) {
+  const failures = [];
+
+  for (const rule of compliance.rules) {
+    for (const text of rule.tests.positive) {
+      if (!rule.patterns.some((regex) => regex.test(text))) {
+        failures.push({ rule: rule.name, text, expected: rule.name, actual: null });
+      }
+    }
+    for (const text of rule.tests.negative || []) {
+      if (rule.patterns.some((regex) => regex.test(text))) {
+        failures.push({ rule: rule.name, text, expected: 'no match', actual: rule.name });
+      }
+    }
+  }
+
+  return failures;
+}
@@ -0,0 +1,103 @@
+/**
+ * Minimal JSON Schema validator for router config files and structured model replies.
+ *
+ * Supports the draft-07 keywords used in this repo: type, required,
+ * properties, additionalProperties, items, minItems, minLength, minimum,
+ * maximum, pattern, enum and local `#/definitions/...` refs.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema $ref: ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node?.[key], root);
+}
+
+function validateNode(value, schema, root, pointer, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), root, pointer, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${pointer}: expected ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      errors.push(`${pointer}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${pointer}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${pointer}: must be >= ${schema.minimum}`);
+  }
+
+  if (typeof value === 'number' && typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(`${pointer}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${pointer}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, root, `${pointer}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${pointer}: missing required property "${key}"`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], root, `${pointer}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}: unexpected property "${key}"`);
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        validateNode(child, schema.additionalProperties, root, `${pointer}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema (draft-07 subset)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '$', errors);
+  return errors;
+}
@@ -0,0 +1,121 @@
+/**
+ * Message language detection and localized config lookup.
+ *
+ * Detection is a lightweight heuristic over common function words and
+ * Spanish-only characters; it only has to choose between the supported
+ * languages, not identify arbitrary ones. When a message gives no signal
+ * (e.g. "A-Minus ingredientes?"), the widget's UI language is used, then
+ * the default.
+ *
+ * Router config files keep English text in place and add other languages
+ * under `translations`, e.g. { "templates": {...}, "translations": { "es": {...} } }.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUPPORTED_LANGUAGES = ['en', 'es'];
+
+// Used in the RAG prompt ("Answer in Spanish")
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish'
+};
+
+const FUNCTION_WORDS = {
+  en: new Set([
+    'the', 'is', 'are', 'was', 'what', 'how', 'when', 'where', 'why', 'which', 'can', 'could', 'should',
+    'do', 'does', 'did', 'i', 'my', 'you', 'your', 'it', 'with', 'and', 'of', 'to', 'for', 'after',
+    'take', 'have', 'this', 'that', 'will', 'much', 'many', 'order', 'about'
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'es', 'son', 'que', 'como', 'cuando', 'donde', 'por', 'para',
+    'puedo', 'puede', 'debo', 'tomar', 'tomo', 'mi', 'mis', 'tu', 'su', 'con', 'sin', 'y', 'de', 'del',
+    'en', 'estoy', 'esta', 'hola', 'gracias', 'pedido', 'cuanto', 'cuantas', 'despues', 'antes', 'si', 'no', 'lo'
+  ])
+};
+
+// Characters that only appear in Spanish among the supported languages
+const SPANISH_CHARACTERS = /[¿¡ñáéíóú]/i;
+
+/**
+ * Strip accents so patterns can be written once in plain ASCII
+ * ("despues" matches "después").
+ *
+ * @param {string} text - Text to fold
+ * @returns {string}
+ */
+export function foldDiacritics(text = '') {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Map a language tag (e.g. "es-MX", navigator.language) to a supported language.
+ *
+ * @param {string} value - Language tag
+ * @returns {string|null} Supported language code, or null
+ */
+export function resolveLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * Detect the language of a user message.
+ *
+ * @param {string} message - User message
+ * @param {string|null} [fallback] - Language to use when the message gives no signal (e.g. the widget's UI language)
+ * @returns {string} Supported language code
+ */
+export function detectLanguage(message = '', fallback = null) {
+  const text = String(message);
+  const words = foldDiacritics(text).toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const scores = { en: 0, es: 0 };
+
+  for (const word of words) {
+    if (FUNCTION_WORDS.en.has(word)) scores.en += 1;
+    if (FUNCTION_WORDS.es.has(word)) scores.es += 1;
+  }
+  if (SPANISH_CHARACTERS.test(text)) scores.es += 2;
+
+  if (scores.es > scores.en) return 'es';
+  if (scores.en > scores.es) return 'en';
+  return resolveLanguage(fallback) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Overlay a language's translations on the default (English) values.
+ * Keys without a translation keep their default.
+ *
+ * @param {Object} values - Default values (e.g. templates)
+ * @param {Object} [translations] - Translations keyed by language
+ * @param {string} [lang] - Language code
+ * @returns {Object}
+ */
+export function localize(values, translations, lang = DEFAULT_LANGUAGE) {
+  const overrides = lang !== DEFAULT_LANGUAGE ? translations?.[lang] : null;
+  return overrides ? { ...values, ...overrides } : values;
+}
+
+/**
+ * Check a `translations` block: only supported languages, and only keys the
+ * default values define.
+ *
+ * @param {Object} [translations] - Translations keyed by language
+ * @param {string[]} keys - Keys that may be translated
+ * @param {string} pointer - JSON pointer for error messages
+ * @returns {string[]} Validation errors
+ */
+export function validateTranslations(translations, keys, pointer) {
+  const errors = [];
+  const known = new Set(keys);
+  for (const [lang, values] of Object.entries(translations || {})) {
+    if (lang === DEFAULT_LANGUAGE || !SUPPORTED_LANGUAGES.includes(lang)) {
+      errors.push(`${pointer}.${lang}: unsupported language (expected one of: ${SUPPORTED_LANGUAGES.filter((code) => code !== DEFAULT_LANGUAGE).join(', ')})`);
+      continue;
+    }
+    for (const key of Object.keys(values)) {
+      if (!known.has(key)) errors.push(`${pointer}.${lang}: unknown key "${key}"`);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,64 @@
+// Product entities that should be protected during normalization
+const PRODUCT_ENTITIES = [
+  { original: 'A-Minus', normalized: 'a-minus', variants: ['A‑Minus', 'A-minus', 'a‑minus', 'AMinus', 'aminus'] },
+  { original: 'Intelligent Molecules', normalized: 'intelligent molecules', variants: ['intelligent-molecules', 'intelligentmolecules'] }
+];
+
+function protectEntities(message) {
+  let protectedMessage = message;
+  let entityMap = new Map();
+
+  PRODUCT_ENTITIES.forEach((entity, index) => {
+    const token = `__ENTITY_${index}__`;
+    const allVariants = [entity.original, ...entity.variants];
+
+    // Create regex that matches any variant (case insensitive)
+    const pattern = new RegExp(`\\b(${allVariants.map(v => v.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&')).join('|')})\\b`, 'gi');
+
+    if (pattern.test(protectedMessage)) {
+      protectedMessage = protectedMessage.replace(pattern, (match) => {
+        entityMap.set(token, entity.normalized);
+        return token;
+      });
+    }
+  });
+
+  return { message: protectedMessage, entityMap };
+}
+
+function restoreEntities(message, entityMap) {
+  let restoredMessage = message;
+
+  entityMap.forEach((normalizedForm, token) => {
+    // Replace both original case and lowercase version of token
+    restoredMessage = restoredMessage.replace(new RegExp(token, 'gi'), normalizedForm);
+  });
+
+  return restoredMessage;
+}
+
+function normalizeMessage(message = '') {
+  return message
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\u2010-\u2015\u2212\uFE63\uFF0D]/g, '-') // Normalize various hyphen/dash characters to regular hyphen
+    .trim();
+}
+
+/**
+ * Normalize a message for routing: lowercase, collapsed whitespace and plain
+ * hyphens, with product names mapped to one canonical spelling.
+ *
+ * @param {string} message - User message
+ * @returns {string}
+ */
+export function entityAwareNormalize(message = '') {
+  // Stage 1: Protect entities
+  const { message: protectedMessage, entityMap } = protectEntities(message);
+
+  // Stage 2: Apply standard normalization
+  const normalizedMessage = normalizeMessage(protectedMessage);
+
+  // Stage 3: Restore protected entities
+  return restoreEntities(normalizedMessage, entityMap);
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+
+/**
+ * PII scrubbing for chat messages.
+ *
+ * Detected values are replaced with typed placeholders ([EMAIL], [PHONE],
+ * [ADDRESS], [ORDER], [CARD], [NAME]) before the message is routed, embedded,
+ * sent to the LLM, stored in the session or logged. Detectors run in order, so
+ * an email's digits are never read as a phone number and a card number is never
+ * read as an order number.
+ *
+ * With PII_ENCRYPTION_KEY set, the original message can be sealed (AES-256-GCM)
+ * for support lookups with scripts/reveal-message.js.
+ */
+
+const NAME_STOPWORDS = new Set([
+  'and', 'but', 'so', 'i', 'im', 'i\'m', 'my', 'the', 'a', 'an', 'is', 'was', 'from', 'here', 'again',
+  'can', 'could', 'would', 'will', 'what', 'where', 'when', 'how', 'why', 'do', 'does', 'please', 'thanks',
+  'y', 'pero', 'de', 'mi', 'es', 'soy', 'quiero', 'puedo', 'tengo', 'por', 'gracias', 'hola'
+]);
+
+const STREET_STOPWORDS = new Set([
+  'a', 'an', 'the', 'in', 'on', 'of', 'or', 'and', 'to', 'per', 'for', 'with', 'by', 'at', 'my', 'your',
+  'capsule', 'capsules', 'pill', 'pills', 'mg', 'drinks', 'days', 'hours'
+]);
+
+const STREET_SUFFIX = 'street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|terrace|parkway|pkwy|highway|hwy|circle';
+
+// Card-like numbers must also pass the Luhn checksum
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// A name ends at the first ordinary word ("my name is sam and ...")
+function nameWords(name) {
+  const words = name.split(/\s+/);
+  const end = words.findIndex((word) => NAME_STOPWORDS.has(word.toLowerCase()));
+  return end === -1 ? words : words.slice(0, end);
+}
+
+const DETECTORS = [
+  {
+    type: 'EMAIL',
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi
+  },
+  {
+    type: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (match) => passesLuhn(match.replace(/\D/g, ''))
+  },
+  {
+    // 10+ digits, so short numbers like 911 or doses are never matched
+    type: 'PHONE',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b|\+\d{1,3}(?:[\s.-]?\d{2,4}){3,5}\b/g
+  },
+  {
+    // Only the number is replaced, so "where is my order [ORDER]" still routes as an order question
+    type: 'ORDER',
+    pattern: /(\b(?:order\s*(?:number|no\.?|num)?|pedido\s*(?:numero|número|n[oº]\.?)?)\s*(?:is|was|es|:)?\s*)#?\s*(\d{3,})\b|#(\d{3,})\b/gi,
+    replace: (placeholder, match, prefix) => (prefix ? `${prefix}${placeholder}` : placeholder),
+    value: (match, prefix, number, hashNumber) => number || hashNumber
+  },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(`\\b\\d{1,6}\\s+((?:[A-Za-z0-9][\\w'.-]*\\s+){1,4})(?:${STREET_SUFFIX})\\b(?:\\.?,?\\s*(?:apt|apartment|suite|ste|unit|#)\\.?\\s*[\\w-]+)?`, 'gi'),
+    accept: (match, name) => !name.trim().split(/\s+/).some((word) => STREET_STOPWORDS.has(word.toLowerCase()))
+  },
+  {
+    type: 'NAME',
+    pattern: /(\bmy\s+name\s+is\s+|\bmy\s+name['’]s\s+|\bme\s+llamo\s+|\bmi\s+nombre\s+es\s+)(\p{L}[\p{L}'’-]+(?:\s+\p{L}[\p{L}'’-]+){0,2})/giu,
+    accept: (match, prefix, name) => nameWords(name).length > 0,
+    // Keep the trigger phrase and any ordinary words caught after the name
+    replace: (placeholder, match, prefix, name) => {
+      const rest = name.split(/\s+/).slice(nameWords(name).length);
+      return `${prefix}${placeholder}${rest.length ? ` ${rest.join(' ')}` : ''}`;
+    },
+    value: (match, prefix, name) => nameWords(name).join(' ')
+  }
+];
+
+/**
+ * Replace PII in a message with typed placeholders.
+ *
+ * The detected values are returned for in-request use only (e.g. an order
+ * lookup); they must not be logged or stored.
+ *
+ * @param {string} message - Raw user message
+ * @returns {{text: string, entities: Array<{type: string, value: string}>, types: Object<string, number>|null}}
+ */
+export function scrubPii(message = '') {
+  let text = message;
+  const entities = [];
+
+  for (const detector of DETECTORS) {
+    const placeholder = `[${detector.type}]`;
+    text = text.replace(detector.pattern, (match, ...groups) => {
+      const captures = groups.slice(0, -2);
+      if (detector.accept && !detector.accept(match, ...captures)) return match;
+      const value = detector.value ? detector.value(match, ...captures) : match;
+      entities.push({ type: detector.type, value: value.trim() });
+      return detector.replace ? detector.replace(placeholder, match, ...captures) : placeholder;
+    });
+  }
+
+  const types = entities.length
+    ? entities.reduce((counts, entity) => ({ ...counts, [entity.type]: (counts[entity.type] || 0) + 1 }), {})
+    : null;
+
+  return { text, entities, types };
+}
+
+function encryptionKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt an original message for authorized support lookup.
+ * Returns null when PII_ENCRYPTION_KEY isn't set.
+ *
+ * @param {string} text - Original message
+ * @param {string} [secret] - Encryption secret (default: PII_ENCRYPTION_KEY)
+ * @returns {string|null} "v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+export function sealOriginal(text, secret = process.env.PII_ENCRYPTION_KEY) {
+  if (!secret) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map((part) => (typeof part === 'string' ? part : part.toString('base64'))).join(':');
+}
+
+/**
+ * Decrypt a message sealed by sealOriginal(). Throws when the secret is wrong
+ * or the payload was altered.
+ *
+ * @param {string} sealed - Sealed message
+ * @param {string} [secret] - Encryption secret (default: PII_ENCRYPTION_KEY)
+ * @returns {string} Original message
+ */
+export function openSealed(sealed, secret = process.env.PII_ENCRYPTION_KEY) {
+  if (!secret) throw new Error('Missing PII_ENCRYPTION_KEY');
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== 'v1' || !ciphertext) throw new Error('Unrecognized sealed message format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(secret), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from './json-schema.js';
+import { foldDiacritics, validateTranslations } from './language.js';
+import { analyzeSafetyCues, applySafetyPolicy, takerOf } from './safety-context.js';
+
+export const REGEX_RULES_PATH = path.join(process.cwd(), 'router', 'regex-rules.json');
+const REGEX_RULES_SCHEMA_PATH = path.join(process.cwd(), 'router', 'regex-rules.schema.json');
+
+/**
+ * Check a parsed rules file against the schema plus the cross-field checks
+ * JSON Schema can't express (compilable patterns, known templates, unique names).
+ *
+ * @param {Object} config - Parsed router/regex-rules.json
+ * @param {Object} [schema] - Parsed router/regex-rules.schema.json
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateRegexRules(config, schema = JSON.parse(fs.readFileSync(REGEX_RULES_SCHEMA_PATH, 'utf8'))) {
+  const errors = validateSchema(config, schema);
+  if (errors.length) return errors;
+
+  errors.push(...validateTranslations(config.translations, Object.keys(config.templates), '$.translations'));
+
+  for (const ruleset of ['safety', 'business']) {
+    const names = new Set();
+    config[ruleset].forEach((rule, index) => {
+      const pointer = `$.${ruleset}[${index}]`;
+      if (names.has(rule.name)) {
+        errors.push(`${pointer}: duplicate rule name "${rule.name}"`);
+      }
+      names.add(rule.name);
+
+      if (ruleset === 'safety' && !(rule.template in config.templates)) {
+        errors.push(`${pointer}: unknown template "${rule.template}"`);
+      }
+
+      for (const field of ['patterns', 'cues']) {
+        (rule[field] || []).forEach((pattern, patternIndex) => {
+          try {
+            new RegExp(pattern, rule.flags || '');
+          } catch (error) {
+            errors.push(`${pointer}.${field}[${patternIndex}]: ${error.message}`);
+          }
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+function compileRule(rule) {
+  const compiled = {
+    ...rule,
+    patterns: rule.patterns.map((pattern) => new RegExp(pattern, rule.flags || ''))
+  };
+  if (rule.cues) {
+    // Cues run on the lowercased, accent-folded message with matchAll()
+    compiled.cues = rule.cues.map((cue) => new RegExp(cue, 'g'));
+  }
+  return compiled;
+}
+
+/**
+ * Load, validate and compile the regex routing rules.
+ * Throws when the file is missing or invalid so a broken config can never
+ * silently disable the deterministic safety layer.
+ *
+ * @param {string} [filePath] - Rules file path
+ * @returns {{version: number, templates: Object, translations: Object, safety: Array, business: Array}}
+ */
+export function loadRegexRules(filePath = REGEX_RULES_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateRegexRules(config);
+  if (errors.length) {
+    throw new Error(`Invalid regex rules in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    version: config.version,
+    templates: config.templates,
+    translations: config.translations || {},
+    safety: config.safety.map(compileRule),
+    business: config.business.map(compileRule)
+  };
+}
+
+/**
+ * Return the first rule with a pattern matching the message.
+ * Patterns are also tried against the message with accents stripped, so
+ * Spanish patterns can be written in plain ASCII ("despues", "anos").
+ *
+ * @param {Array} rules - Compiled rules
+ * @param {string} message - Message to test
+ * @returns {Object|null} Matching rule
+ */
+export function matchRegexRule(rules, message) {
+  if (!message) return null;
+  const folded = foldDiacritics(message);
+  const candidates = folded === message ? [message] : [message, folded];
+  return rules.find((rule) => rule.patterns.some((regex) => candidates.some((text) => regex.test(text)))) || null;
+}
+
+/**
+ * Match the safety rules with subject/polarity awareness. A rule whose
+ * patterns match but whose policy defers ("I'm not pregnant", "my friend is
+ * pregnant") doesn't stop the search; later rules can still refuse.
+ *
+ * @param {Array} rules - Compiled safety rules
+ * @param {string} message - Message to test
+ * @returns {{rule: Object|null, context: Object|null, deferred: Array<{rule: Object, context: Object}>}}
+ *   `context` is applySafetyPolicy()'s {outcome, subject, polarity, cue}
+ */
+export function matchSafetyRule(rules, message) {
+  const deferred = [];
+  if (!message) return { rule: null, context: null, deferred };
+
+  for (const rule of rules) {
+    if (!matchRegexRule([rule], message)) continue;
+    const context = applySafetyPolicy(rule.policy, analyzeSafetyCues(message, rule.cues), {
+      taker: takerOf(message),
+      deferWhenSpeakerTakes: rule.deferWhenSpeakerTakes
+    });
+    if (context.outcome === 'refuse') return { rule, context, deferred };
+    deferred.push({ rule, context });
+  }
+  return { rule: null, context: null, deferred };
+}
+
+/**
+ * Fill `{{name}}` placeholders in a response template.
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string}
+ */
+export function renderTemplate(template, variables = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in variables ? String(variables[name]) : match
+  );
+}
+
+/**
+ * Run every rule's inline test strings against its ruleset.
+ * Positive strings must route to the rule itself (first match wins), negative
+ * strings must not match any of its patterns. Safety rules go through their
+ * subject/polarity policy: positives must be refused by the rule, and
+ * negatives may match as long as the policy defers them.
+ *
+ * @param {{safety: Array, business: Array}} rules - Compiled rules
+ * @returns {Array<{ruleset: string, rule: string, text: string, expected: string, actual: string|null}>} Failures
+ */
+export function runRegexRuleTests(rules) {
+  const failures = [];
+
+  for (const ruleset of ['safety', 'business']) {
+    for (const rule of rules[ruleset]) {
+      const match = (candidates, text) => ruleset === 'safety'
+        ? matchSafetyRule(candidates, text).rule
+        : matchRegexRule(candidates, text);
+      for (const text of rule.tests.positive) {
+        const matched = match(rules[ruleset], text);
+        if (matched?.name !== rule.name) {
+          failures.push({ ruleset, rule: rule.name, text, expected: rule.name, actual: matched?.name || null });
+        }
+      }
+      for (const text of rule.tests.negative || []) {
+        if (match([rule], text)) {
+          failures.push({ ruleset, rule: rule.name, text, expected: 'no match', actual: rule.name });
+        }
+      }
+    }
+  }
+
+  return failures;
+}
@@ -0,0 +1,171 @@
+import { foldDiacritics } from './language.js';
+
+/**
+ * Subject and polarity of safety cues ("pregnant", "warfarin", "chest pain")
+ * in a message, so the safety regex can tell "I'm pregnant" from "I'm not
+ * pregnant", "my friend is pregnant" and "what if I get pregnant".
+ *
+ * Each cue is read within its clause (split at sentence punctuation, commas
+ * and "but"/"pero"):
+ *   subject  - self (I, my, estoy), third-party (my friend, she, mi esposa)
+ *              or general (a population such as "pregnant women", or no subject)
+ *   polarity - negated (a negator just before the cue), hypothetical (if,
+ *              what if, si, en caso de) or affirmed
+ * A cue's subject is who the cue is about, which isn't always who would take
+ * the product ("my wife is pregnant, can I take it?"); takerOf() reads that
+ * from the message as a whole.
+ * Patterns are written without accents and run on the accent-folded message.
+ */
+
+export const SUBJECTS = ['self', 'third-party', 'general'];
+export const POLARITIES = ['affirmed', 'negated', 'hypothetical'];
+
+const CLAUSE_BOUNDARY = /[.!?;,]|\b(?:but|although|though|however|pero|aunque|sin embargo)\b/g;
+
+// Only the last few words before a cue can negate it ("I'm not on any medication")
+const NEGATION_WINDOW = 4;
+const NEGATOR = /^(?:not|no|never|none|without|isn't|aren't|wasn't|don't|doesn't|didn't|haven't|hasn't|can't|won't|nunca|tampoco|sin|ni)$|n't$/;
+const HYPOTHETICAL = /\b(?:if|in case|what if|suppose|supposing|hypothetically|were to|planning to|plan to|someday|in the future|si|en caso de|supongamos|y si|planeo|pienso)\b/;
+
+// Population nouns right next to a cue make it general ("pregnant women", "breastfeeding mothers")
+const GENERAL_NOUN = /^(?:women|woman|mothers|moms|people|persons|patients|users|adults|teens|teenagers|kids|children|someone|anyone|everyone|year|years|mujeres|madres|personas|pacientes|usuarios|gente|adolescentes|ninos|alguien|cualquiera)$/;
+
+const THIRD_PARTY = /\b(?:(?:my|our|his|her|their|a|mi|mis|nuestra|nuestro|su|sus|un|una)\s+)?(?:friends?|wife|girlfriend|partner|sister|mom|mother|daughter|son|husband|boyfriend|brother|dad|father|kids?|child|roommate|coworker|colleague|cousin|aunt|niece|customer|amig[oa]s?|esposa|esposo|novia|novio|pareja|hermana|hermano|mama|madre|hija|hijo|papa|padre|prima|primo|companer[oa]|cliente)\b|\b(?:he|she|they|him|them|he's|she's|they're|ella|ellos|ellas)\b/g;
+const SELF = /\b(?:i|i'm|im|i've|i'd|me|my|mine|myself|we|we're|our|us|yo|estoy|soy|tengo|tomo|mi|mis|nosotros|estamos|tomamos)\b/g;
+
+// Questions about the speaker taking the product ("can I take it", "¿puedo tomarlo?")
+const SELF_TAKER = /\b(?:can|could|may|should|do|would|will|shall)\s+i\s+(?:still\s+|safely\s+|also\s+)?(?:take|use|try|have)\b|\b(?:safe|ok|okay|fine|alright)\s+for\s+me\b|\bi\s+(?:want|would like|plan|am going|'m going)\s+to\s+(?:take|use|try)\b|\b(?:puedo|podria|debo)\s+(?:yo\s+)?(?:tomar|usar|probar)\w*/;
+// Questions about someone else taking it ("can she take it", "safe for my daughter", "my wife wants to try")
+const OTHER_TAKER = /\b(?:can|could|may|should|does|do|would|will)\s+(?:she|he|they|my\s+\w+|our\s+\w+)\s+(?:still\s+|safely\s+|also\s+)?(?:take|use|try|have)\b|\b(?:safe|ok|okay|fine|alright)\s+for\s+(?:her|him|them|my\s+\w+|our\s+\w+)\b|\b(?:give|giving|let)\s+(?:her|him|them|my\s+\w+)\b|\bwants\s+to\s+(?:take|use|try)\b|\b(?:we|nosotros)\s+(?:take|use|try|tomar|usar)\b|\b(?:can|should)\s+we\b|\b(?:puede|pueden|podria|podrian|debe|deben)\s+(?:ella|el|ellos|mi\s+\w+)?\s*(?:tomar|usar|probar)\w*|\b(?:seguro|bueno)\s+para\s+(?:ella|el|ellos|mi\s+\w+)\b/;
+
+function clauseAround(text, start, end) {
+  let clauseStart = 0;
+  let clauseEnd = text.length;
+  for (const boundary of text.matchAll(CLAUSE_BOUNDARY)) {
+    if (boundary.index + boundary[0].length <= start) clauseStart = boundary.index + boundary[0].length;
+    else if (boundary.index >= end) {
+      clauseEnd = boundary.index;
+      break;
+    }
+  }
+  return { clauseStart, clauseEnd };
+}
+
+function words(text) {
+  return text.split(/[^a-z0-9'-]+/).filter(Boolean);
+}
+
+function polarityOf(before) {
+  if (words(before).slice(-NEGATION_WINDOW).some((word) => NEGATOR.test(word))) return 'negated';
+  if (HYPOTHETICAL.test(before)) return 'hypothetical';
+  return 'affirmed';
+}
+
+// Closest marker before the cue (usually the subject: "my friend is pregnant"),
+// else the closest one after it ("while nursing, can I take it?")
+function nearest(clause, regex, cueStart, cueEnd) {
+  let before = null;
+  let after = null;
+  for (const match of clause.matchAll(regex)) {
+    const matchEnd = match.index + match[0].length;
+    if (matchEnd <= cueStart) before = { distance: cueStart - matchEnd };
+    else if (!after && match.index >= cueEnd) after = { distance: match.index - cueEnd };
+  }
+  return before ? { ...before, before: true } : after && { ...after, before: false };
+}
+
+function closer(a, b) {
+  if (a.before !== b.before) return a.before;
+  return a.distance < b.distance;
+}
+
+function subjectOf(clause, cueStart, cueEnd) {
+  const before = words(clause.slice(0, cueStart));
+  const after = words(clause.slice(cueEnd));
+  if (GENERAL_NOUN.test(before[before.length - 1] || '') || after.slice(0, 2).some((word) => GENERAL_NOUN.test(word))) {
+    return 'general';
+  }
+  // Adjectival cues describe the noun that follows ("my pregnant wife")
+  if (after[0] && [...after[0].matchAll(THIRD_PARTY)].some((match) => match[0] === after[0])) {
+    return 'third-party';
+  }
+
+  const thirdParty = nearest(clause, THIRD_PARTY, cueStart, cueEnd);
+  // "my" in "my friend" belongs to the third party, so blank those spans before looking for the speaker
+  const masked = [...clause.matchAll(THIRD_PARTY)]
+    .reduce((text, match) => text.slice(0, match.index) + ' '.repeat(match[0].length) + text.slice(match.index + match[0].length), clause);
+  const self = nearest(masked, SELF, cueStart, cueEnd);
+
+  if (thirdParty && (!self || closer(thirdParty, self))) return 'third-party';
+  if (self) return 'self';
+  return 'general';
+}
+
+/**
+ * Label every cue occurrence in a message.
+ *
+ * @param {string} message - Message that matched a safety rule
+ * @param {RegExp[]} cues - Compiled cue patterns (global)
+ * @returns {Array<{cue: string, subject: string, polarity: string}>} In message order
+ */
+export function analyzeSafetyCues(message, cues) {
+  const text = foldDiacritics(String(message || '').toLowerCase());
+  const found = [];
+  for (const regex of cues) {
+    for (const match of text.matchAll(regex)) {
+      if (!match[0]) continue;
+      found.push({ start: match.index, end: match.index + match[0].length, cue: match[0] });
+    }
+  }
+
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, cue }) => {
+      const { clauseStart, clauseEnd } = clauseAround(text, start, end);
+      const clause = text.slice(clauseStart, clauseEnd);
+      return {
+        cue,
+        subject: subjectOf(clause, start - clauseStart, end - clauseStart),
+        polarity: polarityOf(clause.slice(0, start - clauseStart))
+      };
+    });
+}
+
+/**
+ * Who the message asks about taking the product. Only 'self' when it asks
+ * about the speaker alone: any sign of someone else (or "we") taking it wins.
+ *
+ * @param {string} message - Message that matched a safety rule
+ * @returns {'self'|'third-party'|null} null when the message doesn't say
+ */
+export function takerOf(message) {
+  const text = foldDiacritics(String(message || '').toLowerCase());
+  if (OTHER_TAKER.test(text)) return 'third-party';
+  if (SELF_TAKER.test(text)) return 'self';
+  return null;
+}
+
+/**
+ * Apply a rule's policy to its cues. The rule refuses when any cue's
+ * subject/polarity combination refuses; otherwise it defers to later rules
+ * and layers. A match with no recognisable cue is treated as general/affirmed.
+ * With `deferWhenSpeakerTakes`, third-party cues defer when only the speaker
+ * would take the product ("I'm the designated driver for my pregnant wife,
+ * can I take A-Minus?").
+ *
+ * @param {Object} policy - { [subject]: { [polarity]: 'refuse'|'defer' } }
+ * @param {Array<{cue: string, subject: string, polarity: string}>} labels - From analyzeSafetyCues()
+ * @param {Object} [options]
+ * @param {string|null} [options.taker] - From takerOf()
+ * @param {boolean} [options.deferWhenSpeakerTakes] - The rule's setting
+ * @returns {{outcome: 'refuse'|'defer', subject: string, polarity: string, cue: string|null}}
+ */
+export function applySafetyPolicy(policy, labels, { taker = null, deferWhenSpeakerTakes = false } = {}) {
+  const cues = labels.length ? labels : [{ cue: null, subject: 'general', polarity: 'affirmed' }];
+  const outcomeOf = (label) => (deferWhenSpeakerTakes && taker === 'self' && label.subject === 'third-party'
+    ? 'defer'
+    : policy[label.subject][label.polarity]);
+  const refusing = cues.find((label) => outcomeOf(label) === 'refuse');
+  const deciding = refusing || cues[0];
+  return { outcome: refusing ? 'refuse' : 'defer', ...deciding };
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from './json-schema.js';
+import { foldDiacritics } from './language.js';
+import { cosine } from '../knowledge/retrieval.js';
+
+/**
+ * Scoring for the safety embedding gate (router/safety.json).
+ *
+ * Each category has its own threshold, weights and risk tokens:
+ *   score = weights.embedding * (closest exemplar's cosine)
+ *         + weights.riskTokens * min(matched risk tokens * riskTokenStep, 1)
+ * multiplied by productContextMultiplier when the message reads as a plain
+ * product question with few risk tokens. scripts/calibrate-safety.js fits
+ * the per-category numbers against labelled examples.
+ */
+
+export const SAFETY_CONFIG_PATH = path.join(process.cwd(), 'router', 'safety.json');
+const SAFETY_SCHEMA_PATH = path.join(process.cwd(), 'router', 'safety.schema.json');
+
+/**
+ * Load and validate the safety gate config.
+ * Throws when the file is missing or invalid.
+ *
+ * ROUTER_SAFETY_THRESHOLD replaces every category's threshold.
+ *
+ * @param {string} [filePath] - Config file path
+ * @param {Object} [env] - Environment variables
+ * @returns {{version: number, riskTokenStep: number, productContext: Object, categories: Object, exemplars: Array}}
+ */
+export function loadSafetyConfig(filePath = SAFETY_CONFIG_PATH, env = process.env) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(SAFETY_SCHEMA_PATH, 'utf8')));
+  if (!errors.length) {
+    config.exemplars.forEach((exemplar, index) => {
+      if (!config.categories[exemplar.category]) {
+        errors.push(`$.exemplars[${index}]: category "${exemplar.category}" has no entry in $.categories`);
+      }
+    });
+  }
+  if (errors.length) {
+    throw new Error(`Invalid safety config in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+
+  if (!env.ROUTER_SAFETY_THRESHOLD) return config;
+  return withSafetyThreshold(config, Number(env.ROUTER_SAFETY_THRESHOLD));
+}
+
+/**
+ * The config with one threshold for every category (ROUTER_SAFETY_THRESHOLD,
+ * or an experiment variant's safetyThreshold).
+ *
+ * @param {Object} config - Loaded safety config
+ * @param {number} threshold - Threshold for every category
+ * @returns {Object} New config
+ */
+export function withSafetyThreshold(config, threshold) {
+  return {
+    ...config,
+    categories: Object.fromEntries(
+      Object.entries(config.categories).map(([category, settings]) => [category, { ...settings, threshold }])
+    )
+  };
+}
+
+/**
+ * A category's risk tokens found in a message.
+ *
+ * @param {string} message - Normalized message
+ * @param {string[]} tokens - Category risk tokens
+ * @returns {string[]}
+ */
+export function matchRiskTokens(message, tokens) {
+  const folded = foldDiacritics(message.toLowerCase());
+  return tokens.filter((token) => folded.includes(token.toLowerCase()));
+}
+
+/**
+ * Product context indicators found in a message.
+ *
+ * @param {string} message - Normalized message
+ * @param {string[]} indicators - Product context indicators
+ * @returns {string[]}
+ */
+export function matchProductIndicators(message, indicators) {
+  const folded = foldDiacritics(message.toLowerCase());
+  return indicators.filter((indicator) => folded.includes(indicator));
+}
+
+/**
+ * Weighted safety score for one category.
+ *
+ * @param {Object} config - Loaded safety config
+ * @param {Object} settings - Category settings (threshold, weights, productContextMultiplier)
+ * @param {{embeddingScore: number, riskTokenCount: number, productContext: boolean}} signals
+ * @returns {number}
+ */
+export function weightedSafetyScore(config, settings, { embeddingScore, riskTokenCount, productContext }) {
+  const riskTokenScore = Math.min(riskTokenCount * config.riskTokenStep, 1);
+  const score = embeddingScore * settings.weights.embedding + riskTokenScore * settings.weights.riskTokens;
+  const discounted = productContext && riskTokenCount <= config.productContext.maxRiskTokens;
+  return discounted ? score * settings.productContextMultiplier : score;
+}
+
+/**
+ * Per-category signals for a message: the closest exemplar in the category,
+ * its cosine similarity, and the category's risk tokens found.
+ *
+ * @param {Object} config - Loaded safety config
+ * @param {Array<Object>} entries - Embedded exemplars (data/router-safety.json)
+ * @param {number[]} embedding - Message embedding
+ * @param {string} message - Normalized message
+ * @returns {Array<{category: string, best: Object, embeddingScore: number, riskTokens: string[], riskTokenCount: number, productIndicators: string[], productContext: boolean}>}
+ */
+export function categorySignals(config, entries, embedding, message) {
+  const productIndicators = matchProductIndicators(message, config.productContext.indicators);
+  const bestByCategory = new Map();
+  for (const entry of entries) {
+    if (!config.categories[entry.category]) continue;
+    const score = cosine(embedding, entry.embedding);
+    const current = bestByCategory.get(entry.category);
+    if (!current || score > current.embeddingScore) {
+      bestByCategory.set(entry.category, { best: entry, embeddingScore: score });
+    }
+  }
+
+  return [...bestByCategory.entries()].map(([category, { best, embeddingScore }]) => {
+    const riskTokens = matchRiskTokens(message, config.categories[category].riskTokens);
+    return {
+      category,
+      best,
+      embeddingScore,
+      riskTokens,
+      riskTokenCount: riskTokens.length,
+      productIndicators,
+      productContext: productIndicators.length > 0
+    };
+  });
+}
+
+/**
+ * Score every category and pick the refusal, if any. When several categories
+ * clear their thresholds, the highest weighted score wins.
+ *
+ * @param {Object} config - Loaded safety config
+ * @param {Array<Object>} signals - From categorySignals()
+ * @returns {{category: string, best: Object, score: number, threshold: number, embeddingScore: number, riskTokenCount: number, productContext: boolean}|null}
+ */
+export function pickSafetyCategory(config, signals) {
+  let picked = null;
+  for (const signal of signals) {
+    const settings = config.categories[signal.category];
+    const score = weightedSafetyScore(config, settings, signal);
+    if (score >= settings.threshold && (!picked || score > picked.score)) {
+      picked = { ...signal, score, threshold: settings.threshold };
+    }
+  }
+  return picked;
+}
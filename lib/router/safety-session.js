@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { validateSchema } from './json-schema.js';
+import { validateTranslations } from './language.js';
+
+/**
+ * Sticky safety state for a chat session (router/safety-session.json).
+ *
+ * Every safety category that fires is recorded in the session with the turn
+ * and time it first and last fired. For the next `turns` messages its policy
+ * applies: escalate (repeat the warning instead of answering), block-intents
+ * (refuse the listed intents, e.g. dosage questions) or remind (prepend a
+ * reminder to the answer).
+ */
+
+export const SAFETY_SESSION_PATH = path.join(process.cwd(), 'router', 'safety-session.json');
+const SAFETY_SESSION_SCHEMA_PATH = path.join(process.cwd(), 'router', 'safety-session.schema.json');
+
+// When several policies apply, the strongest one decides the turn
+const ACTION_PRIORITY = ['escalate', 'block-intents', 'remind'];
+
+/**
+ * Load and validate the session safety policies.
+ * Throws when the file is missing or invalid.
+ *
+ * @param {string} [filePath] - Config file path
+ * @returns {{version: number, templates: Object, translations: Object, categories: Object}}
+ */
+export function loadSafetySessionConfig(filePath = SAFETY_SESSION_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateSchema(config, JSON.parse(fs.readFileSync(SAFETY_SESSION_SCHEMA_PATH, 'utf8')));
+  if (!errors.length) {
+    errors.push(...validateTranslations(config.translations, Object.keys(config.templates), '$.translations'));
+    for (const [category, policy] of Object.entries(config.categories)) {
+      const pointer = `$.categories.${category}`;
+      if (!(policy.template in config.templates)) {
+        errors.push(`${pointer}: unknown template "${policy.template}"`);
+      }
+      if (policy.action === 'block-intents' && !policy.intents) {
+        errors.push(`${pointer}: block-intents needs "intents"`);
+      }
+      if (policy.action !== 'block-intents' && policy.intents) {
+        errors.push(`${pointer}: "intents" only applies to block-intents`);
+      }
+    }
+  }
+  if (errors.length) {
+    throw new Error(`Invalid session safety config in ${path.basename(filePath)}:\n  ${errors.join('\n  ')}`);
+  }
+  return { ...config, translations: config.translations || {} };
+}
+
+/**
+ * Record the safety categories that fired on this turn.
+ *
+ * @param {Object} [state] - Current session.state.safety
+ * @param {string[]} categories - Categories that fired
+ * @param {number} turn - Turn number of this message (1-based)
+ * @param {string} at - ISO timestamp
+ * @returns {Object} New state: { [category]: {firstTurn, lastTurn, firstAt, lastAt, count} }
+ */
+export function recordSafetyCategories(state = {}, categories, turn, at) {
+  const next = { ...state };
+  for (const category of categories) {
+    const previous = next[category];
+    next[category] = {
+      firstTurn: previous?.firstTurn ?? turn,
+      lastTurn: turn,
+      firstAt: previous?.firstAt || at,
+      lastAt: at,
+      count: (previous?.count || 0) + 1
+    };
+  }
+  return next;
+}
+
+/**
+ * Policies in force for this turn, strongest action first and then the most
+ * recently fired category.
+ *
+ * @param {Object} config - Loaded session safety config
+ * @param {Object} [state] - session.state.safety
+ * @param {number} turn - Turn number of this message (1-based)
+ * @returns {Array<{category: string, action: string, template: string, intents: string[], turnsLeft: number}>}
+ *   turnsLeft counts the later messages the policy still covers
+ */
+export function activeSafetyPolicies(config, state = {}, turn) {
+  return Object.entries(state)
+    .filter(([category, fired]) => {
+      const policy = config.categories[category];
+      const since = turn - fired.lastTurn;
+      return policy && since >= 1 && since <= policy.turns;
+    })
+    .map(([category, fired]) => {
+      const policy = config.categories[category];
+      return {
+        category,
+        action: policy.action,
+        template: policy.template,
+        intents: policy.intents || [],
+        turnsLeft: policy.turns - (turn - fired.lastTurn),
+        lastTurn: fired.lastTurn
+      };
+    })
+    .sort((a, b) => ACTION_PRIORITY.indexOf(a.action) - ACTION_PRIORITY.indexOf(b.action) || b.lastTurn - a.lastTurn)
+    .map(({ lastTurn, ...policy }) => policy);
+}
@@ -0,0 +1,76 @@
+import { turnsToMessages } from './session-store.js';
+import { foldDiacritics } from '../router/language.js';
+
+// Signals that a message depends on earlier turns to make sense.
+// Patterns are tested against the accent-folded message.
+const FOLLOW_UP_PATTERNS = [
+  /^(and|also|but|so|or|then|ok|okay)\b/i,
+  /^(what|how) about\b/i,
+  /\b(it|its|it's|that|this|those|these|they|them|one|ones|same)\b/i,
+  /^(how many|how much|how often|how long|when|why|where|which)\b/i,
+  /^¿?(y|tambien|pero|entonces|o|vale)\b/i,
+  /^¿?(y )?(que tal|que pasa con)\b/i,
+  /^¿?(cuant[ao]s?|cada cuanto|cuando|por que|donde|cual)\b/i
+];
+
+// Messages this short are almost always elliptical when a conversation is ongoing
+const SHORT_MESSAGE_WORDS = 5;
+
+/**
+ * Decide whether a message should be rewritten against prior turns.
+ *
+ * @param {string} message - Raw user message
+ * @param {Array} turns - Session turns
+ * @returns {boolean}
+ */
+export function isLikelyFollowUp(message, turns) {
+  if (!Array.isArray(turns) || turns.length === 0) return false;
+  const trimmed = (message || '').trim();
+  if (!trimmed) return false;
+  if (trimmed.split(/\s+/).length <= SHORT_MESSAGE_WORDS) return true;
+  const folded = foldDiacritics(trimmed);
+  return FOLLOW_UP_PATTERNS.some((pattern) => pattern.test(folded));
+}
+
+const REWRITE_SYSTEM = `You rewrite the customer's latest message into a single standalone question for a product support assistant.
+- Use the conversation only to resolve references (it, that, "and how many per day?", etc.).
+- Keep the customer's wording, language and intent. Do not answer, add facts or soften safety-relevant details.
+- If the message is already standalone, return it unchanged.
+Return only the rewritten question.`;
+
+/**
+ * Build the Chat Completions messages for the follow-up rewrite call.
+ *
+ * @param {string} message - Raw user message
+ * @param {Array} turns - Session turns
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildRewriteMessages(message, turns) {
+  const transcript = turnsToMessages(turns)
+    .map((m) => `${m.role === 'user' ? 'Customer' : 'Assistant'}: ${m.content}`)
+    .join('\n');
+
+  return [
+    { role: 'system', content: REWRITE_SYSTEM },
+    { role: 'user', content: `Conversation so far:\n${transcript}\n\nLatest message: ${message}` }
+  ];
+}
+
+/**
+ * Clean up a model rewrite, falling back to the original message when unusable.
+ *
+ * @param {string} rewritten - Model output
+ * @param {string} original - Raw user message
+ * @returns {string}
+ */
+export function sanitizeRewrite(rewritten, original) {
+  const cleaned = (rewritten || '')
+    .trim()
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .replace(/^(standalone question|question)\s*:\s*/i, '')
+    .trim();
+  if (!cleaned || cleaned.length > Math.max(400, original.length * 4)) {
+    return original;
+  }
+  return cleaned;
+}
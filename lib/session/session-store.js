@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import { getChatSession, saveChatSession } from '../database/queries.js';
+
+// Number of recent exchanges kept per session (older turns are dropped)
+const MAX_TURNS = Number(process.env.SESSION_MAX_TURNS || 6);
+// Sessions idle for longer than this start over with an empty history
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MINUTES || 30) * 60 * 1000;
+// Assistant answers are truncated when stored to keep prompts small
+const MAX_STORED_ANSWER_CHARS = 600;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * In-memory session store for local runs and tests.
+ * Not shared across serverless instances.
+ */
+function createMemoryStore() {
+  const sessions = new Map();
+  return {
+    name: 'memory',
+    async get(sessionId) {
+      return sessions.get(sessionId) || null;
+    },
+    async save(session) {
+      sessions.set(session.id, { ...session, updatedAt: new Date().toISOString() });
+    }
+  };
+}
+
+/**
+ * Postgres-backed session store (chat_sessions table).
+ */
+function createPostgresStore() {
+  return {
+    name: 'postgres',
+    get: getChatSession,
+    save: saveChatSession
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Resolve the configured session store.
+ * SESSION_STORE=memory|postgres; defaults to postgres when a database URL is set.
+ *
+ * @returns {Object} Session store with get/save methods
+ */
+export function getSessionStore() {
+  if (!activeStore) {
+    const configured = process.env.SESSION_STORE;
+    const hasDatabase = !!(process.env.POSTGRES_URL || process.env.DATABASE_URL);
+    const useMemory = configured ? configured === 'memory' : !hasDatabase;
+    activeStore = useMemory ? createMemoryStore() : createPostgresStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Generate a new opaque session identifier.
+ *
+ * @returns {string} Session ID
+ */
+export function createSessionId() {
+  return `sess_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+function isExpired(session) {
+  if (!session?.updatedAt) return false;
+  return Date.now() - new Date(session.updatedAt).getTime() > SESSION_TTL_MS;
+}
+
+/**
+ * Load the session for a client-supplied ID, or issue a new one.
+ * Store failures degrade to a fresh, unsaved history rather than failing the chat.
+ *
+ * @param {string} [requestedId] - Session ID sent by the client
+ * @returns {Promise<{id: string, turns: Array, turnCount: number, state: Object, isNew: boolean}>}
+ */
+export async function loadSession(requestedId) {
+  const id = typeof requestedId === 'string' && SESSION_ID_PATTERN.test(requestedId)
+    ? requestedId
+    : createSessionId();
+
+  let stored = null;
+  if (id === requestedId) {
+    try {
+      stored = await getSessionStore().get(id);
+    } catch (error) {
+      console.warn(`Failed to load session ${id}:`, error.message);
+    }
+  }
+
+  if (!stored) {
+    return { id, turns: [], turnCount: 0, state: {}, isNew: true };
+  }
+
+  if (isExpired(stored)) {
+    return { id, turns: [], turnCount: stored.turnCount || 0, state: {}, isNew: false };
+  }
+
+  return {
+    id,
+    turns: Array.isArray(stored.turns) ? stored.turns : [],
+    turnCount: stored.turnCount || 0,
+    state: stored.state || {},
+    isNew: false
+  };
+}
+
+/**
+ * Stored turns for an existing session, including expired ones (e.g. for a
+ * handoff ticket). Returns null for unknown IDs or when the store fails.
+ *
+ * @param {string} sessionId - Session ID sent by the client
+ * @returns {Promise<Array|null>}
+ */
+export async function getSessionHistory(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    return null;
+  }
+  try {
+    const stored = await getSessionStore().get(sessionId);
+    return stored && Array.isArray(stored.turns) ? stored.turns : null;
+  } catch (error) {
+    console.warn(`Failed to load session ${sessionId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Append a completed exchange to the session and persist it.
+ * History is trimmed to the most recent SESSION_MAX_TURNS exchanges.
+ *
+ * @param {Object} session - Session returned by loadSession
+ * @param {Object} turn - Completed exchange
+ * @param {string} turn.user - Raw user message
+ * @param {string} [turn.resolved] - Context-resolved question, if rewritten
+ * @param {string} turn.assistant - Answer sent to the user
+ * @param {string} [turn.layer] - Routing layer that produced the answer
+ * @returns {Promise<void>}
+ */
+export async function appendTurn(session, turn) {
+  const entry = {
+    user: turn.user,
+    resolved: turn.resolved && turn.resolved !== turn.user ? turn.resolved : null,
+    assistant: (turn.assistant || '').slice(0, MAX_STORED_ANSWER_CHARS),
+    layer: turn.layer || null,
+    at: new Date().toISOString()
+  };
+
+  session.turns = [...session.turns, entry].slice(-MAX_TURNS);
+  session.turnCount = (session.turnCount || 0) + 1;
+
+  try {
+    await getSessionStore().save(session);
+  } catch (error) {
+    // Session persistence failures shouldn't break the chat
+    console.error(`Failed to save session ${session.id}:`, error.message);
+  }
+}
+
+/**
+ * Convert stored turns into Chat Completions messages.
+ *
+ * @param {Array} turns - Session turns
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function turnsToMessages(turns = []) {
+  const messages = [];
+  for (const turn of turns) {
+    if (turn.user) messages.push({ role: 'user', content: turn.resolved || turn.user });
+    if (turn.assistant) messages.push({ role: 'assistant', content: turn.assistant });
+  }
+  return messages;
+}
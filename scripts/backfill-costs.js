@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Recompute query_logs token counts and estimated_cost with the pricing registry.
+ *
+ * Legacy rows (cost_version IS NULL) were costed with ada-002 / GPT-4 Turbo prices,
+ * length/4 token guesses, and embedding tokens counted twice once intent-embed ran.
+ * For those rows this script re-tokenizes the embedded message, splits chat tokens
+ * into prompt/completion (completion = tokenized answer), and reprices them.
+ * Rows already on the current accounting are only repriced with --reprice.
+ *
+ * Usage:
+ *   node scripts/backfill-costs.js [--dry-run] [--reprice] [--since=2024-10-01] [--batch-size=500]
+ */
+
+import { getConnection, testConnection, executeWithRetry } from '../lib/database/connection.js';
+import { calculateCost, COST_ACCOUNTING_VERSION } from '../lib/llm/pricing.js';
+import { countTokens } from '../lib/llm/tokens.js';
+
+// Models every request used before they were configurable
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-3-small';
+const LEGACY_CHAT_MODEL = 'gpt-4o-mini';
+
+function parseArgs(argv) {
+  const args = { dryRun: false, reprice: false, since: null, batchSize: 500 };
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--reprice') args.reprice = true;
+    else if (arg.startsWith('--since=')) args.since = new Date(arg.slice(8)).toISOString();
+    else if (arg.startsWith('--batch-size=')) args.batchSize = Math.max(1, parseInt(arg.slice(13)) || 500);
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return args;
+}
+
+/**
+ * Recompute token counts and cost for one query_logs row.
+ *
+ * @param {Object} row - query_logs row
+ * @returns {Promise<Object>} Updated accounting fields
+ */
+async function recomputeRow(row) {
+  const legacy = row.cost_version === null || row.cost_version === undefined;
+  const embeddingModel = row.openai_model || LEGACY_EMBEDDING_MODEL;
+  const chatModel = row.chat_model || LEGACY_CHAT_MODEL;
+
+  let embeddingTokens = row.embedding_tokens || 0;
+  let promptTokens = row.prompt_tokens || 0;
+  let completionTokens = row.completion_tokens || 0;
+
+  if (legacy) {
+    // The query was embedded once, however many layers reused the vector
+    embeddingTokens = row.embedding_tokens > 0
+      ? await countTokens(row.normalized_message, embeddingModel)
+      : 0;
+
+    // Successful RAG rows only recorded the usage total (total_tokens)
+    const chatTokens = row.chat_completion_tokens || row.total_tokens || 0;
+    if (chatTokens > 0) {
+      completionTokens = Math.min(chatTokens, row.routing_layer === 'rag'
+        ? await countTokens(row.response_answer, chatModel)
+        : 0);
+      promptTokens = chatTokens - completionTokens;
+    }
+  }
+
+  const hasChat = promptTokens + completionTokens > 0;
+  const estimatedCost =
+    calculateCost(embeddingModel, { inputTokens: embeddingTokens }, row.timestamp) +
+    (hasChat ? calculateCost(chatModel, { inputTokens: promptTokens, outputTokens: completionTokens }, row.timestamp) : 0);
+
+  return {
+    embeddingTokens,
+    promptTokens,
+    completionTokens,
+    chatCompletionTokens: promptTokens + completionTokens,
+    chatModel: hasChat ? chatModel : row.chat_model || null,
+    estimatedCost: Number(estimatedCost.toFixed(6))
+  };
+}
+
+async function fetchBatch(db, { afterId, since, reprice, batchSize }) {
+  return executeWithRetry(async () => {
+    const result = await db`
+      SELECT id, timestamp, routing_layer, normalized_message, response_answer,
+             openai_model, chat_model, total_tokens, embedding_tokens,
+             chat_completion_tokens, prompt_tokens, completion_tokens,
+             estimated_cost, cost_version
+      FROM query_logs
+      WHERE (${afterId}::uuid IS NULL OR id > ${afterId}::uuid)
+        AND (${since}::timestamptz IS NULL OR timestamp >= ${since}::timestamptz)
+        AND (cost_version IS NULL OR cost_version < ${COST_ACCOUNTING_VERSION} OR ${reprice}::boolean)
+      ORDER BY id
+      LIMIT ${batchSize}
+    `;
+    return result.rows || result;
+  });
+}
+
+async function updateRow(db, id, fields) {
+  return executeWithRetry(async () => {
+    await db`
+      UPDATE query_logs SET
+        embedding_tokens = ${fields.embeddingTokens},
+        prompt_tokens = ${fields.promptTokens},
+        completion_tokens = ${fields.completionTokens},
+        chat_completion_tokens = ${fields.chatCompletionTokens},
+        chat_model = ${fields.chatModel},
+        estimated_cost = ${fields.estimatedCost},
+        cost_version = ${COST_ACCOUNTING_VERSION}
+      WHERE id = ${id}
+    `;
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`💰 Backfilling query_logs costs${args.dryRun ? ' (dry run)' : ''}...`);
+
+  const connectionTest = await testConnection();
+  if (!connectionTest.healthy) {
+    console.error('❌ Database connection failed:', connectionTest.error);
+    process.exit(1);
+  }
+
+  const db = getConnection();
+  let afterId = null;
+  let scanned = 0;
+  let changed = 0;
+  let costBefore = 0;
+  let costAfter = 0;
+
+  for (;;) {
+    const rows = await fetchBatch(db, { ...args, afterId });
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const fields = await recomputeRow(row);
+      scanned += 1;
+      costBefore += parseFloat(row.estimated_cost) || 0;
+      costAfter += fields.estimatedCost;
+
+      const previousCost = parseFloat(row.estimated_cost);
+      if (previousCost !== fields.estimatedCost || row.cost_version !== COST_ACCOUNTING_VERSION) {
+        changed += 1;
+        if (!args.dryRun) await updateRow(db, row.id, fields);
+      }
+    }
+
+    afterId = rows[rows.length - 1].id;
+    console.log(`   Processed ${scanned} rows (${changed} ${args.dryRun ? 'would change' : 'updated'})`);
+  }
+
+  console.log('');
+  console.log(`✅ Scanned ${scanned} rows, ${changed} ${args.dryRun ? 'would be updated' : 'updated'}`);
+  console.log(`   Total estimated cost: $${costBefore.toFixed(6)} → $${costAfter.toFixed(6)}`);
+}
+
+main().catch((error) => {
+  console.error('Cost backfill failed:', error);
+  process.exit(1);
+});
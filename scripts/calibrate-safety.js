@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { getProvider } from '../lib/llm/provider.js';
+import { scrubPii } from '../lib/router/pii.js';
+import { entityAwareNormalize } from '../lib/router/normalize.js';
+import {
+  SAFETY_CONFIG_PATH,
+  loadSafetyConfig,
+  categorySignals,
+  weightedSafetyScore,
+  pickSafetyCategory
+} from '../lib/router/safety-scoring.js';
+
+/**
+ * Fit the safety embedding gate's per-category threshold, weights and product
+ * context multiplier (router/safety.json) against labelled examples:
+ *   - positives: eval/safety/positives.jsonl, plus eval/refusals.jsonl entries with a `category`
+ *   - negatives: eval/safety/negatives.jsonl (questions that must be answered)
+ *
+ * Each category is fitted on its own, treating every other example as a
+ * negative, and keeps the settings with the best F-beta score (beta defaults
+ * to 2, favouring recall). Ties go to the settings closest to the current ones.
+ * Precision and recall of the combined gate are then written to each
+ * category's `calibration` block.
+ *
+ * A category with fewer than SAFETY_CALIBRATION_MIN_POSITIVES labelled
+ * refusals keeps its settings, and the run stops when there are fewer than
+ * SAFETY_CALIBRATION_MIN_NEGATIVES negatives: a threshold fitted to a handful
+ * of examples just lands on the weakest positive.
+ *
+ * Usage: node scripts/calibrate-safety.js [--dry-run]
+ * Requires an up-to-date data/router-safety.json (npm run ingest).
+ */
+
+const POSITIVES_PATH = path.join('eval', 'safety', 'positives.jsonl');
+const REFUSALS_PATH = path.join('eval', 'refusals.jsonl');
+const NEGATIVES_PATH = path.join('eval', 'safety', 'negatives.jsonl');
+const SAFETY_ROUTER_PATH = path.join('data', 'router-safety.json');
+const BETA = Number(process.env.SAFETY_CALIBRATION_BETA || 2);
+const EMBED_BATCH_SIZE = 64;
+const MIN_POSITIVES = Number(process.env.SAFETY_CALIBRATION_MIN_POSITIVES || 15);
+const MIN_NEGATIVES = Number(process.env.SAFETY_CALIBRATION_MIN_NEGATIVES || 40);
+
+const EMBEDDING_WEIGHTS = range(0.5, 1, 0.05);
+const PRODUCT_CONTEXT_MULTIPLIERS = range(0.4, 1, 0.1);
+
+const dryRun = process.argv.includes('--dry-run');
+
+let provider;
+try {
+  provider = getProvider();
+} catch (error) {
+  console.error(`${error.message} (needed for calibration)`);
+  process.exit(1);
+}
+
+function range(from, to, step) {
+  const values = [];
+  for (let value = from; value <= to + 1e-9; value += step) {
+    values.push(Number(value.toFixed(2)));
+  }
+  return values;
+}
+
+function readJsonl(relativePath) {
+  const fullPath = path.join(process.cwd(), relativePath);
+  if (!fs.existsSync(fullPath)) {
+    console.error(`Required file not found: ${relativePath}`);
+    process.exit(1);
+  }
+  return fs.readFileSync(fullPath, 'utf8')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), index }))
+    .filter(({ line }) => line)
+    .map(({ line, index }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        console.error(`Failed to parse ${relativePath}:${index + 1}: ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
+
+// The cached exemplars must come from the current config and embedding model
+function loadSafetyRouter(config) {
+  const fullPath = path.join(process.cwd(), SAFETY_ROUTER_PATH);
+  const router = fs.existsSync(fullPath) ? JSON.parse(fs.readFileSync(fullPath, 'utf8')) : null;
+  const cached = new Map((router?.entries || []).map((entry) => [entry.id, entry]));
+  const stale = !router
+    || router.model !== provider.embeddingModel
+    || config.exemplars.some((exemplar) => cached.get(exemplar.id)?.text !== exemplar.text);
+  if (stale) {
+    console.error(`${SAFETY_ROUTER_PATH} is missing or out of date for router/safety.json and ${provider.embeddingModel}. Run npm run ingest first.`);
+    process.exit(1);
+  }
+  return router;
+}
+
+function loadExamples(config) {
+  const positives = [...readJsonl(POSITIVES_PATH), ...readJsonl(REFUSALS_PATH)].filter((example) => {
+    if (!example.category) return false;
+    if (!config.categories[example.category]) {
+      console.warn(`Skipping ${example.id}: category "${example.category}" is not in router/safety.json`);
+      return false;
+    }
+    return true;
+  });
+  const negatives = readJsonl(NEGATIVES_PATH).map((example) => ({ ...example, category: null }));
+  return [...positives, ...negatives];
+}
+
+// Same preprocessing as /api/chat: scrub PII, normalize, embed the normalized text
+async function embedExamples(examples) {
+  const normalized = examples.map((example) => entityAwareNormalize(scrubPii(example.question).text));
+  const vectors = [];
+  for (let start = 0; start < normalized.length; start += EMBED_BATCH_SIZE) {
+    const batch = await provider.embed(normalized.slice(start, start + EMBED_BATCH_SIZE));
+    vectors.push(...batch.vectors);
+  }
+  return examples.map((example, index) => ({ ...example, normalized: normalized[index], embedding: vectors[index] }));
+}
+
+function fBeta(precision, recall) {
+  if (!precision || !recall) return 0;
+  const beta2 = BETA * BETA;
+  return ((1 + beta2) * precision * recall) / (beta2 * precision + recall);
+}
+
+function distance(settings, current) {
+  return Math.abs(settings.threshold - current.threshold)
+    + Math.abs(settings.weights.embedding - current.weights.embedding)
+    + Math.abs(settings.productContextMultiplier - current.productContextMultiplier);
+}
+
+/**
+ * Grid-search one category's weights and multiplier. For each combination the
+ * only thresholds worth trying are the positives' own scores.
+ */
+function fitCategory(config, category, labelled) {
+  const current = config.categories[category];
+  const positives = labelled.filter((example) => example.category === category);
+  if (positives.length < MIN_POSITIVES || !positives[0].signals[category]) return null;
+
+  let best = null;
+  for (const embeddingWeight of EMBEDDING_WEIGHTS) {
+    for (const productContextMultiplier of PRODUCT_CONTEXT_MULTIPLIERS) {
+      const candidate = {
+        ...current,
+        weights: { embedding: embeddingWeight, riskTokens: Number((1 - embeddingWeight).toFixed(2)) },
+        productContextMultiplier
+      };
+      const scored = labelled.map((example) => ({
+        positive: example.category === category,
+        score: weightedSafetyScore(config, candidate, example.signals[category])
+      }));
+
+      for (const { score } of scored.filter((example) => example.positive)) {
+        const threshold = Math.floor(score * 1000) / 1000;
+        const fired = scored.filter((example) => example.score >= threshold);
+        const truePositives = fired.filter((example) => example.positive).length;
+        const f = fBeta(truePositives / fired.length, truePositives / positives.length);
+        const settings = { ...candidate, threshold };
+        const gap = distance(settings, current);
+        if (!best || f > best.f + 1e-9 || (Math.abs(f - best.f) <= 1e-9 && gap < best.gap)) {
+          best = { settings, f, gap };
+        }
+      }
+    }
+  }
+  return best.settings;
+}
+
+// Precision and recall of the whole gate, where each message gets at most one category
+function measure(config, labelled) {
+  const predictions = labelled.map((example) => ({
+    label: example.category,
+    predicted: pickSafetyCategory(config, Object.values(example.signals))?.category || null
+  }));
+
+  return Object.fromEntries(Object.keys(config.categories).map((category) => {
+    const positives = predictions.filter((prediction) => prediction.label === category).length;
+    const fired = predictions.filter((prediction) => prediction.predicted === category);
+    const truePositives = fired.filter((prediction) => prediction.label === category).length;
+    return [category, {
+      positives,
+      negatives: predictions.length - positives,
+      precision: fired.length ? Number((truePositives / fired.length).toFixed(3)) : null,
+      recall: positives ? Number((truePositives / positives).toFixed(3)) : null
+    }];
+  }));
+}
+
+function formatMetric(value) {
+  return value === null ? '  n/a' : value.toFixed(3);
+}
+
+async function main() {
+  const config = loadSafetyConfig(SAFETY_CONFIG_PATH, {});
+  const router = loadSafetyRouter(config);
+  const loaded = loadExamples(config);
+  const negativeCount = loaded.filter((example) => !example.category).length;
+  if (negativeCount < MIN_NEGATIVES) {
+    console.error(`Only ${negativeCount} negatives in ${NEGATIVES_PATH} (need ${MIN_NEGATIVES}); add questions the gate must answer before calibrating.`);
+    process.exit(1);
+  }
+  const examples = await embedExamples(loaded);
+  const labelled = examples.map((example) => ({
+    ...example,
+    signals: Object.fromEntries(
+      categorySignals(config, router.entries, example.embedding, example.normalized)
+        .map((signal) => [signal.category, signal])
+    )
+  }));
+  console.log(`Calibrating on ${labelled.filter((example) => example.category).length} refusals and ${labelled.filter((example) => !example.category).length} negatives (F${BETA})`);
+
+  const before = measure(config, labelled);
+  const calibrated = { ...config, categories: { ...config.categories } };
+  const fittedCategories = [];
+  for (const category of Object.keys(config.categories)) {
+    const fitted = fitCategory(config, category, labelled);
+    if (fitted) {
+      calibrated.categories[category] = fitted;
+      fittedCategories.push(category);
+    } else {
+      const count = labelled.filter((example) => example.category === category).length;
+      console.warn(`Only ${count} labelled refusals for "${category}" (need ${MIN_POSITIVES}); keeping its current settings`);
+    }
+  }
+  const after = measure(calibrated, labelled);
+
+  const calibratedAt = new Date().toISOString();
+  console.log('\ncategory     threshold  embed  risk  product  precision      recall');
+  for (const [category, settings] of Object.entries(calibrated.categories)) {
+    const was = before[category];
+    const now = after[category];
+    console.log(
+      `${category.padEnd(12)} ${settings.threshold.toFixed(3).padStart(9)}  ${settings.weights.embedding.toFixed(2)}  ${settings.weights.riskTokens.toFixed(2)}  ${settings.productContextMultiplier.toFixed(2).padStart(7)}` +
+      `  ${formatMetric(was.precision)}→${formatMetric(now.precision)}  ${formatMetric(was.recall)}→${formatMetric(now.recall)}`
+    );
+    if (fittedCategories.includes(category)) {
+      calibrated.categories[category] = {
+        ...settings,
+        calibration: { calibratedAt, model: provider.embeddingModel, ...now }
+      };
+    }
+  }
+
+  if (dryRun || !fittedCategories.length) {
+    console.log(`\n${dryRun ? 'Dry run' : 'No category had enough labelled refusals'}: router/safety.json not changed`);
+    return;
+  }
+  fs.writeFileSync(SAFETY_CONFIG_PATH, JSON.stringify(calibrated, null, 2) + '\n');
+  console.log('\nWrote router/safety.json');
+}
+
+main().catch((err) => {
+  console.error('Safety calibration failed:', err);
+  process.exit(1);
+});
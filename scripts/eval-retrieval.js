@@ -1,9 +1,12 @@
 import fs from 'fs';
 import path from 'path';
 import { logEvaluationResults } from '../lib/database/queries.js';
+import { getCorpusChunks, groupByParent, filterChunksByLanguage } from '../lib/knowledge/corpus.js';
+import { buildLexicalIndex, lexicalIndexMatches } from '../lib/knowledge/lexical.js';
+import { rankChunks, getFusionConfig } from '../lib/knowledge/retrieval.js';
+import { getProvider } from '../lib/llm/provider.js';
+import { detectLanguage } from '../lib/router/language.js';
 
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-const MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
 const TOP_K_DEFAULT = Number(process.env.EVAL_TOP_K || 4);
 const EVAL_DIR = process.env.EVAL_DIR || 'eval';
 
@@ -24,8 +27,11 @@ function getDeploymentId() {
   return process.env.VERCEL_DEPLOYMENT_ID || process.env.DEPLOYMENT_ID || null;
 }
 
-if (!OPENAI_KEY) {
-  console.error('Missing OPENAI_API_KEY for evaluation');
+let provider;
+try {
+  provider = getProvider();
+} catch (error) {
+  console.error(`${error.message} (needed for evaluation)`);
   process.exit(1);
 }
 
@@ -79,39 +85,20 @@ function loadScenarios() {
   return scenarios;
 }
 
-function cosine(a, b) {
-  let dot = 0;
-  let na = 0;
-  let nb = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    dot += a[i] * b[i];
-    na += a[i] * a[i];
-    nb += b[i] * b[i];
+// Same fallback as /api/chat: rebuild the BM25 index if ingest hasn't written a matching one
+function loadLexicalIndex(chunks) {
+  const fullPath = path.join(process.cwd(), 'data', 'lexical-index.json');
+  const index = fs.existsSync(fullPath) ? JSON.parse(fs.readFileSync(fullPath, 'utf8')) : null;
+  if (lexicalIndexMatches(index, chunks)) {
+    return index;
   }
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+  console.warn('data/lexical-index.json is missing or stale; building it in memory. Run npm run ingest.');
+  return buildLexicalIndex(chunks);
 }
 
 async function embedQuery(query) {
-  const response = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${OPENAI_KEY}`
-    },
-    body: JSON.stringify({ model: MODEL, input: query })
-  });
-
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`Embedding request failed: ${response.status} ${response.statusText} — ${errorBody}`);
-  }
-
-  const payload = await response.json();
-  const vector = payload?.data?.[0]?.embedding;
-  if (!Array.isArray(vector)) {
-    throw new Error(`Unexpected embedding response for query: ${query}`);
-  }
-  return vector;
+  const { vectors } = await provider.embed([query]);
+  return vectors[0];
 }
 
 function evaluateScenario(scenario, scored, topK) {
@@ -180,11 +167,20 @@ async function main() {
   }
 
   const corpus = readJson('data/embeddings.json');
-  const docs = Array.isArray(corpus?.docs) ? corpus.docs : [];
-  if (!docs.length) {
+  const chunks = getCorpusChunks(corpus);
+  if (!chunks.length) {
     console.error('No documents found in data/embeddings.json');
     process.exit(1);
   }
+  if (corpus.model && corpus.model !== provider.embeddingModel) {
+    console.error(
+      `data/embeddings.json was built with ${corpus.model} but the ${provider.name} provider embeds with ${provider.embeddingModel}. Run npm run ingest first.`
+    );
+    process.exit(1);
+  }
+
+  const lexicalIndex = loadLexicalIndex(chunks);
+  const fusion = getFusionConfig();
 
   const suiteNames = [...new Set(scenarios.map(s => s.suite))];
   console.log(
@@ -201,14 +197,12 @@ async function main() {
 
     try {
       const queryEmbedding = await embedQuery(scenario.question);
-      const scored = docs
-        .map(doc => ({
-          id: doc.id,
-          url: doc.url,
-          section: doc.section,
-          score: cosine(queryEmbedding, doc.embedding)
-        }))
-        .sort((a, b) => b.score - a.score);
+      // Rank chunks the way /api/chat does (cosine + BM25 fusion), then collapse
+      // to parent documents so expectations stay doc-level. Scores are cosine.
+      // Like /api/chat, only chunks in the question's language are candidates.
+      const lang = scenario.lang || detectLanguage(scenario.question);
+      const scoredChunks = rankChunks(filterChunksByLanguage(chunks, lang), { embedding: queryEmbedding, text: scenario.question }, lexicalIndex, fusion);
+      const scored = groupByParent(scoredChunks);
 
       const topK = Number.isFinite(scenario.topK) ? Number(scenario.topK) : TOP_K_DEFAULT;
       const report = evaluateScenario(scenario, scored, topK);
@@ -218,7 +212,10 @@ async function main() {
       const expectation = scenario.expectation ? ` (${scenario.expectation})` : '';
       const topSummary = scored
         .slice(0, topK)
-        .map(doc => `${doc.id} (${doc.score.toFixed(3)})`)
+        .map(doc => {
+          const bestChunk = doc.chunkIds[0] !== doc.id ? ` via ${doc.chunkIds[0]}` : '';
+          return `${doc.id} (${doc.score.toFixed(3)}${bestChunk})`;
+        })
         .join(', ');
       console.log(`${status} [${scenario.suite}/${scenario.id}]${expectation} ${scenario.question}`);
       console.log(`   Top-${topK}: ${topSummary}`);
@@ -1,44 +1,49 @@
 import fs from 'fs';
 import path from 'path';
 import matter from 'gray-matter';
+import { chunkMarkdown } from '../lib/knowledge/chunking.js';
+import { buildLexicalIndex } from '../lib/knowledge/lexical.js';
+import { loadRagGates } from '../lib/knowledge/abstention.js';
+import { loadRegexRules, runRegexRuleTests } from '../lib/router/regex-rules.js';
+import { loadComplianceRules, runComplianceRuleTests } from '../lib/router/compliance.js';
+import { loadPipeline } from '../lib/pipeline/config.js';
+import { loadExperiments } from '../lib/pipeline/experiments.js';
+import { loadOrderLookupConfig } from '../lib/orders/order-flow.js';
+import { loadSafetyConfig } from '../lib/router/safety-scoring.js';
+import { loadSafetySessionConfig } from '../lib/router/safety-session.js';
+import { getProvider } from '../lib/llm/provider.js';
+import { loadPromptRegistry } from '../lib/llm/prompts.js';
+import { CANDIDATE_FILES } from '../lib/pipeline/resources.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../lib/router/language.js';
 
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-const MODEL = 'text-embedding-3-small';
 const DATA_DIR = path.join(process.cwd(), 'data');
 const KNOWLEDGE_DIR = path.join(DATA_DIR, 'knowledge');
 const ROUTER_DIR = path.join(process.cwd(), 'router');
+const CANDIDATE_ROUTER_DIR = path.join(ROUTER_DIR, 'candidate');
+const CANDIDATE_DATA_DIR = path.join('data', 'candidate');
 
-if (!OPENAI_KEY) {
-  console.error('Missing OPENAI_API_KEY');
+let provider;
+try {
+  provider = getProvider();
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
+const MODEL = provider.embeddingModel;
 
 async function embed(text) {
-  const response = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${OPENAI_KEY}`
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      input: text
-    })
-  });
-
-  if (!response.ok) {
-    const body = await response.text();
-    console.error('Embedding request failed:', response.status, response.statusText, body);
-    process.exit(1);
-  }
+  const { vectors } = await provider.embed([text]);
+  return vectors[0];
+}
 
-  const json = await response.json();
-  const vector = json?.data?.[0]?.embedding;
-  if (!Array.isArray(vector)) {
-    console.error('Unexpected embedding response:', json);
-    process.exit(1);
+// Cached vectors are only reusable when they came from the same embedding model
+function loadCache(relativePath) {
+  const cache = loadJson(relativePath);
+  if (cache && cache.model !== MODEL) {
+    console.log(`Ignoring cached ${relativePath} (built with ${cache.model || 'unknown model'}, now ${MODEL})`);
+    return null;
   }
-  return vector;
+  return cache;
 }
 
 function writeJson(relativePath, payload) {
@@ -55,12 +60,133 @@ function loadJson(relativePath) {
   return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
 }
 
+// Validate router/regex-rules.json and run each rule's inline test strings.
+// Runs before any embedding work so a bad rule fails fast.
+function checkRegexRules(rulesPath = path.join(ROUTER_DIR, 'regex-rules.json'), intentsPath = path.join(ROUTER_DIR, 'intents.json')) {
+  const rules = loadRegexRules(rulesPath);
+  const failures = runRegexRuleTests(rules);
+
+  if (fs.existsSync(intentsPath)) {
+    const intentIds = new Set(JSON.parse(fs.readFileSync(intentsPath, 'utf8')).map((intent) => intent.id));
+    for (const rule of rules.business) {
+      if (!intentIds.has(rule.intent)) {
+        failures.push({ ruleset: 'business', rule: rule.name, text: null, expected: `intent "${rule.intent}" in ${path.relative(process.cwd(), intentsPath)}`, actual: null });
+      }
+    }
+  }
+
+  if (failures.length) {
+    console.error(`Regex rule checks failed (${failures.length}):`);
+    for (const failure of failures) {
+      const text = failure.text ? ` "${failure.text}"` : '';
+      console.error(`  [${failure.ruleset}/${failure.rule}]${text}: expected ${failure.expected}, got ${failure.actual ?? 'no match'}`);
+    }
+    process.exit(1);
+  }
+
+  const testCount = [...rules.safety, ...rules.business]
+    .reduce((sum, rule) => sum + rule.tests.positive.length + (rule.tests.negative || []).length, 0);
+  console.log(`Regex rules v${rules.version}: ${rules.safety.length} safety, ${rules.business.length} business, ${testCount} inline tests passed`);
+}
+
+function checkComplianceRules() {
+  const compliance = loadComplianceRules();
+  const failures = runComplianceRuleTests(compliance);
+
+  if (failures.length) {
+    console.error(`Compliance rule checks failed (${failures.length}):`);
+    for (const failure of failures) {
+      console.error(`  [compliance/${failure.rule}] "${failure.text}": expected ${failure.expected}, got ${failure.actual ?? 'no match'}`);
+    }
+    process.exit(1);
+  }
+
+  const testCount = compliance.rules
+    .reduce((sum, rule) => sum + rule.tests.positive.length + (rule.tests.negative || []).length, 0);
+  console.log(`Compliance rules v${compliance.version}: ${compliance.rules.length} rules, ${testCount} inline tests passed`);
+}
+
+// Gates keyed by a section no knowledge doc uses would never apply
+function checkRagGates() {
+  const gates = loadRagGates();
+  const sections = new Set(
+    fs.readdirSync(KNOWLEDGE_DIR)
+      .filter((file) => file.endsWith('.md'))
+      .map((file) => matter(fs.readFileSync(path.join(KNOWLEDGE_DIR, file), 'utf8')).data.section || 'general')
+  );
+  for (const section of Object.keys(gates.sections)) {
+    if (!sections.has(section)) {
+      console.warn(`router/rag-gates.json has a gate for section "${section}" but no knowledge doc uses it`);
+    }
+  }
+  console.log(`RAG gates v${gates.version}: default minScore ${gates.default.minScore}, ${Object.keys(gates.sections).length} section overrides`);
+}
+
+// The chat order lookup only starts when routing reaches its intent
+function checkOrderLookup() {
+  const config = loadOrderLookupConfig();
+  const intentIds = JSON.parse(fs.readFileSync(path.join(ROUTER_DIR, 'intents.json'), 'utf8')).map((intent) => intent.id);
+  if (!intentIds.includes(config.intent)) {
+    console.error(`router/order-lookup.json: intent "${config.intent}" is not in router/intents.json`);
+    process.exit(1);
+  }
+  console.log(`Order lookup v${config.version}: intent "${config.intent}", pending lookups expire after ${config.ttlMinutes} min`);
+}
+
+// Session safety policies name safety categories and the intents they block
+function checkSafetySession() {
+  const config = loadSafetySessionConfig();
+  const intentIds = JSON.parse(fs.readFileSync(path.join(ROUTER_DIR, 'intents.json'), 'utf8')).map((intent) => intent.id);
+  const categories = new Set([
+    ...loadRegexRules().safety.map((rule) => rule.category),
+    ...Object.keys(loadSafetyConfig(undefined, {}).categories)
+  ]);
+  for (const [category, policy] of Object.entries(config.categories)) {
+    if (!categories.has(category)) {
+      console.warn(`router/safety-session.json: no safety rule or exemplar has category "${category}"`);
+    }
+    for (const intent of policy.intents || []) {
+      if (!intentIds.includes(intent)) {
+        console.error(`router/safety-session.json: ${category} blocks intent "${intent}", which is not in router/intents.json`);
+        process.exit(1);
+      }
+    }
+  }
+  console.log(`Session safety v${config.version}: ${Object.entries(config.categories).map(([category, policy]) => `${category} ${policy.action} for ${policy.turns} turns`).join(', ')}`);
+}
+
+function checkPrompts() {
+  const registry = loadPromptRegistry();
+  const intentIds = JSON.parse(fs.readFileSync(path.join(ROUTER_DIR, 'intents.json'), 'utf8')).map((intent) => intent.id);
+  for (const intent of Object.keys(registry.intents)) {
+    if (!intentIds.includes(intent)) {
+      console.error(`router/prompts.json: intent "${intent}" is not in router/intents.json`);
+      process.exit(1);
+    }
+  }
+  const templates = Object.entries(registry.templates).map(([id, template]) => `${id} v${template.version}`);
+  console.log(`Prompt templates: ${templates.join(', ')} (default ${registry.default}; intent settings: ${Object.keys(registry.intents).join(', ') || 'none'})`);
+}
+
+function checkPipeline() {
+  const layers = loadPipeline();
+  console.log(`Router pipeline: ${layers.map((layer) => layer.name).join(' → ')}`);
+}
+
+function checkExperiments() {
+  const config = loadExperiments();
+  const active = config.active
+    ? `"${config.active.id}" enabled (${config.active.variants.map((variant) => `${variant.id} ${variant.weight}`).join(', ')})`
+    : 'none enabled';
+  console.log(`Experiments v${config.version}: ${config.experiments.length} defined, ${active}`);
+}
+
 async function buildKnowledgeEmbeddings() {
-  const cache = loadJson(path.join('data', 'embeddings.json'));
-  const cachedDocs = new Map();
-  if (Array.isArray(cache?.docs)) {
-    for (const doc of cache.docs) {
-      if (doc?.id) cachedDocs.set(doc.id, doc);
+  const cache = loadCache(path.join('data', 'embeddings.json'));
+  const cachedChunks = new Map();
+  if (Array.isArray(cache?.chunks)) {
+    for (const chunk of cache.chunks) {
+      if (chunk?.id) cachedChunks.set(chunk.id, chunk);
     }
   }
 
@@ -69,48 +195,73 @@ async function buildKnowledgeEmbeddings() {
     .filter((file) => file.endsWith('.md'))
     .sort();
   const docs = [];
+  const chunks = [];
 
   for (const file of files) {
     const raw = fs.readFileSync(path.join(KNOWLEDGE_DIR, file), 'utf8');
     const { content, data } = matter(raw);
     const id = data.id || file;
-    const cached = cachedDocs.get(id);
-    const embedding = cached && cached.content === content ? cached.embedding : await embed(content);
-    if (!cached || cached.content !== content) {
-      console.log('Embedded knowledge doc', file);
-    } else {
-      console.log('Reused cached knowledge embedding', file);
-    }
-    docs.push({
+    const doc = {
       id,
       url: data.url || '',
       section: data.section || 'general',
-      content,
-      embedding
+      lang: data.lang || DEFAULT_LANGUAGE
+    };
+    if (!SUPPORTED_LANGUAGES.includes(doc.lang)) {
+      console.error(`Knowledge doc ${file} has unsupported lang "${doc.lang}" (expected one of: ${SUPPORTED_LANGUAGES.join(', ')})`);
+      process.exit(1);
+    }
+    const { title, chunks: docChunks } = chunkMarkdown(content, doc);
+
+    let embedded = 0;
+    for (const chunk of docChunks) {
+      const cached = cachedChunks.get(chunk.id);
+      const reuse = cached && cached.embeddingText === chunk.embeddingText;
+      const embedding = reuse ? cached.embedding : await embed(chunk.embeddingText);
+      if (!reuse) embedded += 1;
+      chunks.push({ ...chunk, embedding });
+    }
+
+    console.log(`Chunked knowledge doc ${file}: ${docChunks.length} chunks (${embedded} embedded, ${docChunks.length - embedded} reused)`);
+    docs.push({
+      ...doc,
+      title,
+      chunkIds: docChunks.map((chunk) => chunk.id),
+      tokens: docChunks.reduce((sum, chunk) => sum + chunk.tokens, 0)
     });
   }
 
-  writeJson(path.join('data', 'embeddings.json'), { model: MODEL, docs });
+  writeJson(path.join('data', 'embeddings.json'), { model: MODEL, chunking: 'heading', docs, chunks });
+
+  // BM25 index over the same chunks (no API calls, rebuilt every run)
+  const lexicalIndex = buildLexicalIndex(chunks);
+  writeJson(path.join('data', 'lexical-index.json'), lexicalIndex);
+  console.log(`Built lexical index: ${lexicalIndex.docCount} chunks, ${Object.keys(lexicalIndex.documentFrequency).length} terms`);
 }
 
-async function buildSafetyRouter() {
-  const configPath = path.join(ROUTER_DIR, 'safety.json');
+// Candidate builds (outputDir data/candidate) also reuse production's cached vectors
+function loadCaches(outputPath, productionPath) {
+  return [...new Set([outputPath, productionPath])].map(loadCache).filter(Boolean);
+}
+
+async function buildSafetyRouter(routerDir = ROUTER_DIR, outputDir = 'data') {
+  const configPath = path.join(routerDir, 'safety.json');
   if (!fs.existsSync(configPath)) {
-    console.warn('Skipping safety router embeddings (router/safety.json missing)');
+    console.warn(`Skipping safety router embeddings (${path.relative(process.cwd(), configPath)} missing)`);
     return;
   }
 
-  const cache = loadJson(path.join('data', 'router-safety.json'));
+  const outputPath = path.join(outputDir, 'router-safety.json');
   const cachedEntries = new Map();
-  if (Array.isArray(cache?.entries)) {
-    for (const entry of cache.entries) {
-      if (entry?.id) cachedEntries.set(entry.id, entry);
+  for (const cache of loadCaches(outputPath, path.join('data', 'router-safety.json'))) {
+    for (const entry of cache.entries || []) {
+      if (entry?.id && !cachedEntries.has(entry.id)) cachedEntries.set(entry.id, entry);
     }
   }
 
-  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const config = loadSafetyConfig(configPath, {});
   const entries = [];
-  for (const entry of config) {
+  for (const entry of config.exemplars) {
     const cached = cachedEntries.get(entry.id);
     const embedding = cached && cached.text === entry.text ? cached.embedding : await embed(entry.text);
     if (!cached || cached.text !== entry.text) {
@@ -121,27 +272,28 @@ async function buildSafetyRouter() {
     entries.push({
       id: entry.id,
       category: entry.category,
+      lang: entry.lang || DEFAULT_LANGUAGE,
       response: entry.response,
       text: entry.text,
       embedding
     });
   }
 
-  writeJson(path.join('data', 'router-safety.json'), { model: MODEL, entries });
+  writeJson(outputPath, { model: MODEL, entries });
 }
 
-async function buildIntentRouter() {
-  const configPath = path.join(ROUTER_DIR, 'intents.json');
+async function buildIntentRouter(routerDir = ROUTER_DIR, outputDir = 'data') {
+  const configPath = path.join(routerDir, 'intents.json');
   if (!fs.existsSync(configPath)) {
-    console.warn('Skipping intent router embeddings (router/intents.json missing)');
+    console.warn(`Skipping intent router embeddings (${path.relative(process.cwd(), configPath)} missing)`);
     return;
   }
 
-  const cache = loadJson(path.join('data', 'router-intents.json'));
+  const outputPath = path.join(outputDir, 'router-intents.json');
   const cachedIntents = new Map();
-  if (Array.isArray(cache?.intents)) {
-    for (const intent of cache.intents) {
-      if (intent?.id) cachedIntents.set(intent.id, intent);
+  for (const cache of loadCaches(outputPath, path.join('data', 'router-intents.json'))) {
+    for (const intent of cache.intents || []) {
+      if (intent?.id && !cachedIntents.has(intent.id)) cachedIntents.set(intent.id, intent);
     }
   }
 
@@ -168,14 +320,51 @@ async function buildIntentRouter() {
       threshold: intent.threshold,
       scope: intent.scope || null,
       response: intent.response || null,
+      translations: intent.translations || null,
       examples
     });
   }
 
-  writeJson(path.join('data', 'router-intents.json'), { model: MODEL, intents });
+  writeJson(outputPath, { model: MODEL, intents });
+}
+
+// Shadow candidate (router/candidate/): validate its files and embed its
+// exemplars into data/candidate/. Files it leaves out stay production's.
+async function buildCandidate() {
+  const candidateFile = (file) => path.join(CANDIDATE_ROUTER_DIR, file);
+  const files = CANDIDATE_FILES.filter((file) => fs.existsSync(candidateFile(file)));
+  if (!files.length) {
+    console.error(`No candidate config in router/candidate/ (expected any of ${CANDIDATE_FILES.join(', ')})`);
+    process.exit(1);
+  }
+  console.log(`Candidate config: ${files.map((file) => `router/candidate/${file}`).join(', ')}`);
+
+  const inCandidate = (file) => (files.includes(file) ? candidateFile(file) : path.join(ROUTER_DIR, file));
+  checkRegexRules(inCandidate('regex-rules.json'), inCandidate('intents.json'));
+  if (files.includes('safety.json')) {
+    const config = loadSafetyConfig(candidateFile('safety.json'), {});
+    console.log(`Candidate safety config v${config.version}: ${Object.keys(config.categories).length} categories, ${config.exemplars.length} exemplars`);
+  }
+
+  fs.mkdirSync(path.join(process.cwd(), CANDIDATE_DATA_DIR), { recursive: true });
+  if (files.includes('safety.json')) await buildSafetyRouter(CANDIDATE_ROUTER_DIR, CANDIDATE_DATA_DIR);
+  if (files.includes('intents.json')) await buildIntentRouter(CANDIDATE_ROUTER_DIR, CANDIDATE_DATA_DIR);
 }
 
 async function main() {
+  if (process.argv.includes('--candidate')) {
+    await buildCandidate();
+    return;
+  }
+
+  checkRegexRules();
+  checkComplianceRules();
+  checkRagGates();
+  checkPipeline();
+  checkOrderLookup();
+  checkSafetySession();
+  checkPrompts();
+  checkExperiments();
   await buildKnowledgeEmbeddings();
   await buildSafetyRouter();
   await buildIntentRouter();
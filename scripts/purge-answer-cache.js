@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Delete cached RAG answers built from a knowledge version other than the
+ * one in data/embeddings.json. Run it once a deploy with a re-ingested
+ * knowledge base has fully rolled out: instances still on the old build
+ * keep serving and storing answers under their own version until then.
+ *
+ * Usage:
+ *   node scripts/purge-answer-cache.js
+ */
+
+import { testConnection } from '../lib/database/connection.js';
+import { purgeStaleCachedAnswers } from '../lib/database/queries.js';
+import { getKnowledgeVersion } from '../lib/pipeline/resources.js';
+
+async function main() {
+  const knowledgeVersion = getKnowledgeVersion();
+  console.log(`🧹 Purging cached answers not built from knowledge version ${knowledgeVersion}...`);
+
+  const connectionTest = await testConnection();
+  if (!connectionTest.healthy) {
+    console.error('❌ Database connection failed:', connectionTest.error);
+    process.exit(1);
+  }
+
+  const deleted = await purgeStaleCachedAnswers(knowledgeVersion);
+  console.log(`✅ Deleted ${deleted} cached answer(s)`);
+}
+
+main().catch((error) => {
+  console.error('Answer cache purge failed:', error);
+  process.exit(1);
+});
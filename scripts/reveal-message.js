@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Print the original, unredacted message for one query_logs row, for support
+ * staff following up on a customer request. Needs the PII_ENCRYPTION_KEY the
+ * message was sealed with.
+ *
+ * Usage:
+ *   PII_ENCRYPTION_KEY=... node scripts/reveal-message.js <queryId>
+ */
+
+import { getConnection, testConnection, executeWithRetry } from '../lib/database/connection.js';
+import { openSealed } from '../lib/router/pii.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function main() {
+  const queryId = process.argv[2];
+  if (!queryId || !UUID_PATTERN.test(queryId)) {
+    console.error('Usage: node scripts/reveal-message.js <queryId>');
+    process.exit(1);
+  }
+  if (!process.env.PII_ENCRYPTION_KEY) {
+    console.error('❌ PII_ENCRYPTION_KEY is not set');
+    process.exit(1);
+  }
+
+  const connectionTest = await testConnection();
+  if (!connectionTest.healthy) {
+    console.error('❌ Database connection failed:', connectionTest.error);
+    process.exit(1);
+  }
+
+  const db = getConnection();
+  const row = await executeWithRetry(async () => {
+    const result = await db`
+      SELECT id, timestamp, session_id, user_message, pii_types, sealed_message
+      FROM query_logs
+      WHERE id = ${queryId}
+    `;
+    return result[0] || result.rows?.[0];
+  });
+
+  if (!row) {
+    console.error(`❌ No query log ${queryId}`);
+    process.exit(1);
+  }
+
+  console.log(`Query:    ${row.id}`);
+  console.log(`Time:     ${new Date(row.timestamp).toISOString()}`);
+  console.log(`Session:  ${row.session_id || '-'}`);
+  console.log(`Redacted: ${row.user_message}`);
+
+  if (!row.sealed_message) {
+    console.log(row.pii_types ? 'Original: not sealed (PII_ENCRYPTION_KEY was not set when it was logged)' : 'Original: no PII was removed');
+    return;
+  }
+  console.log(`Original: ${openSealed(row.sealed_message)}`);
+}
+
+main().catch((error) => {
+  console.error('Reveal failed:', error.message);
+  process.exit(1);
+});
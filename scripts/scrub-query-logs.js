@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Redact PII from query_logs rows written before messages were scrubbed at
+ * request time. user_message, normalized_message and resolved_message are
+ * rewritten with typed placeholders and pii_types is filled in. With
+ * PII_ENCRYPTION_KEY set, the original user message is sealed into
+ * sealed_message, as it is for new requests.
+ *
+ * Already-redacted rows are left alone, so the script can be re-run.
+ *
+ * Usage:
+ *   node scripts/scrub-query-logs.js [--dry-run] [--since=2024-10-01] [--batch-size=500]
+ */
+
+import { getConnection, testConnection, executeWithRetry } from '../lib/database/connection.js';
+import { scrubPii, sealOriginal } from '../lib/router/pii.js';
+
+function parseArgs(argv) {
+  const args = { dryRun: false, since: null, batchSize: 500 };
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg.startsWith('--since=')) args.since = new Date(arg.slice(8)).toISOString();
+    else if (arg.startsWith('--batch-size=')) args.batchSize = Math.max(1, parseInt(arg.slice(13)) || 500);
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return args;
+}
+
+/**
+ * Redact one query_logs row.
+ *
+ * @param {Object} row - query_logs row
+ * @returns {Object|null} Updated fields, or null when the row has no PII
+ */
+function scrubRow(row) {
+  const user = scrubPii(row.user_message || '');
+  if (!user.types) return null;
+
+  return {
+    userMessage: user.text,
+    normalizedMessage: row.normalized_message ? scrubPii(row.normalized_message).text : row.normalized_message,
+    resolvedMessage: row.resolved_message ? scrubPii(row.resolved_message).text : row.resolved_message,
+    piiTypes: user.types,
+    sealedMessage: row.sealed_message || sealOriginal(row.user_message)
+  };
+}
+
+async function fetchBatch(db, { afterId, since, batchSize }) {
+  return executeWithRetry(async () => {
+    const result = await db`
+      SELECT id, user_message, normalized_message, resolved_message, sealed_message
+      FROM query_logs
+      WHERE (${afterId}::uuid IS NULL OR id > ${afterId}::uuid)
+        AND (${since}::timestamptz IS NULL OR timestamp >= ${since}::timestamptz)
+        AND pii_types IS NULL
+      ORDER BY id
+      LIMIT ${batchSize}
+    `;
+    return result.rows || result;
+  });
+}
+
+async function updateRow(db, id, fields) {
+  return executeWithRetry(async () => {
+    await db`
+      UPDATE query_logs SET
+        user_message = ${fields.userMessage},
+        normalized_message = ${fields.normalizedMessage},
+        resolved_message = ${fields.resolvedMessage},
+        pii_types = ${JSON.stringify(fields.piiTypes)},
+        sealed_message = ${fields.sealedMessage}
+      WHERE id = ${id}
+    `;
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`🔒 Scrubbing PII from query_logs${args.dryRun ? ' (dry run)' : ''}...`);
+  if (!process.env.PII_ENCRYPTION_KEY) {
+    console.log('   PII_ENCRYPTION_KEY is not set: originals will be discarded, not sealed');
+  }
+
+  const connectionTest = await testConnection();
+  if (!connectionTest.healthy) {
+    console.error('❌ Database connection failed:', connectionTest.error);
+    process.exit(1);
+  }
+
+  const db = getConnection();
+  let afterId = null;
+  let scanned = 0;
+  let changed = 0;
+  const typeCounts = {};
+
+  for (;;) {
+    const rows = await fetchBatch(db, { ...args, afterId });
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const fields = scrubRow(row);
+      scanned += 1;
+      if (!fields) continue;
+
+      changed += 1;
+      for (const [type, count] of Object.entries(fields.piiTypes)) {
+        typeCounts[type] = (typeCounts[type] || 0) + count;
+      }
+      if (!args.dryRun) await updateRow(db, row.id, fields);
+    }
+
+    afterId = rows[rows.length - 1].id;
+    console.log(`   Processed ${scanned} rows (${changed} ${args.dryRun ? 'would change' : 'redacted'})`);
+  }
+
+  console.log('');
+  console.log(`✅ Scanned ${scanned} rows, ${changed} ${args.dryRun ? 'would be redacted' : 'redacted'}`);
+  for (const [type, count] of Object.entries(typeCounts)) {
+    console.log(`   ${type}: ${count}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('PII scrub failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Exercise each handoff adapter against local stand-in servers:
+ * a minimal SMTP server and an HTTP server that plays the webhook receiver,
+ * Gorgias and Zendesk. No real email is sent and no helpdesk is contacted.
+ *
+ * Usage: npm run test:handoff
+ */
+
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+import { getHandoffConfig, createHandoffAdapter } from '../lib/handoff/adapter.js';
+import { buildTicket } from '../lib/handoff/ticket.js';
+
+const ticket = buildTicket({
+  contact: { email: 'customer@example.com', name: 'Sam Customer' },
+  note: 'Please email me about taking A-Minus while pregnant.',
+  sessionId: 'sess_handofftest0001',
+  turns: [
+    { user: 'Can I take A-Minus while pregnant?', assistant: 'Please check with your clinician first.', layer: 'safety-regex', at: new Date().toISOString() }
+  ],
+  trace: [{
+    id: '00000000-0000-4000-8000-000000000001',
+    timestamp: new Date().toISOString(),
+    userMessage: 'Can I take A-Minus while pregnant?',
+    responseAnswer: 'Please check with your clinician first.',
+    routing: { layer: 'safety-regex', rule: 'pregnancy', intent: null, category: 'pregnancy', score: null },
+    complianceAction: null,
+    needsHuman: false,
+    decisions: [{ layer: 'safety-regex', rule: 'pregnancy', category: 'pregnancy', triggered: true }]
+  }]
+});
+
+// Accepts one message per connection and records the envelope and data
+function startSmtpStandIn(received) {
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let message = { auth: null, from: null, to: [], data: '' };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 stand-in ESMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            received.push(message);
+            message = { auth: null, from: null, to: [], data: '' };
+            reply('250 2.0.0 Ok: queued as STANDIN42');
+          } else {
+            message.data += `${line.replace(/^\.\./, '.')}\r\n`;
+          }
+          continue;
+        }
+
+        const [verb] = line.split(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-stand-in');
+            reply('250 AUTH PLAIN');
+            break;
+          case 'AUTH':
+            message.auth = Buffer.from(line.split(' ')[2], 'base64').toString('utf8').split('\u0000');
+            reply('235 2.7.0 Authentication successful');
+            break;
+          case 'MAIL':
+            message.from = line.match(/<(.*)>/)[1];
+            reply('250 2.1.0 Ok');
+            break;
+          case 'RCPT':
+            message.to.push(line.match(/<(.*)>/)[1]);
+            reply('250 2.1.5 Ok');
+            break;
+          case 'DATA':
+            inData = true;
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'QUIT':
+            reply('221 2.0.0 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 5.5.2 Command not recognized');
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Webhook receiver plus the two helpdesk ticket endpoints
+function startHttpStandIn(received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/hooks/handoff') return res.end(JSON.stringify({ id: 'wh-1' }));
+      if (req.url === '/api/tickets') return res.end(JSON.stringify({ id: 101 }));
+      if (req.url === '/api/v2/tickets.json') return res.end(JSON.stringify({ ticket: { id: 202 } }));
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'not found' }));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+async function testSmtp(port, received) {
+  console.log('\nSMTP adapter');
+  const adapter = createHandoffAdapter(getHandoffConfig({
+    HANDOFF_ADAPTER: 'smtp',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(port),
+    SMTP_USER: 'relay@example.com',
+    SMTP_PASS: 'secret',
+    HANDOFF_EMAIL_TO: 'support@example.com, ops@example.com'
+  }));
+  const result = await adapter.deliver(ticket);
+  const message = received[0];
+  const body = Buffer.from(message.data.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+
+  check('authenticates with AUTH PLAIN', message.auth?.[1] === 'relay@example.com' && message.auth?.[2] === 'secret');
+  check('envelope sender and both recipients', message.from === 'relay@example.com' && message.to.length === 2);
+  check('Reply-To is the customer', /^Reply-To: "Sam Customer" <customer@example\.com>$/m.test(message.data));
+  check('body carries transcript and routing trace', body.includes('Can I take A-Minus while pregnant?') && body.includes('rule=pregnancy'));
+  check('queue ID returned as externalId', result.externalId === 'STANDIN42');
+}
+
+async function testWebhook(port, received) {
+  console.log('\nWebhook adapter');
+  const adapter = createHandoffAdapter(getHandoffConfig({
+    HANDOFF_ADAPTER: 'webhook',
+    HANDOFF_WEBHOOK_URL: `http://127.0.0.1:${port}/hooks/handoff`,
+    HANDOFF_WEBHOOK_SECRET: 'shh'
+  }));
+  const result = await adapter.deliver(ticket);
+  const request = received.find((entry) => entry.url === '/hooks/handoff');
+  const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(request.body).digest('hex')}`;
+
+  check('signature header matches the body', request.headers['x-handoff-signature'] === expected);
+  check('payload carries the ticket', JSON.parse(request.body).ticket?.id === ticket.id);
+  check('reply id returned as externalId', result.externalId === 'wh-1');
+}
+
+async function testHelpdesk(kind, port, received) {
+  console.log(`\n${kind} adapter`);
+  const adapter = createHandoffAdapter(getHandoffConfig({
+    HANDOFF_ADAPTER: kind,
+    HELPDESK_BASE_URL: `http://127.0.0.1:${port}/`,
+    HELPDESK_USER: 'agent@example.com',
+    HELPDESK_API_KEY: 'key123'
+  }));
+  const result = await adapter.deliver(ticket);
+  const path = kind === 'gorgias' ? '/api/tickets' : '/api/v2/tickets.json';
+  const request = received.find((entry) => entry.url === path);
+  const user = kind === 'gorgias' ? 'agent@example.com' : 'agent@example.com/token';
+  const payload = JSON.parse(request.body);
+
+  check(`POST ${path} with basic auth`, request.headers.authorization === `Basic ${Buffer.from(`${user}:key123`).toString('base64')}`);
+  check('customer is the requester', kind === 'gorgias'
+    ? payload.customer?.email === 'customer@example.com'
+    : payload.ticket?.requester?.email === 'customer@example.com');
+  check('ticket ID and agent URL returned', result.externalId === (kind === 'gorgias' ? '101' : '202') && Boolean(result.url));
+}
+
+async function main() {
+  const smtpReceived = [];
+  const httpReceived = [];
+  const smtpServer = await startSmtpStandIn(smtpReceived);
+  const httpServer = await startHttpStandIn(httpReceived);
+  const httpPort = httpServer.address().port;
+
+  try {
+    await testSmtp(smtpServer.address().port, smtpReceived);
+    await testWebhook(httpPort, httpReceived);
+    await testHelpdesk('gorgias', httpPort, httpReceived);
+    await testHelpdesk('zendesk', httpPort, httpReceived);
+  } finally {
+    smtpServer.close();
+    httpServer.close();
+    httpServer.closeAllConnections?.();
+  }
+
+  console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All handoff adapters delivered');
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('\n❌ Handoff test failed with error:', error.message);
+  process.exit(1);
+});